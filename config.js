@@ -0,0 +1,207 @@
+/**
+ * @description scraper settings, what to search for on each job site.
+ */
+export default {
+  /**
+   * @description where scraped jobs are stored. "json" writes a file per
+   * spider per day under database/jobs, "sqlite" a local SQLite database.
+   */
+  storage: {
+    backend: "json",
+    json: {
+      directory: "database"
+    },
+    sqlite: {
+      path: "database/jobs.sqlite"
+    }
+  },
+
+  /**
+   * @description reminders sent by the alerts before a job closes, as lengths
+   * of time before its closing date, e.g. "3 days" or "24 hours". A
+   * subscriber is reminded of a job once per window. closingSoon is how close
+   * to its closing date a job is listed in the closing soon section of the
+   * daily digest.
+   */
+  alerts: {
+    reminders: ["3 days", "24 hours"],
+    closingSoon: "3 days"
+  },
+
+  /**
+   * @description how the alerts are sent, selected with transport. "smtp"
+   * sends through any SMTP server, logging in with EMAIL and PASSWORD from
+   * .env. "file" writes each email to a directory as .eml and JSON instead,
+   * "sink" sends to the local SMTP server of scripts/smtp-sink.js. from
+   * defaults to "Bot Alerts" <EMAIL>.
+   */
+  email: {
+    transport: "smtp",
+    from: null,
+    smtp: {
+      host: "smtp.gmail.com",
+      port: 587,
+      secure: false
+    },
+    file: {
+      directory: "database/mail"
+    },
+    sink: {
+      host: "127.0.0.1",
+      port: 2525
+    }
+  },
+
+  /**
+   * @description chat and other endpoints the new and updated jobs and the
+   * failed spider runs are posted to as JSON, see middleware/webhooks. format
+   * is "slack", "teams" or "generic", events is "jobs", "failure" or both
+   * and filter takes the criteria of a saved search, see lib/alertRules.js.
+   * urlEnv and secretEnv name variables of .env holding the url and the
+   * secret the requests are signed with. A request failing on a network
+   * error, a 429 or a 5xx is retried up to retries times, waiting backoff
+   * milliseconds, doubled on every retry, or the Retry-After of the answer
+   * up to maxRetryAfter milliseconds.
+   */
+  webhooks: {
+    retries: 3,
+    backoff: 1000,
+    maxRetryAfter: 60000,
+    timeout: 10000,
+    endpoints: [
+      // {
+      //   name: "team-chat",
+      //   format: "slack",
+      //   urlEnv: "SLACK_WEBHOOK_URL",
+      //   events: ["jobs", "failure"],
+      //   filter: { keywords: ["data"], locations: ["sydney"] }
+      // },
+      // {
+      //   name: "local",
+      //   format: "generic",
+      //   url: "http://127.0.0.1:8787/webhook",
+      //   secretEnv: "WEBHOOK_SECRET",
+      //   events: ["jobs", "failure"]
+      // }
+    ]
+  },
+
+  /**
+   * @description the RSS and Atom feeds of the open jobs written after each
+   * run, see middleware/feeds. baseUrl is the url directory is served from,
+   * for the links of the feeds to themselves, maxEntries the most jobs a
+   * feed lists, the most recently updated.
+   */
+  feeds: {
+    directory: "database/feeds",
+    baseUrl: null,
+    title: "Government jobs",
+    maxEntries: 200
+  },
+
+  /**
+   * @description the full-text index of the jobs updated after each run, see
+   * storage/searchIndex.js. boosts weighs a match in each field of a job: its
+   * title, its summary and bullet points, its description and the text of
+   * its documents.
+   */
+  search: {
+    directory: "database/search",
+    boosts: {
+      title: 4,
+      summary: 2,
+      description: 1,
+      documents: 0.5
+    }
+  },
+
+  /**
+   * @description searches NSWJobSpider paginates through on iworkfor.nsw.gov.au.
+   * Every field but name is optional, leaving one out searches all of it.
+   * Agency, category, location and work type take the slug shown in the
+   * iworkfor url and the id from its query string, e.g. agenciesid=9116.
+   * Jobs are tagged with the names of every search that matched them.
+   */
+  nswgov: {
+    searches: [
+      {
+        name: "dcceew",
+        keywords: "",
+        agency: {
+          id: 9116,
+          slug: "department-of-climate-change,-energy,-the-environment-and-water-"
+        }
+      }
+      // {
+      //   name: "dubbo-rangers",
+      //   keywords: "ranger",
+      //   location: { id: 92, slug: "dubbo-&-west-nsw" },
+      //   workType: { id: 1, slug: "full-time" }
+      // }
+    ]
+  },
+
+  /**
+   * @description how the documents linked from job ads are found, see
+   * lib/documentLinks.js. Links to files and to the usual document systems
+   * (Squiz Matrix, SharePoint, Objective) are found for any agency, hosts
+   * adds servers whose every link is a document and types adds kinds of
+   * document as { type, pattern }, pattern matching the link text or the
+   * text around it. agencies applies hosts and types only to the ads of
+   * agencies whose name contains match.
+   */
+  documents: {
+    hosts: [],
+    types: [],
+    agencies: [
+      {
+        match: "Climate Change, Energy, the Environment and Water",
+        hosts: ["dpie.nsw.gov.au"]
+      }
+      // {
+      //   match: "Transport for NSW",
+      //   hosts: ["transportnsw.sharepoint.com"],
+      //   types: [{ type: "information-pack", pattern: "about the role" }]
+      // }
+    ]
+  },
+
+  /**
+   * @description searches SeekJobSpider paginates through on seek.com.au.
+   * keywords and location are free text as typed into Seek's search boxes,
+   * workType is one of "full-time", "part-time", "contract" or "casual",
+   * salaryRange is { min, max, type } with type "annual" or "hourly" and
+   * dateListed is the number of days since the job was listed.
+   * advertiserId narrows the search to one Seek advertiser account.
+   */
+  seek: {
+    /**
+     * @description advertiser names allowed in the results, compared with the
+     * listing's company ignoring case and punctuation. Seek's keyword search
+     * mixes recruiters and unrelated employers in with the department's own ads.
+     * A search can override it with its own advertisers list, an empty list
+     * turns the check off.
+     */
+    advertisers: [
+      "Department of Climate Change, Energy, the Environment and Water",
+      "NSW Department of Climate Change, Energy, the Environment and Water",
+      "NSW National Parks and Wildlife Service"
+    ],
+    searches: [
+      {
+        name: "dcceew-sydney",
+        keywords: "Department of Climate Change, Energy, the Environment and Water",
+        location: "All Sydney NSW",
+        workType: "full-time"
+      }
+      // {
+      //   name: "gis-regional",
+      //   keywords: "GIS",
+      //   location: "Dubbo NSW 2830",
+      //   salaryRange: { min: 90000, max: 130000, type: "annual" },
+      //   dateListed: 7,
+      //   advertisers: []
+      // }
+    ]
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * @description A saved search of a subscriber. A job matches when it meets
+ * every criterion set, and a list criterion when any of its values match.
+ * Text matches case-insensitively anywhere in the field.
+ * @typedef {Object} SavedSearch
+ * @property {string} name - Name of the search, unique for its subscriber
+ * @property {Array<string>} [keywords] - Words or phrases all found in the title, categories or description
+ * @property {Array<string>} [departments] - Matched against the employer and the department
+ * @property {Array<string>} [categories]
+ * @property {Array<string>} [locations]
+ * @property {number|null} [minSalary] - Annual salary the top of the range reaches, see storage/filters.js
+ * @property {Array<string>} [workTypes] - Matched against the employment type and work arrangement, e.g. "full-time" or "remote"
+ * @property {Array<string>} [sources] - File prefixes of the spiders, e.g. "nswgov"
+ */
+
+/**
+ * @description Criteria of a saved search that hold lists of values.
+ */
+export const listCriteria = ["keywords", "departments", "categories", "locations", "workTypes", "sources"];
+
+/**
+ * @description Lower cases a value for case-insensitive comparison.
+ * @param {string} [value]
+ * @returns {string}
+ */
+const fold = (value) => (value ?? "").toString().toLowerCase();
+
+/**
+ * @description Whether any of the values is found in any of the fields.
+ * @param {Array<string>} values
+ * @param {Array<string|null>} fields
+ * @returns {boolean}
+ */
+const anyIn = (values, fields) => values.some((value) => fields.some((field) => fold(field).includes(fold(value))));
+
+/**
+ * @description Fills in the criteria a saved search leaves out, trimming values and dropping empty ones.
+ * @param {Object} search
+ * @returns {SavedSearch}
+ */
+export function normalizeSearch(search) {
+  if (!search.name?.trim()) throw new Error("A saved search needs a name");
+  const lists = Object.fromEntries(
+    listCriteria.map((criterion) => [
+      criterion,
+      (search[criterion] ?? []).map((value) => value.trim()).filter(Boolean)
+    ])
+  );
+  const minSalary = search.minSalary == null || search.minSalary === "" ? null : Number(search.minSalary);
+  if (Number.isNaN(minSalary)) throw new Error(`Minimum salary "${search.minSalary}" is not a number`);
+  return { name: search.name.trim(), ...lists, minSalary };
+}
+
+/**
+ * @description Checks a job record against a saved search.
+ * @param {Object} record - Job record
+ * @param {SavedSearch} search
+ * @returns {boolean}
+ */
+export function matchesSearch(record, search) {
+  const { keywords, departments, categories, locations, workTypes, sources, minSalary } = normalizeSearch(search);
+  const text = fold(
+    [record.title, ...record.categories, record.summary, record.description]
+      .join(" ")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/\s+/g, " ")
+  );
+
+  if (keywords.length && !keywords.every((keyword) => text.includes(fold(keyword)))) return false;
+  if (departments.length && !anyIn(departments, [record.employer, record.department])) return false;
+  if (categories.length && !anyIn(categories, record.categories)) return false;
+  if (locations.length && !anyIn(locations, record.locations)) return false;
+  if (workTypes.length && !anyIn(workTypes, [record.employmentType, record.workArrangement])) return false;
+  // A vacancy advertised on several sites, see collapseLinked(), matches any of them
+  const recordSources = (record.sources ?? [record]).map(({ source }) => source);
+  if (sources.length && !sources.some((source) => recordSources.includes(source))) return false;
+  if (minSalary && !(record.salary.period === "annual" && record.salary.max >= minSalary)) return false;
+  return true;
+}
+
+/**
+ * @description Finds the jobs a subscriber asked to hear about. A subscriber
+ * without saved searches hears about every job.
+ * @param {Array<Object>} records - Job records
+ * @param {{searches: Array<SavedSearch>}} subscriber
+ * @returns {Array<{record: Object, searches: Array<string>}>} The matching jobs, with the names of the searches they matched
+ */
+export function matchSubscriber(records, subscriber) {
+  const searches = subscriber.searches ?? [];
+  if (!searches.length) return records.map((record) => ({ record, searches: [] }));
+
+  return records
+    .map((record) => ({
+      record,
+      searches: searches.filter((search) => matchesSearch(record, search)).map(({ name }) => name)
+    }))
+    .filter(({ searches }) => searches.length);
+}
@@ -0,0 +1,128 @@
+import fs from "fs";
+
+/**
+ * @description NSW public sector classifications and their salary bands, see lib/data/nswGrades.json.
+ */
+export const nswGrades = JSON.parse(fs.readFileSync(new URL("./data/nswGrades.json", import.meta.url), "utf8"));
+
+const byAlias = new Map(
+  nswGrades.classifications.flatMap((classification) =>
+    classification.aliases.map((alias) => [alias.toLowerCase(), classification])
+  )
+);
+
+// Longest aliases first, so "Senior Field Officer" wins over "Field Officer"
+const aliases = [...byAlias.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map((alias) => alias.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+"))
+  .join("|");
+
+// Roman numerals only after "Grade", "Band" or "Level", e.g. "Legal Officer Grade III"
+const grade = String.raw`(?:\d{1,2}|(?<=(?:grade|band|level)\s*)[ivx]{1,4}\b)`;
+const gradeRange = String.raw`(${grade})(?:\s*(?:-|–|\/|to)\s*(\d{1,2}|[ivx]{1,4}\b))?\b`;
+
+const romanNumerals = ["i", "ii", "iii", "iv", "v", "vi", "vii", "viii", "ix", "x", "xi", "xii"];
+
+/**
+ * @description Reads a grade written in digits or roman numerals.
+ * @param {string} [value]
+ * @returns {number|null}
+ */
+function gradeNumber(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value);
+  const index = romanNumerals.indexOf(value.toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * @description Classifications followed by their grades, e.g. "Clerk Grade 9/10",
+ * "Field Officer Identified 1/2" or "Senior Executive Band 2".
+ */
+const gradeAfter = new RegExp(
+  String.raw`\b(${aliases})\b(?:\s*\(?(?:aboriginal\s+)?(?:identified|targeted)\)?)?(?:\s*(?:grade|band|level)?\s*${gradeRange})?`,
+  "gi"
+);
+
+/**
+ * @description Grades followed by their classification, e.g. "Band 2 Senior Executive".
+ */
+const gradeBefore = new RegExp(String.raw`\b(?:grade|band|level)\s*${gradeRange}\s+(${aliases})\b`, "gi");
+
+/**
+ * @description Finds the classifications mentioned in a text.
+ * @param {string} text
+ * @returns {Array<{classification: Object, grades: {from: number, to: number}|null, matched: string}>}
+ */
+function findClassifications(text) {
+  const found = [
+    ...[...text.matchAll(gradeAfter)].map(([matched, alias, from, to]) => ({ matched, alias, from, to })),
+    ...[...text.matchAll(gradeBefore)].map(([matched, from, to, alias]) => ({ matched, alias, from, to }))
+  ];
+
+  return found
+    .map(({ matched, alias, from, to }) => {
+      const first = gradeNumber(from);
+      const last = gradeNumber(to);
+      return {
+        classification: byAlias.get(alias.toLowerCase().replace(/\s+/g, " ")),
+        grades: first ? { from: first, to: last > first ? last : first } : null,
+        matched: matched.trim().replace(/\s+/g, " ")
+      };
+    })
+    // Acronyms like "SE" are only a classification when followed by a grade
+    .filter(({ classification, grades }) => grades || classification.aliases.every((alias) => alias.length > 2));
+}
+
+/**
+ * @description Salary band of a classification's grades, spanning several bands
+ * for ranges like "Clerk Grade 5-8".
+ * @param {Object} classification - Entry of nswGrades.classifications
+ * @param {{from: number, to: number}|null} grades
+ * @returns {{min: number, max: number, totalRemuneration: boolean}|null} null when the grades are unknown
+ */
+function salaryBand(classification, grades) {
+  const bands = grades
+    ? classification.bands.filter((band) => band.grades.some((grade) => grade >= grades.from && grade <= grades.to))
+    : classification.bands.filter((band) => !band.grades.length);
+  if (!bands.length) return null;
+
+  return {
+    min: Math.min(...bands.map((band) => band.min)),
+    max: Math.max(...bands.map((band) => band.max)),
+    totalRemuneration: Boolean(classification.totalRemuneration)
+  };
+}
+
+/**
+ * @description Derives the NSW award classification of a job from its title,
+ * remuneration and description, preferring a mention with grades over one without.
+ * @param {Object} record - Job record, see lib/job.js
+ * @returns {{name: string, award: string, grades: {from: number, to: number}|null,
+ * salary: Object|null, matched: string, field: string}|null} The classification,
+ * with the text it was found in, or null when the job mentions none
+ */
+export function extractClassification(record) {
+  const fields = {
+    title: record.title,
+    remuneration: record.salary?.text,
+    summary: record.summary,
+    description: record.description
+  };
+
+  const mentions = Object.entries(fields).flatMap(([field, text]) =>
+    findClassifications(text ?? "").map((mention) => ({ ...mention, field }))
+  );
+  const mention = mentions.find(({ grades }) => grades) ?? mentions[0];
+  if (!mention) return null;
+
+  const { classification, grades, matched, field } = mention;
+  return {
+    name: classification.name,
+    award: classification.award,
+    grades,
+    salary: salaryBand(classification, grades),
+    matched,
+    field
+  };
+}
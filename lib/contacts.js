@@ -0,0 +1,263 @@
+import * as cheerio from "cheerio";
+
+/**
+ * @description Words a label or title of a contact is made of, e.g. "Hiring Manager".
+ */
+const roleWords =
+  /\b(manager|officer|partner|advis[eo]r|lead|leader|director|consultant|co-?ordinator|specialist|recruiter|supervisor|head|executive|analyst|contact|enquiries)\b/i;
+
+/**
+ * @description Capitalised words that start or end a name but aren't part of one.
+ */
+const notNames = new Set(
+  [
+    "About", "Acquisition", "Advisor", "Adviser", "And", "Application", "Applications", "At", "By", "Centre", "Contact",
+    "Coordinator", "Department", "Director", "Email", "Enquiries", "For", "Government", "Hiring", "Hours", "If",
+    "Information", "Lead", "Manager", "Mobile", "Monday", "NSW", "Office", "Officer", "On", "Or", "Our", "Partner",
+    "People", "Phone", "Please", "Position", "Recruitment", "Role", "Service", "Services", "Talent", "Team", "The",
+    "Unit", "Us", "Via", "We", "You"
+  ].map((word) => word.toLowerCase())
+);
+
+/**
+ * @description Mailboxes of a team rather than of a person, whose local part isn't a name.
+ */
+const teamMailboxes = /^(recruit|career|job|talent|hr|people|info|enquir|admin|apply|application|workforce|no-?reply)/i;
+
+const emailPattern = /[a-zA-Z0-9._%+'-]+@[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*\.[a-zA-Z]{2,}/g;
+
+// +61 2 9876 5432, (02) 9876 5432, 0412 345 678, 1300 123 456, 13 22 13, +64 9 123 4567
+const phonePattern = /(?:\+\s?\d{1,3}|\(\s?0\d\s?\)|\b\d)[\d\s().-]{4,16}\d\b/g;
+
+// Words after which a name, e.g. "please contact Jane Smith" or "speak to Dr Sam Lee"
+const nameCues = /\b(?:contact(?:\s+person)?|speak\s+(?:to|with)|call|reach\s+out\s+to|talk\s+to|email)\b\s*(?:is\s+)?/gi;
+
+// Words after which a label, e.g. "contact Talent Acquisition Partner - Jane Smith"
+const cueWords = String.raw`contact|speak\s+(?:to|with)|call|reach\s+out\s+to|talk\s+to`;
+
+// "Jane Smith", "Mary O'Neil" or "Anne-Marie van Dyk", a title skipped
+const namePattern = /\s*[:–—-]?\s*(?:(?:Mr|Mrs|Ms|Miss|Dr)\.?\s+)?([A-Z][a-zA-Z'’-]+(?:\s+(?:(?:van|von|de|da|di|le)\s+)?[A-Z][a-zA-Z'’-]+){1,3})/y;
+
+// "Hiring Manager: Jane Smith" or "Talent Acquisition Partner - Jane Smith", at the start of a
+// sentence or after a cue, e.g. "enquiries contact Talent Acquisition Partner - Jane Smith"
+const labelPattern = new RegExp(
+  String.raw`(?:^|[\n.;•]|\b(?:${cueWords})\b)\s*([A-Z][A-Za-z&/ ]{2,50}?)\s*(?::|\s[–—-])\s*(?=(?:(?:Mr|Mrs|Ms|Miss|Dr)\.?\s+)?[A-Z])`,
+  "g"
+);
+
+// The cue before a label, e.g. "Please contact " of "Please contact Hiring Manager - Jane Smith"
+const labelCue = new RegExp(String.raw`^.*\b(?:${cueWords})\s+`, "i");
+
+// "jane.smith@agency.nsw.gov.au (Jane Smith)", a name after the details it belongs to
+const afterDetailsPattern = /(?:@[\w.-]+\.[a-z]{2,}|\d)\s*\(\s*(?=[A-Z])/g;
+
+// ", Manager Operations," or " (Recruitment Advisor)" after a name
+const suffixRolePattern = /^\s*(?:,|\(|[–—-])\s*([A-Z][^,()\n;:@]{2,60}?)\s*(?=\)|,|;|\n|$|\s(?:on|at|via|by|or|email|phone|mobile|tel)\b)/i;
+
+/**
+ * @description Text of a job description, one line per block so contacts on
+ * different lines aren't read as one.
+ * @param {string} description - HTML or text
+ * @returns {string}
+ */
+export function descriptionText(description) {
+  const $ = cheerio.load(description ?? "");
+  $("br").replaceWith("\n");
+  $("p, div, li, tr, h1, h2, h3, h4, h5, h6").each((_, element) => {
+    $(element).append("\n");
+  });
+  return $.root()
+    .text()
+    .replace(/[ \t ]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+/**
+ * @description Normalises an Australian or international phone number to E.164.
+ * @param {string} text - The number as written, e.g. "(02) 9876 5432" or "+61 (0)412 345 678"
+ * @returns {string|null} e.g. "+61298765432", null when the text isn't a phone number
+ */
+export function normalizePhone(text) {
+  if (!text) return null;
+  const international = /^\s*\+/.test(text);
+  // "+61 (0)2 ..." keeps the trunk prefix in brackets
+  const digits = text.replace(/\(\s*0\s*\)/, "").replace(/\D/g, "");
+
+  let national;
+  if (international && digits.startsWith("61")) {
+    national = digits.slice(2).replace(/^0/, "");
+  } else if (international) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  } else if (/^0[2378]\d{8}$|^04\d{8}$/.test(digits)) {
+    national = digits.slice(1);
+  } else if (/^1[38]00\d{6}$|^13\d{4}$/.test(digits)) {
+    // Local rate and freecall numbers keep their leading 1
+    return `+61${digits}`;
+  } else {
+    return null;
+  }
+  return /^[23478]\d{8}$|^1[38]00\d{6}$|^13\d{4}$/.test(national) ? `+61${national}` : null;
+}
+
+/**
+ * @description Cuts a capitalised run of words down to the name in it, e.g.
+ * "Jane Smith Manager" to "Jane Smith".
+ * @param {string} words
+ * @returns {string|null} null when fewer than two words are left
+ */
+function cleanName(words) {
+  const parts = words.split(/\s+/);
+  const end = parts.findIndex((word) => notNames.has(word.toLowerCase()));
+  const name = end === -1 ? parts : parts.slice(0, end);
+  return name.length >= 2 ? name.join(" ") : null;
+}
+
+/**
+ * @description Reads the title written after a name, e.g. "Jane Smith, Director Operations,".
+ * @param {string} text - The text following the name
+ * @returns {string|null}
+ */
+function roleAfter(text) {
+  const match = text.match(suffixRolePattern);
+  return match && roleWords.test(match[1]) ? match[1].trim() : null;
+}
+
+/**
+ * @description Guesses a name from an email address like jane.smith@agency.nsw.gov.au.
+ * @param {string} email
+ * @returns {string|null}
+ */
+function nameFromEmail(email) {
+  const local = email.split("@")[0];
+  if (teamMailboxes.test(local)) return null;
+  const match = local.match(/^([a-z]{2,})[._]([a-z]{2,})(?:\d*)$/i);
+  return match ? match.slice(1).map((word) => word[0].toUpperCase() + word.slice(1).toLowerCase()).join(" ") : null;
+}
+
+/**
+ * @description Finds the names of people in the text, with their title when written next to it.
+ * @param {string} text
+ * @returns {Array<{index: number, kind: string, name: string, role: string|null}>}
+ */
+function findNames(text) {
+  const names = [];
+  const readName = (start, role) => {
+    namePattern.lastIndex = start;
+    const match = namePattern.exec(text);
+    const name = match && cleanName(match[1]);
+    if (!name) return;
+    const end = match.index + match[0].indexOf(match[1]) + name.length;
+    names.push({ index: start, kind: "name", name, role: role ?? roleAfter(text.slice(end)) });
+  };
+
+  for (const cue of text.matchAll(nameCues)) {
+    readName(cue.index + cue[0].length, null);
+  }
+  for (const label of text.matchAll(labelPattern)) {
+    const labelled = label[1].trim();
+    const afterCue = labelled.replace(labelCue, "");
+    const title = afterCue !== labelled && roleWords.test(afterCue) ? afterCue : labelled;
+    if (!roleWords.test(title)) continue;
+    // "Contact: Jane Smith" is a label without a title
+    readName(label.index + label[0].length, /^(contact|enquiries)$/i.test(title) ? null : title);
+  }
+
+  for (const details of text.matchAll(afterDetailsPattern)) {
+    readName(details.index + details[0].length, null);
+  }
+
+  // A name found both after a cue and after a label is kept once, with its title
+  const unique = [];
+  for (const name of names.sort((a, b) => a.index - b.index)) {
+    const same = unique.find((other) => other.name === name.name && name.index - other.index < 40);
+    if (same) same.role ??= name.role;
+    else unique.push(name);
+  }
+  return unique;
+}
+
+/**
+ * @description Whether an email or phone number belongs to the contact last
+ * mentioned at `from`: on the same line, or on the next line by itself or
+ * after a label, e.g. "Jane Smith" then "Phone: 0412 345 678".
+ * @param {string} text
+ * @param {number} from - Where the contact was last mentioned
+ * @param {number} at - Where the email or phone number is
+ * @returns {boolean}
+ */
+function belongsTo(text, from, at) {
+  const between = text.slice(from, at);
+  if (at - from > 250) return false;
+  if (!between.includes("\n")) return true;
+  const lines = between.split("\n");
+  return lines.length === 2 && /^\s*(?:(?:e-?mail|phone|ph|mobile|mob|tel|telephone|[epmt])\s*[:.]?\s*)?$/i.test(lines[1]);
+}
+
+/**
+ * @description Finds the people to contact about a job, e.g. a hiring manager
+ * and a recruitment contact. Emails and phone numbers belong to the name
+ * written before them in the same paragraph, otherwise they're a contact of
+ * their own.
+ * @param {string} description - The job description, HTML or text
+ * @returns {Array<{name: string|null, role: string|null, email: string|null, phone: string|null}>}
+ * phone in E.164, e.g. "+61298765432"
+ */
+export function extractContacts(description) {
+  const text = descriptionText(description);
+  if (!text) return [];
+
+  const mentions = [
+    ...findNames(text),
+    ...[...text.matchAll(emailPattern)].map((match) => ({
+      index: match.index,
+      kind: "email",
+      value: match[0].replace(/^[.'-]+|[.'-]+$/g, "").toLowerCase()
+    })),
+    ...[...text.matchAll(phonePattern)]
+      .map((match) => ({ index: match.index, kind: "phone", value: normalizePhone(match[0]) }))
+      .filter(({ value }) => value)
+  ].sort((a, b) => a.index - b.index);
+
+  const contacts = [];
+  let current = null;
+  for (const mention of mentions) {
+    if (mention.kind === "name") {
+      const known = contacts.find(({ name }) => name === mention.name);
+      current = known ?? { name: mention.name, role: mention.role, email: null, phone: null };
+      current.lastIndex = mention.index;
+      if (known) known.role ??= mention.role;
+      else contacts.push(current);
+      continue;
+    }
+
+    const field = mention.kind;
+    if (contacts.some((contact) => contact[field] === mention.value)) continue;
+    if (current && !current[field] && belongsTo(text, current.lastIndex, mention.index)) {
+      current[field] = mention.value;
+      current.lastIndex = mention.index;
+    } else {
+      current = { name: null, role: null, email: null, phone: null, lastIndex: mention.index, [field]: mention.value };
+      contacts.push(current);
+    }
+  }
+
+  // "jane.smith@..." with nobody named nearby, or named after their details
+  const named = contacts.filter(({ name }) => name);
+  const letters = (name) => name.toLowerCase().replace(/[^a-z]/g, "");
+  const result = [];
+  for (const contact of contacts) {
+    if (!contact.name && contact.email) {
+      const guess = nameFromEmail(contact.email);
+      const owner = guess && named.find(({ name, email }) => !email && letters(name) === letters(guess));
+      if (owner) {
+        owner.email = contact.email;
+        owner.phone ??= contact.phone;
+        continue;
+      }
+      contact.name = guess;
+    }
+    result.push(contact);
+  }
+  return result.map(({ name, role, email, phone }) => ({ name, role, email, phone }));
+}
@@ -0,0 +1,148 @@
+import { DateTime, Duration } from "luxon";
+
+/**
+ * @description Time zone of every date the scraper stores or shows. The job
+ * sites show NSW times, so dates are read and written in Sydney time whatever
+ * the time zone of the machine running the spiders.
+ */
+export const TIME_ZONE = "Australia/Sydney";
+
+const months = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const relativeUnits = { s: "seconds", m: "minutes", mo: "months", h: "hours", d: "days", w: "weeks", y: "years" };
+
+/**
+ * @description The current time in Sydney.
+ * @returns {DateTime}
+ */
+export const now = () => DateTime.now().setZone(TIME_ZONE);
+
+/**
+ * @description Day in Sydney, as snapshots, diffs and lifecycles are keyed, e.g. "2025-05-05".
+ * @param {DateTime} [at]
+ * @returns {string}
+ */
+export const today = (at = now()) => at.setZone(TIME_ZONE).toISODate();
+
+/**
+ * @description Time in Sydney safe to use in file names, e.g. "2025-05-05-14-30-00".
+ * @param {DateTime} [at]
+ * @returns {string}
+ */
+export const timestamp = (at = now()) => at.setZone(TIME_ZONE).toFormat("yyyy-MM-dd-HH-mm-ss");
+
+/**
+ * @description Parses a date as written on the job sites or by older versions of the scraper:
+ * - "11 May 2025", "Sunday 11 May 2025, 11:59 pm" or "5-May-2025"
+ * - "11/05/2025", day first
+ * - "Listed 3d ago", "Posted 2h ago" or "30+ days ago", relative to `reference`
+ * - ISO 8601, or the "2025-05-05-14-30-00" timestamps of file names
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {DateTime} [options.reference] - When a relative date was read, defaults to now
+ * @param {boolean} [options.endOfDay] - Read a day without a time as 11:59 pm, as for closing dates, instead of midnight
+ * @returns {DateTime|null} The date in Sydney time, null when the text isn't a date
+ */
+export function parseDate(text, { reference = now(), endOfDay = false } = {}) {
+  if (!text) return null;
+  const value = text.trim();
+  const dayTime = endOfDay ? { hour: 23, minute: 59 } : { hour: 0, minute: 0 };
+  const at = (date) => {
+    const parsed = DateTime.fromObject(date, { zone: TIME_ZONE });
+    return parsed.isValid ? parsed : null;
+  };
+
+  const stamp = value.match(/^(\d{4})-(\d{2})-(\d{2})-(\d{2})-(\d{2})-(\d{2})$/);
+  if (stamp) {
+    const [year, month, day, hour, minute, second] = stamp.slice(1).map(Number);
+    return at({ year, month, day, hour, minute, second });
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const parsed = DateTime.fromISO(value, { zone: TIME_ZONE });
+    if (!parsed.isValid) return null;
+    return value.length === 10 ? parsed.set(dayTime) : parsed.setZone(TIME_ZONE);
+  }
+
+  const relative = value.match(/(\d+)\+?\s*(mo|[smhdwy])[a-z]*\s+ago/i);
+  if (relative) {
+    return reference.setZone(TIME_ZONE).minus({ [relativeUnits[relative[2].toLowerCase()]]: Number(relative[1]) });
+  }
+  if (/\b(today|just now)\b/i.test(value)) return reference.setZone(TIME_ZONE);
+  if (/\byesterday\b/i.test(value)) return reference.setZone(TIME_ZONE).minus({ days: 1 });
+
+  const time = value.match(/(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?m\b/i);
+  const clock = time
+    ? { hour: (Number(time[1]) % 12) + (time[3].toLowerCase() === "p" ? 12 : 0), minute: Number(time[2] ?? 0) }
+    : dayTime;
+
+  const written = value.match(/(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]{3,9})\.?,?[\s-]+(\d{4})/);
+  if (written) {
+    const month = months.indexOf(written[2].slice(0, 3).toLowerCase()) + 1;
+    return month ? at({ year: Number(written[3]), month, day: Number(written[1]), ...clock }) : null;
+  }
+
+  const numeric = value.match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (numeric) {
+    return at({ year: Number(numeric[3]), month: Number(numeric[2]), day: Number(numeric[1]), ...clock });
+  }
+  return null;
+}
+
+/**
+ * @description Parses a length of time, e.g. "3 days", "24 hours" or "2w".
+ * @param {string} text
+ * @returns {Duration}
+ */
+export function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(mo|[smhdwy])[a-z]*$/i);
+  if (!match) throw new Error(`"${text}" is not a length of time, e.g. "3 days" or "24 hours"`);
+  return Duration.fromObject({ [relativeUnits[match[2].toLowerCase()]]: Number(match[1]) });
+}
+
+/**
+ * @description Reads a stored date, either a { raw, iso } date of a job record
+ * or a string stored by an older version of the scraper.
+ * @param {{raw: string, iso: string|null}|string|null} value
+ * @param {Object} [options] - See parseDate()
+ * @returns {DateTime|null}
+ */
+export function toDateTime(value, options = {}) {
+  if (!value) return null;
+  if (typeof value === "string") return parseDate(value, options);
+  return value.iso ? DateTime.fromISO(value.iso, { zone: TIME_ZONE }) : parseDate(value.raw, options);
+}
+
+/**
+ * @description Keeps a date as written on the site along with its ISO 8601 form in Sydney time.
+ * @param {string|null} raw
+ * @param {Object} [options] - See parseDate()
+ * @returns {{raw: string, iso: string|null}|null} iso is null when the date couldn't be parsed
+ */
+export function normalizeDate(raw, options = {}) {
+  if (!raw) return null;
+  return { raw, iso: toIso(parseDate(raw, options)) };
+}
+
+/**
+ * @description ISO 8601 form of a date, e.g. "2025-05-11T23:59:00+10:00".
+ * @param {DateTime|{raw: string, iso: string|null}|string|null} value
+ * @param {Object} [options] - See parseDate(), for stored dates
+ * @returns {string|null}
+ */
+export function toIso(value, options = {}) {
+  const date = DateTime.isDateTime(value) ? value : toDateTime(value, options);
+  return date?.toISO({ suppressMilliseconds: true }) ?? null;
+}
+
+/**
+ * @description Formats a date for people to read, in Sydney time.
+ * @param {DateTime|{raw: string, iso: string|null}|string|null} value
+ * @param {string} [format] - Luxon format, defaults to e.g. "11 May 2025"
+ * @returns {string|null} null when there's no date, the raw text when it couldn't be parsed
+ */
+export function formatDate(value, format = "d MMMM yyyy") {
+  const date = DateTime.isDateTime(value) ? value : toDateTime(value);
+  if (!date) return value?.raw ?? (typeof value === "string" ? value : null);
+  return date.setZone(TIME_ZONE).toFormat(format);
+}
@@ -0,0 +1,64 @@
+import { contentVersion } from "./diff.js";
+import { now, toIso } from "./dates.js";
+
+/**
+ * @description Key of a delivery in the delivery ledger. The version is part
+ * of it, so a job that changes materially, see contentVersion(), is sent again.
+ * @param {{channel: string, recipient: string, source: string, sourceId: string, version: string}} delivery
+ * @returns {string}
+ */
+const deliveryKey = ({ channel, recipient, source, sourceId, version }) =>
+  [channel, recipient, source, sourceId, version].join("|");
+
+/**
+ * @description The jobs of a record with the version of each, the version of
+ * a job linked by collapseLinked() being the one of its own ad.
+ * @param {Object} record - Job record, or jobs linked by collapseLinked()
+ * @returns {Array<{source: string, sourceId: string, version: string}>}
+ */
+const versionedSources = (record) =>
+  (record.sources ?? [record]).map(({ source, sourceId, version }) => ({
+    source,
+    sourceId,
+    version: version ?? contentVersion(record)
+  }));
+
+/**
+ * @description The jobs a recipient hasn't been sent in their current version.
+ * A vacancy advertised on several sites, see collapseLinked(), counts as sent
+ * when any of its jobs was, in the version of that job's ad.
+ * @param {Array<Object>} records - Job records, or jobs linked by collapseLinked()
+ * @param {Array<Object>} sent - The delivery ledger, see Storage#loadDeliveries()
+ * @param {{channel: string, recipient: string}} to - e.g. { channel: "email", recipient: "jane@example.com" }
+ * @returns {Array<Object>}
+ */
+export function undelivered(records, sent, { channel, recipient }) {
+  const sentKeys = new Set(sent.map(deliveryKey));
+  return records.filter(
+    (record) =>
+      !versionedSources(record).some(({ source, sourceId, version }) =>
+        sentKeys.has(deliveryKey({ channel, recipient, source, sourceId, version }))
+      )
+  );
+}
+
+/**
+ * @description The entries of the delivery ledger for jobs just sent, one per
+ * job of a linked vacancy with the version of its own ad.
+ * @param {{channel: string, recipient: string}} to - Who they were sent to
+ * @param {Array<Object>} records - Job records, or jobs linked by collapseLinked()
+ * @param {DateTime} [at] - When they were sent
+ * @returns {Array<{channel: string, recipient: string, source: string, sourceId: string, version: string, sentAt: string}>}
+ */
+export function deliveryLog({ channel, recipient }, records, at = now()) {
+  return records.flatMap((record) =>
+    versionedSources(record).map(({ source, sourceId, version }) => ({
+      channel,
+      recipient,
+      source,
+      sourceId,
+      version,
+      sentAt: toIso(at)
+    }))
+  );
+}
@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import { toDateTime, toIso } from "./dates.js";
+
+/**
+ * @description Fields of a job record compared between runs, and how a change
+ * to each is described.
+ */
+const fields = [
+  { name: "title", label: "title re-worded", get: (record) => record.title },
+  // Compared in ISO, so a date re-worded on the site, e.g. with the time added, isn't a change
+  {
+    name: "closingDate",
+    label: "closing date changed",
+    get: (record) => toIso(record.dates.closing, { endOfDay: true }) ?? record.dates.closing?.raw ?? record.dates.closing
+  },
+  { name: "salary", label: "remuneration changed", get: (record) => record.salary.text },
+  { name: "employer", label: "employer changed", get: (record) => record.employer },
+  { name: "locations", label: "location changed", get: (record) => record.locations },
+  { name: "employmentType", label: "employment type changed", get: (record) => record.employmentType }
+];
+
+/**
+ * @description Version of the fields of a job record compared between runs. It
+ * changes when the job changes in a way diffRecords() reports, not when e.g.
+ * the description is re-worded.
+ * @param {Object} record - Job record
+ * @returns {string} e.g. "3f2a9c1b7d4e"
+ */
+export function contentVersion(record) {
+  const values = fields.map(({ get }) => get(record));
+  return crypto.createHash("sha256").update(JSON.stringify(values)).digest("hex").slice(0, 12);
+}
+
+/**
+ * @description Names of the searches of a run that failed.
+ * @param {Object} metadata - Metadata of the run's snapshot
+ * @returns {Array<string>}
+ */
+export function failedSearches(metadata) {
+  return Object.entries(metadata?.searches ?? {})
+    .filter(([, search]) => search.error)
+    .map(([name]) => name);
+}
+
+/**
+ * @description Describes a change to the closing date as extended or brought forward when both dates parse.
+ * @param {string} before
+ * @param {string} after
+ * @returns {string}
+ */
+function closingDateLabel(before, after) {
+  const [from, to] = [toDateTime(before, { endOfDay: true }), toDateTime(after, { endOfDay: true })];
+  if (!from || !to) return "closing date changed";
+  return to > from ? "closing date extended" : "closing date brought forward";
+}
+
+/**
+ * @description Compares the job records of two runs of the same spider.
+ * @param {Array<Object>} previous - Job records of the previous run
+ * @param {Array<Object>} current - Job records of this run
+ * @param {Object} [options]
+ * @param {Array<string>} [options.invalid] - Ids of the jobs of this run whose record failed the
+ * job schema, still advertised so not removed
+ * @param {Array<string>} [options.failedSearches] - Searches of this run that failed, the jobs
+ * only they found may still be advertised so are not removed
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<{record: Object, changes: Array<Object>}>}}
+ * Jobs only in this run, jobs only in the previous run, and jobs in both
+ * whose fields changed, each change being { field, label, before, after }
+ */
+export function diffRecords(previous, current, { invalid = [], failedSearches = [] } = {}) {
+  const previousById = new Map(previous.map((record) => [record.sourceId, record]));
+  const currentIds = new Set([...current.map((record) => record.sourceId), ...invalid]);
+
+  const added = [];
+  const changed = [];
+  for (const record of current) {
+    const before = previousById.get(record.sourceId);
+    if (!before) {
+      added.push(record);
+      continue;
+    }
+
+    const changes = fields
+      .map(({ name, label, get }) => ({ field: name, label, before: get(before), after: get(record) }))
+      .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after))
+      .map((change) =>
+        change.field === "closingDate" && change.before && change.after
+          ? { ...change, label: closingDateLabel(change.before, change.after) }
+          : change
+      );
+    if (changes.length) changed.push({ record, changes });
+  }
+
+  // A job without the searches that found it may have been found by one that failed
+  const missed = (record) =>
+    record.searches?.length ? record.searches.every((name) => failedSearches.includes(name)) : failedSearches.length > 0;
+  const removed = previous.filter((record) => !currentIds.has(record.sourceId) && !missed(record));
+  return { added, removed, changed };
+}
+
+/**
+ * @description Diffs a snapshot against the previous snapshot of the same spider. The previous
+ * snapshot is the last complete one, so the jobs a failed search missed don't come back as new.
+ * @param {string} source - File prefix of the spider
+ * @param {{date: string, records: Array}|null} previous - The last complete snapshot, null on the first run
+ * @param {{date: string, metadata: Object, records: Array}} current - The snapshot of this run
+ * @returns {Object} The diff, with the dates compared and whether the run was partial
+ */
+export function diffSnapshots(source, previous, current) {
+  const failed = failedSearches(current.metadata);
+  return {
+    source,
+    date: current.date,
+    previousDate: previous?.date ?? null,
+    partial: failed.length > 0,
+    ...diffRecords(previous?.records ?? [], current.records, {
+      invalid: (current.metadata.schema_errors ?? []).map(({ sourceId }) => sourceId),
+      failedSearches: failed
+    })
+  };
+}
+
+/**
+ * @description Counts the changes of a diff by kind, e.g. { "new": 3, "closing date extended": 1 }
+ * @param {Object} diff
+ * @returns {Object<string, number>}
+ */
+export function countChanges(diff) {
+  const counts = {};
+  const add = (label, count = 1) => count && (counts[label] = (counts[label] ?? 0) + count);
+
+  add("new", diff.added.length);
+  add("removed", diff.removed.length);
+  diff.changed.forEach(({ changes }) => changes.forEach((change) => add(change.label)));
+  return counts;
+}
+
+/**
+ * @description Summarises one or more diffs in a sentence, e.g. "3 new, 1 closing date extended".
+ * @param {Object|Array<Object>} diffs
+ * @returns {string}
+ */
+export function summarizeDiff(diffs) {
+  const counts = {};
+  for (const diff of [diffs].flat()) {
+    Object.entries(countChanges(diff)).forEach(([label, count]) => (counts[label] = (counts[label] ?? 0) + count));
+  }
+
+  const parts = Object.entries(counts).map(([label, count]) => `${count} ${label}`);
+  return parts.length ? parts.join(", ") : "no changes";
+}
@@ -0,0 +1,126 @@
+import * as cheerio from "cheerio";
+
+/**
+ * @description Kinds of document a job ad links to, checked in order against
+ * the link text, its title, the text around it and finally its url.
+ */
+export const documentTypes = [
+  { type: "role-description", pattern: /role\s+description|position\s+description|role\s+profile/i },
+  { type: "statement-of-works", pattern: /statement\s+of\s+works?|\bSOW\b/i },
+  {
+    type: "information-pack",
+    pattern: /(information|candidate|applicant|recruitment|info)\s+(pack|package|booklet)|job\s+pack/i
+  },
+  {
+    type: "application-guide",
+    pattern: /application\s+guide|applicant\s+guide|guide\s+(for|to)\s+applicants?|how\s+to\s+apply|tips\s+for\s+applying/i
+  },
+  { type: "selection-criteria", pattern: /selection\s+criteria|targeted\s+questions?|capability\s+questions?/i }
+];
+
+/**
+ * @description Links that are documents whatever their text: files by
+ * extension, and the download links of the document systems agencies use.
+ */
+const documentUrls = [
+  /\.(pdf|docx?|rtf|odt)(?:[?#]|$)/i,
+  // Squiz Matrix, used by dpie.nsw.gov.au and other agency sites
+  /\/__data\/assets\/(?:pdf_file|word_doc|file)\//i,
+  /[?&]a=\d+(?:&|$)/,
+  // SharePoint and OneDrive
+  /sharepoint\.com\/:[bwx]:\//i,
+  /\/_layouts\/15\/(?:download|Doc)\.aspx/i,
+  /1drv\.ms\//i,
+  // Objective Connect and other Objective ECM links
+  /objective\.com(?:\.au)?\//i,
+  /\/id:[A-Z]{1,3}\d+/i,
+  /drive\.google\.com\/file\//i,
+  /\/download(?:[/?]|$)/i
+];
+
+/**
+ * @description Text of the block a link is in, and of the block before it,
+ * which often introduces the link, e.g. "Role Description:" then "click here".
+ * @param {cheerio.Cheerio} link
+ * @returns {string}
+ */
+function linkContext(link) {
+  const block = link.closest("p, li, td, dd, div");
+  return [block.prev().text(), block.text()].join(" ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * @description Classifies a document from the first of its link text, title,
+ * context and url that names a kind of document.
+ * @param {Array<string>} texts
+ * @param {Array<{type: string, pattern: RegExp}>} types
+ * @returns {string} One of types, "document" when none match
+ */
+function classify(texts, types) {
+  for (const text of texts) {
+    const match = types.find(({ pattern }) => pattern.test(text ?? ""));
+    if (match) return match.type;
+  }
+  return "document";
+}
+
+/**
+ * @description Finds the documents a job description links to.
+ * @param {string} html - The job description HTML
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Url of the job, to resolve relative links
+ * @param {Array<string>} [options.hosts] - Hosts whose links are always documents, e.g. an agency's document server
+ * @param {Array<{type: string, pattern: RegExp|string}>} [options.types] - Extra document types, checked before the built in ones
+ * @returns {Array<{url: string, type: string, title: string}>}
+ */
+export function discoverDocuments(html, { baseUrl, hosts = [], types = [] } = {}) {
+  const $ = cheerio.load(html ?? "");
+  const rules = [
+    ...types.map(({ type, pattern }) => ({ type, pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern, "i") })),
+    ...documentTypes
+  ];
+
+  const documents = new Map();
+  $("a[href]").each((_, element) => {
+    const link = $(element);
+    let url;
+    try {
+      url = new URL(link.attr("href").trim(), baseUrl);
+    } catch {
+      return;
+    }
+    if (!/^https?:$/.test(url.protocol) || documents.has(url.href)) return;
+
+    const text = link.text().replace(/\s+/g, " ").trim();
+    const title = link.attr("title");
+    const context = linkContext(link);
+    const isDocument =
+      documentUrls.some((pattern) => pattern.test(url.href)) ||
+      hosts.some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`)) ||
+      // A link named after a kind of document, e.g. "Role Description" to a page that serves it
+      rules.some(({ pattern }) => pattern.test(text) || pattern.test(title ?? ""));
+    if (!isDocument) return;
+
+    documents.set(url.href, {
+      url: url.href,
+      type: classify([text, title, context, decodeURIComponent(url.pathname)], rules),
+      title: text || title || decodeURIComponent(url.pathname.split("/").pop()) || "Document"
+    });
+  });
+  return [...documents.values()];
+}
+
+/**
+ * @description Document discovery settings for an agency, the defaults of
+ * config.documents merged with the agency's own.
+ * @param {Object} settings - config.documents
+ * @param {string} [agency] - Name of the agency advertising the job
+ * @returns {{hosts: Array<string>, types: Array<Object>}}
+ */
+export function agencyDocumentSettings(settings = {}, agency = "") {
+  const matching = (settings.agencies ?? []).filter(({ match }) => agency.toLowerCase().includes(match.toLowerCase()));
+  return {
+    hosts: [...(settings.hosts ?? []), ...matching.flatMap(({ hosts = [] }) => hosts)],
+    types: [...matching.flatMap(({ types = [] }) => types), ...(settings.types ?? [])]
+  };
+}
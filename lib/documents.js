@@ -0,0 +1,271 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import pdf from "pdf-parse/lib/pdf-parse.js";
+import mammoth from "mammoth";
+import WordExtractor from "word-extractor";
+import { now, toIso } from "./dates.js";
+
+/**
+ * @description Directory the documents linked from job ads are downloaded to.
+ */
+export const documentsDirectory = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "database", "jobs", "files");
+
+/**
+ * @description Capabilities of the NSW Public Sector Capability Framework, by group.
+ */
+export const capabilityGroups = {
+  "Personal Attributes": [
+    "Display Resilience and Courage",
+    "Act with Integrity",
+    "Manage Self",
+    "Value Diversity and Inclusion"
+  ],
+  Relationships: [
+    "Communicate Effectively",
+    "Commit to Customer Service",
+    "Work Collaboratively",
+    "Influence and Negotiate"
+  ],
+  Results: ["Deliver Results", "Plan and Prioritise", "Think and Solve Problems", "Demonstrate Accountability"],
+  "Business Enablers": ["Finance", "Technology", "Procurement and Contract Management", "Project Management"],
+  "People Management": [
+    "Manage and Develop People",
+    "Inspire Direction and Purpose",
+    "Optimise Business Outcomes",
+    "Manage Reform and Change"
+  ]
+};
+
+/**
+ * @description Levels of the Capability Framework, lowest first.
+ */
+export const capabilityLevels = ["Foundational", "Intermediate", "Adept", "Advanced", "Highly Advanced"];
+
+/**
+ * @description Headings of the sections of a role description, in the order they usually appear.
+ */
+const headings = {
+  primaryPurpose: /primary purpose of the role/i,
+  keyAccountabilities: /key accountabilities/i,
+  keyChallenges: /key challenges/i,
+  keyRelationships: /key relationships/i,
+  roleDimensions: /role dimensions/i,
+  essentialRequirements: /essential requirements/i,
+  capabilities: /capabilities for the role/i,
+  focusCapabilities: /focus capabilities/i,
+  complementaryCapabilities: /complementary capabilities|occupation specific capabilit/i,
+  capabilitySummary: /capability summary/i
+};
+
+/**
+ * @description Detects the type of a file from its first bytes, as the job
+ * sites don't always send the right content type, e.g. Word documents as PDFs.
+ * @param {Buffer} buffer - The file
+ * @returns {{mime: string, extension: string}}
+ */
+export function detectFileType(buffer) {
+  const start = buffer.subarray(0, 8).toString("latin1");
+  if (start.startsWith("%PDF")) return { mime: "application/pdf", extension: "pdf" };
+  if (start.startsWith("PK\x03\x04")) {
+    // Office documents are zip files, told apart by the folders inside
+    const names = buffer.toString("latin1");
+    if (names.includes("word/")) {
+      return { mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", extension: "docx" };
+    }
+    if (names.includes("xl/")) {
+      return { mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" };
+    }
+    if (names.includes("ppt/")) {
+      return { mime: "application/vnd.openxmlformats-officedocument.presentationml.presentation", extension: "pptx" };
+    }
+    return { mime: "application/zip", extension: "zip" };
+  }
+  if (buffer.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]))) {
+    return { mime: "application/msword", extension: "doc" };
+  }
+  if (start.startsWith("{\\rtf")) return { mime: "application/rtf", extension: "rtf" };
+  if (/^\s*<(!doctype html|html)/i.test(buffer.subarray(0, 512).toString("utf8"))) {
+    return { mime: "text/html", extension: "html" };
+  }
+  return { mime: "application/octet-stream", extension: "bin" };
+}
+
+/**
+ * @description Reads the text of a PDF, Word (.docx) or legacy Word (.doc) document.
+ * @param {Buffer} buffer - The document
+ * @returns {Promise<{format: string, text: string}>} format is pdf, docx or doc
+ */
+export async function extractText(buffer) {
+  const { extension } = detectFileType(buffer);
+  if (extension === "pdf") {
+    const { text } = await pdf(buffer);
+    return { format: "pdf", text };
+  }
+  if (extension === "docx") {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return { format: "docx", text: value };
+  }
+  if (extension === "doc") {
+    const document = await new WordExtractor().extract(buffer);
+    return { format: "doc", text: document.getBody() };
+  }
+  throw new Error(`Unsupported document format ${extension}, expected a PDF or Word document`);
+}
+
+/**
+ * @description Splits a role description into its sections.
+ * @param {string} text
+ * @returns {Object<string, string>} Text of each section found, keyed like `headings`
+ */
+function splitSections(text) {
+  const found = Object.entries(headings)
+    .map(([name, pattern]) => {
+      const match = text.match(new RegExp(`^\\s*(?:${pattern.source})[^\\n]*$`, "im"));
+      return match && { name, start: match.index, end: match.index + match[0].length };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  return Object.fromEntries(
+    found.map(({ name, end }, index) => [name, text.slice(end, found[index + 1]?.start ?? text.length).trim()])
+  );
+}
+
+/**
+ * @description Splits a section into its points, joining lines a PDF wrapped.
+ * @param {string} [section]
+ * @returns {Array<string>}
+ */
+function points(section = "") {
+  const lines = section
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const bullet = /^[•▪●◦\-–*]\s*|^\d+[.)]\s+/;
+  if (!lines.some((line) => bullet.test(line))) return lines;
+
+  const items = [];
+  for (const line of lines) {
+    if (bullet.test(line) || !items.length) {
+      items.push(line.replace(bullet, ""));
+    } else {
+      items[items.length - 1] += ` ${line}`;
+    }
+  }
+  return items;
+}
+
+/**
+ * @description Reads the key relationships table, rows being who the role
+ * works with followed by the reasons why.
+ * @param {string} [section]
+ * @returns {Array<{who: string, why: Array<string>, internal: boolean}>}
+ */
+function relationships(section = "") {
+  const rows = [];
+  let internal = true;
+  for (const line of section.split("\n").map((line) => line.trim()).filter(Boolean)) {
+    if (/^(who|why|who\s+why)$/i.test(line)) continue;
+    if (/^(internal|external)$/i.test(line)) {
+      internal = /^internal$/i.test(line);
+      continue;
+    }
+
+    const reason = line.match(/^[•▪●◦\-–*]\s*(.+)/);
+    if (reason && rows.length) {
+      rows[rows.length - 1].why.push(reason[1]);
+    } else if (!reason) {
+      // "Manager • Receive guidance" keeps the first reason on the same line
+      const [who, ...why] = line.split(/\s*[•▪●]\s*/);
+      rows.push({ who, why: why.filter(Boolean), internal });
+    }
+  }
+  return rows;
+}
+
+/**
+ * @description Finds the capabilities listed in a section with their level,
+ * e.g. "Act with Integrity Adept" from the capability summary table.
+ * @param {string} [section]
+ * @returns {Array<{group: string, name: string, level: string}>}
+ */
+function capabilities(section = "") {
+  const text = section.replace(/\s+/g, " ");
+  const levels = [...capabilityLevels].reverse().join("|");
+
+  return Object.entries(capabilityGroups).flatMap(([group, names]) =>
+    names
+      .map((name) => {
+        const match = text.match(new RegExp(`${name.replace(/\s+/g, "\\s+")}\\s+(${levels})\\b`, "i"));
+        const level = match && capabilityLevels.find((value) => value.toLowerCase() === match[1].toLowerCase());
+        return level && { group, name, level };
+      })
+      .filter(Boolean)
+  );
+}
+
+/**
+ * @description Mines a role description for the sections of the NSW Capability Framework.
+ * @param {string} text - Text of the role description
+ * @returns {{capabilities: Array<{group: string, name: string, level: string, focus: boolean}>,
+ * keyAccountabilities: Array<string>, essentialRequirements: Array<string>,
+ * keyRelationships: Array<Object>}|null} null when the text isn't a role description
+ */
+export function parseRoleDescription(text) {
+  const sections = splitSections(text.replace(/\r/g, ""));
+  if (!Object.keys(sections).length) return null;
+
+  const focus = new Set(capabilities(sections.focusCapabilities).map(({ name }) => name));
+  // The summary lists every capability, the focus section only repeats the ones in focus
+  const all = capabilities(
+    [
+      sections.capabilities,
+      sections.focusCapabilities,
+      sections.complementaryCapabilities,
+      sections.capabilitySummary
+    ].join("\n")
+  );
+
+  return {
+    capabilities: all.map((capability) => ({ ...capability, focus: focus.has(capability.name) })),
+    keyAccountabilities: points(sections.keyAccountabilities),
+    essentialRequirements: points(sections.essentialRequirements),
+    keyRelationships: relationships(sections.keyRelationships)
+  };
+}
+
+/**
+ * @description Reads a downloaded document and mines it if it is a role description.
+ * @param {string} filePath
+ * @returns {Promise<{format: string, text: string, roleDescription: Object|null}>}
+ */
+export async function readDocument(filePath) {
+  const { format, text } = await extractText(fs.readFileSync(filePath));
+  return { format, text, roleDescription: parseRoleDescription(text) };
+}
+
+/**
+ * @description Extracts the text of a downloaded document to a .txt file next
+ * to it, for the details.documents entry of its job.
+ * @param {string} filePath
+ * @returns {Promise<Object>} format, textFile and roleDescription, or extractionError when the document couldn't be read
+ */
+export async function extractDocument(filePath) {
+  const extractedAt = toIso(now());
+  const textPath = `${filePath}.txt`;
+  try {
+    // Stored documents are named by their content, so a text file next to one is always its text
+    if (fs.existsSync(textPath)) {
+      const text = fs.readFileSync(textPath, "utf8");
+      const { extension: format } = detectFileType(fs.readFileSync(filePath));
+      return { format, textFile: path.basename(textPath), roleDescription: parseRoleDescription(text), extractedAt };
+    }
+
+    const { format, text, roleDescription } = await readDocument(filePath);
+    fs.writeFileSync(textPath, text);
+    return { format, textFile: path.basename(textPath), roleDescription, extractedAt };
+  } catch (error) {
+    return { extractionError: error.message, extractedAt };
+  }
+}
@@ -0,0 +1,208 @@
+import { parseClosingDate } from "./lifecycle.js";
+import { contentVersion } from "./diff.js";
+import { now, toIso } from "./dates.js";
+
+/**
+ * @description Minimum confidence for two jobs to be linked as the same vacancy.
+ */
+export const LINK_THRESHOLD = 0.7;
+
+/**
+ * @description How much each signal counts towards the confidence. Signals
+ * that can't be computed, e.g. a missing description, are left out and the
+ * remaining weights scaled up.
+ */
+const weights = {
+  title: 0.35,
+  employer: 0.15,
+  location: 0.15,
+  closingDate: 0.15,
+  description: 0.2
+};
+
+/**
+ * @description Words too common in job ads to tell two jobs apart.
+ */
+const stopWords = new Set([
+  "a", "an", "and", "the", "of", "for", "in", "to", "on", "at", "with", "or",
+  "nsw", "department", "dept", "government", "regional", "greater", "office"
+]);
+
+/**
+ * @description Splits text into normalized words, without HTML, punctuation and stop words.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text = "") {
+  return (text ?? "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&amp;/g, "&")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !stopWords.has(word));
+}
+
+/**
+ * @description Jaccard similarity of two sets, 0 when both are empty.
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((item) => b.has(item) && shared++);
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * @description Sets of consecutive word triples, so descriptions compare by phrasing and not only vocabulary.
+ * @param {Array<string>} words
+ * @returns {Set<string>}
+ */
+function shingles(words) {
+  const set = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) set.add(words.slice(i, i + 3).join(" "));
+  return set;
+}
+
+/**
+ * @description Scores how alike two job records are on each signal.
+ * @param {Object} a - Job record
+ * @param {Object} b - Job record
+ * @returns {Object<string, number|null>} Score between 0 and 1 per signal, null when it can't be computed
+ */
+export function compareRecords(a, b) {
+  const closingA = parseClosingDate(a.dates.closing);
+  const closingB = parseClosingDate(b.dates.closing);
+  const daysApart = closingA && closingB ? Math.abs(closingA.diff(closingB, "days").days) : null;
+
+  const descriptionA = tokenize(a.description ?? a.summary);
+  const descriptionB = tokenize(b.description ?? b.summary);
+
+  return {
+    title: jaccard(new Set(tokenize(a.title)), new Set(tokenize(b.title))),
+    employer: jaccard(
+      new Set(tokenize(`${a.employer} ${a.department ?? ""}`)),
+      new Set(tokenize(`${b.employer} ${b.department ?? ""}`))
+    ),
+    location: jaccard(new Set(tokenize(a.locations.join(" "))), new Set(tokenize(b.locations.join(" ")))),
+    closingDate: daysApart === null ? null : daysApart < 1 ? 1 : daysApart <= 3 ? 0.5 : 0,
+    description:
+      descriptionA.length >= 3 && descriptionB.length >= 3
+        ? jaccard(shingles(descriptionA), shingles(descriptionB))
+        : null
+  };
+}
+
+/**
+ * @description Combines the signals of compareRecords() into a confidence between 0 and 1.
+ * @param {Object<string, number|null>} signals
+ * @returns {number}
+ */
+export function confidence(signals) {
+  let total = 0;
+  let weight = 0;
+  for (const [name, score] of Object.entries(signals)) {
+    if (score === null) continue;
+    total += score * weights[name];
+    weight += weights[name];
+  }
+  return weight ? Math.round((total / weight) * 1000) / 1000 : 0;
+}
+
+/**
+ * @description Links the jobs of two sources that advertise the same vacancy.
+ * Each job is linked at most once, to its most alike job of the other source.
+ * @param {Array<Object>} recordsA - Job records of one source, e.g. nswgov
+ * @param {Array<Object>} recordsB - Job records of another source, e.g. seek
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum confidence of a link
+ * @returns {Array<{a: Object, b: Object, confidence: number, signals: Object}>} Links, a and b being { source, sourceId }
+ */
+export function findDuplicates(recordsA, recordsB, { threshold = LINK_THRESHOLD } = {}) {
+  const candidates = [];
+  for (const a of recordsA) {
+    for (const b of recordsB) {
+      const signals = compareRecords(a, b);
+      // Cheap early out, jobs with nothing in common in the title are never the same vacancy
+      if (!signals.title) continue;
+
+      const score = confidence(signals);
+      if (score >= threshold) candidates.push({ a, b, confidence: score, signals });
+    }
+  }
+
+  const linked = new Set();
+  const key = (record) => `${record.source}:${record.sourceId}`;
+  return candidates
+    .sort((x, y) => y.confidence - x.confidence)
+    .filter(({ a, b }) => {
+      if (linked.has(key(a)) || linked.has(key(b))) return false;
+      linked.add(key(a));
+      linked.add(key(b));
+      return true;
+    })
+    .map(({ a, b, confidence, signals }) => ({
+      a: { source: a.source, sourceId: a.sourceId },
+      b: { source: b.source, sourceId: b.sourceId },
+      confidence,
+      signals
+    }));
+}
+
+/**
+ * @description Collapses linked job records into one job with the urls of every source.
+ * The first record of a linked group is kept, so list the preferred source first.
+ * @param {Array<Object>} records - Job records of any sources
+ * @param {Array<Object>} links - Links from findDuplicates()
+ * @returns {Array<Object>} Records, each with the sources it was found on as `sources`,
+ * with the url and contentVersion() of the job on each
+ */
+export function collapseLinked(records, links) {
+  const key = (record) => `${record.source}:${record.sourceId}`;
+  const linkedTo = new Map();
+  for (const { a, b } of links) {
+    linkedTo.set(key(a), key(b));
+    linkedTo.set(key(b), key(a));
+  }
+
+  const byKey = new Map(records.map((record) => [key(record), record]));
+  const collapsed = [];
+  const seen = new Set();
+  for (const record of records) {
+    if (seen.has(key(record))) continue;
+
+    const group = [record, byKey.get(linkedTo.get(key(record)))].filter(Boolean);
+    group.forEach((member) => seen.add(key(member)));
+    collapsed.push({
+      ...record,
+      sources: group.map((member) => ({
+        source: member.source,
+        sourceId: member.sourceId,
+        url: member.url,
+        // Each site's ad changes on its own, see lib/deliveries.js
+        version: contentVersion(member)
+      }))
+    });
+  }
+  return collapsed;
+}
+
+/**
+ * @description Links the open NSW and Seek jobs in storage and saves the links.
+ * @param {import("../storage/storage.js").Storage} storage
+ * @param {Object} [options] - See findDuplicates()
+ * @returns {Array<Object>} The links found
+ */
+export function linkDuplicates(storage, options = {}) {
+  const links = findDuplicates(
+    storage.queryJobs({ source: "nswgov", open: true }),
+    storage.queryJobs({ source: "seek", open: true }),
+    options
+  ).map((link) => ({ ...link, detectedAt: toIso(now()) }));
+
+  storage.saveLinks(links);
+  return links;
+}
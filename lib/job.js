@@ -0,0 +1,148 @@
+import fs from "fs";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { parseSalary, salaryMention } from "./salary.js";
+import { extractClassification } from "./classification.js";
+import { normalizeDate, toDateTime } from "./dates.js";
+import { extractContacts } from "./contacts.js";
+
+/**
+ * @description JSON Schema every job record conforms to, see lib/job.schema.json.
+ */
+export const jobSchema = JSON.parse(fs.readFileSync(new URL("./job.schema.json", import.meta.url), "utf8"));
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validate = ajv.compile(jobSchema);
+
+/**
+ * @description Trims a scraped string, empty strings become null.
+ * @param {string} [value]
+ * @returns {string|null}
+ */
+const text = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+/**
+ * @description Maps a job scraped by NSWJobSpider to a job record.
+ * @param {Object} job - The job as saved by the spider
+ * @returns {Object} The job record
+ */
+export function mapNswJob(job) {
+  const details = job.details ?? {};
+  const record = {
+    source: "nswgov",
+    sourceId: job.jobId,
+    title: job.title,
+    employer: text(details.organization) ?? job.department ?? "",
+    department: text(job.department),
+    locations: job.locations?.length ? job.locations : [details.location].filter(Boolean),
+    employmentType: text(job.jobType) ?? text(details.workType),
+    workArrangement: null,
+    categories: job.categories ?? [],
+    // Listings only mention the salary in their summary until the details are scraped
+    salary: parseSalary(text(details.remuneration) ?? salaryMention(job.description)),
+    dates: {
+      posted: normalizeDate(text(job.postingDate)),
+      closing: normalizeDate(text(details.closingDateTime) ?? text(job.closingDate), { endOfDay: true }),
+      listed: null
+    },
+    summary: job.description ?? "",
+    description: details.description ?? null,
+    // Jobs scraped before contacts were extracted still have their description
+    contacts: details.contacts ?? extractContacts(details.description),
+    documents: (details.documents ?? []).map(({ url, type, title, filename, hash, mime, textFile, roleDescription }) => ({
+      url,
+      type,
+      title,
+      filename,
+      hash: hash ?? null,
+      mime: mime ?? null,
+      textFile: textFile ?? null,
+      roleDescription: roleDescription ?? null
+    })),
+    url: job.jobUrl,
+    searches: job.searches ?? [],
+    scrapedAt: details.metadata?.lastScraped ?? null
+  };
+  return { ...record, classification: extractClassification(record) };
+}
+
+/**
+ * @description Maps a job scraped by SeekJobSpider to a job record.
+ * @param {Object} job - The job as saved by the spider
+ * @returns {Object} The job record
+ */
+export function mapSeekJob(job) {
+  const details = job.details ?? {};
+  const record = {
+    source: "seek",
+    sourceId: job.jobId,
+    title: job.title,
+    employer: job.company ?? "",
+    department: null,
+    locations: [job.location].filter(Boolean),
+    employmentType: text(details.workType),
+    workArrangement: text(job.workArrangement),
+    categories: [job.classification, job.subClassification].filter(Boolean),
+    salary: parseSalary(text(details.salary)),
+    dates: {
+      posted: null,
+      closing: null,
+      // Seek lists jobs as e.g. "Listed 3d ago", which is relative to when the details were scraped
+      listed: normalizeDate(text(details.listingDate), {
+        reference: toDateTime(details.metadata?.lastScraped) ?? undefined
+      })
+    },
+    summary: job.description ?? "",
+    description: details.description ?? null,
+    contacts: extractContacts(details.description),
+    documents: [],
+    url: job.jobUrl,
+    searches: job.searches ?? [],
+    scrapedAt: details.metadata?.lastScraped ?? null
+  };
+  return { ...record, classification: extractClassification(record) };
+}
+
+/**
+ * @description Mappers of each spider's raw output, keyed by the spider's file prefix.
+ */
+export const mappers = {
+  nswgov: mapNswJob,
+  seek: mapSeekJob
+};
+
+/**
+ * @description Validates a job record against the job schema.
+ * @param {Object} record
+ * @returns {Array<string>} Validation errors, empty when the record is valid
+ */
+export function validateJob(record) {
+  if (validate(record)) return [];
+  return validate.errors.map((error) => `${error.instancePath || "/"} ${error.message}`);
+}
+
+/**
+ * @description Maps a spider's scraped jobs to job records and validates them.
+ * @param {string} source - File prefix of the spider, e.g. "nswgov"
+ * @param {Array<Object>} jobs - The jobs as saved by the spider
+ * @returns {{records: Array<Object>, invalid: Array<{sourceId: string, errors: Array<string>}>}}
+ * Valid records, and the ids of the jobs that failed the schema with the reasons why
+ */
+export function toJobRecords(source, jobs) {
+  const mapper = mappers[source];
+  if (!mapper) throw new Error(`No job mapper for source "${source}"`);
+
+  const records = [];
+  const invalid = [];
+  for (const job of jobs) {
+    const record = mapper(job);
+    const errors = validateJob(record);
+    if (errors.length) {
+      invalid.push({ sourceId: job.jobId, errors });
+    } else {
+      records.push(record);
+    }
+  }
+  return { records, invalid };
+}
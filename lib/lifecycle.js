@@ -0,0 +1,121 @@
+import { DateTime } from "luxon";
+import { now as currentTime, TIME_ZONE, toDateTime, toIso } from "./dates.js";
+
+/**
+ * @description Days before its closing date a job counts as closing soon.
+ */
+export const CLOSING_SOON_DAYS = 3;
+
+/**
+ * @description Statuses a job can be in, see deriveStatus().
+ */
+export const statuses = ["open", "closing-soon", "closed", "withdrawn"];
+
+/**
+ * @description Reads a closing date, a day without a time closing at the end of the day.
+ * @param {{raw: string, iso: string|null}|string|null} value - Closing date of a job record or lifecycle entry
+ * @returns {DateTime|null}
+ */
+export const parseClosingDate = (value) => toDateTime(value, { endOfDay: true });
+
+/**
+ * @description Key of a job's lifecycle entry.
+ * @param {string} source
+ * @param {string} sourceId
+ * @returns {string}
+ */
+export const lifecycleKey = (source, sourceId) => `${source}:${sourceId}`;
+
+/**
+ * @description Records that a run of a spider saw the given jobs. Entries of
+ * jobs seen for the first time are created, a job seen again on the same day
+ * is not counted twice.
+ *
+ * When a search of the run failed, the jobs it would have found are missing
+ * from the records, so the jobs seen by the previous run are kept as seen
+ * instead of being taken for withdrawn or closed. So are the jobs whose record
+ * failed the job schema, which the site still advertises.
+ * @param {Map<string, Object>} entries - Lifecycle entries of the spider keyed by lifecycleKey(), updated in place
+ * @param {string} runDate - Day of the run, YYYY-MM-DD
+ * @param {Array<Object>} records - Job records of the run
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Whether a search of the run failed
+ * @param {string} [options.previousRun] - Day of the previous run of the spider, YYYY-MM-DD
+ * @param {Array<string>} [options.invalid] - Ids of the jobs of the run whose record failed the job schema
+ * @returns {Array<Object>} The entries that were created or updated
+ */
+export function observeRun(entries, runDate, records, { partial = false, previousRun = null, invalid = [] } = {}) {
+  const seen = records.map((record) => {
+    const key = lifecycleKey(record.source, record.sourceId);
+    const entry = entries.get(key) ?? {
+      source: record.source,
+      sourceId: record.sourceId,
+      firstSeen: runDate,
+      lastSeen: null,
+      runsObserved: 0
+    };
+
+    if (entry.lastSeen !== runDate) entry.runsObserved++;
+    entry.lastSeen = runDate > (entry.lastSeen ?? "") ? runDate : entry.lastSeen;
+    entry.title = record.title;
+    entry.employer = record.employer;
+    entry.url = record.url;
+    entry.closingDate = toIso(record.dates.closing, { endOfDay: true }) ?? record.dates.closing?.raw ?? null;
+
+    entries.set(key, entry);
+    return entry;
+  });
+
+  const found = new Set(seen);
+  const invalidIds = new Set(invalid);
+  const kept = [...entries.values()].filter(
+    (entry) =>
+      !found.has(entry) && (invalidIds.has(entry.sourceId) || (partial && previousRun && entry.lastSeen === previousRun))
+  );
+  kept.forEach((entry) => {
+    if (invalidIds.has(entry.sourceId) && entry.lastSeen !== runDate) entry.runsObserved++;
+    entry.lastSeen = runDate > entry.lastSeen ? runDate : entry.lastSeen;
+  });
+  return [...seen, ...kept];
+}
+
+/**
+ * @description Derives the status of a job from its lifecycle entry:
+ * - open: found by the latest run of its spider.
+ * - closing-soon: open and closing within `closingSoonDays`.
+ * - closed: its closing date has passed, or it disappeared without a known closing date.
+ * - withdrawn: it disappeared from the site before its closing date.
+ * @param {Object} entry - Lifecycle entry
+ * @param {Object} options
+ * @param {string} options.latestRun - Day of the latest run of the job's spider, YYYY-MM-DD
+ * @param {DateTime} [options.now]
+ * @param {number} [options.closingSoonDays]
+ * @returns {string} One of statuses
+ */
+export function deriveStatus(entry, { latestRun, now = currentTime(), closingSoonDays = CLOSING_SOON_DAYS }) {
+  const closing = parseClosingDate(entry.closingDate);
+
+  if (entry.lastSeen === latestRun) {
+    if (!closing) return "open";
+    if (closing < now) return "closed";
+    return closing.diff(now, "days").days <= closingSoonDays ? "closing-soon" : "open";
+  }
+
+  // Gone from the site, early if it was last seen before the day it closed
+  const lastSeen = DateTime.fromISO(entry.lastSeen, { zone: TIME_ZONE }).endOf("day");
+  return closing && closing > lastSeen ? "withdrawn" : "closed";
+}
+
+/**
+ * @description Adds the derived status to lifecycle entries.
+ * @param {Array<Object>} entries - Lifecycle entries
+ * @param {Object<string, string>} latestRuns - Day of the latest run of each spider, keyed by source
+ * @param {Object} [options] - now and closingSoonDays, see deriveStatus()
+ * @returns {Array<Object>}
+ */
+export function withStatus(entries, latestRuns, options = {}) {
+  return entries.map((entry) => ({
+    ...entry,
+    status: deriveStatus(entry, { ...options, latestRun: latestRuns[entry.source] })
+  }));
+}
@@ -0,0 +1,115 @@
+import { matchSubscriber } from "./alertRules.js";
+import { formatDate, now, parseDuration, toDateTime, toIso } from "./dates.js";
+
+/**
+ * @description Key of a reminder in the reminder log. The closing date is part
+ * of it, so a job whose closing date is extended is reminded of again.
+ * @param {{email: string, source: string, sourceId: string, window: string, closingDate: string}} reminder
+ * @returns {string}
+ */
+const reminderKey = ({ email, source, sourceId, window, closingDate }) =>
+  [email, source, sourceId, window, closingDate].join("|");
+
+/**
+ * @description Whether a subscriber flagged a job, or one of the jobs linked to it.
+ * @param {Object} subscriber
+ * @param {Object} record - Job record, or jobs linked by collapseLinked()
+ * @returns {boolean}
+ */
+const isFlagged = (subscriber, record) =>
+  (record.sources ?? [record]).some(({ source, sourceId }) =>
+    (subscriber.flagged ?? []).some((flag) => flag.source === source && flag.sourceId === sourceId)
+  );
+
+/**
+ * @description Finds the jobs a subscriber matched or flagged that close within
+ * one of the reminder windows and haven't been reminded of for that window.
+ * @param {Array<Object>} records - Open job records
+ * @param {Object} subscriber - See Storage#loadSubscribers()
+ * @param {Array<Object>} sent - The reminder log, see Storage#loadReminders()
+ * @param {Object} options
+ * @param {Array<string>} options.windows - Lengths of time before closing, e.g. ["3 days", "24 hours"]
+ * @param {DateTime} [options.at] - Now
+ * @returns {Array<{record: Object, closing: DateTime, windows: Array<string>, flagged: boolean}>}
+ * Soonest closing first, windows being every window the job is now within
+ */
+export function dueReminders(records, subscriber, sent, { windows, at = now() }) {
+  const sentKeys = new Set(sent.map(reminderKey));
+  const matched = new Set(matchSubscriber(records, subscriber).map(({ record }) => record));
+
+  return records
+    .filter((record) => matched.has(record) || isFlagged(subscriber, record))
+    .map((record) => {
+      const closing = toDateTime(record.dates.closing, { endOfDay: true });
+      if (!closing || closing <= at) return null;
+
+      const due = windows.filter((window) => closing <= at.plus(parseDuration(window)));
+      const closingDate = toIso(closing);
+      const { source, sourceId } = record;
+      const unsent = due.filter(
+        (window) => !sentKeys.has(reminderKey({ email: subscriber.email, source, sourceId, window, closingDate }))
+      );
+      return unsent.length ? { record, closing, windows: due, flagged: isFlagged(subscriber, record) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.closing - b.closing);
+}
+
+/**
+ * @description The entries of the reminder log for reminders just sent. A
+ * reminder covers every window its job is within, the windows already in the
+ * log are left out.
+ * @param {string} email - Subscriber reminded
+ * @param {Array<Object>} reminders - See dueReminders()
+ * @param {Array<Object>} [sent] - The reminder log, see Storage#loadReminders()
+ * @param {DateTime} [at] - When they were sent
+ * @returns {Array<{email: string, source: string, sourceId: string, window: string, closingDate: string, sentAt: string}>}
+ */
+export function reminderLog(email, reminders, sent = [], at = now()) {
+  const sentKeys = new Set(sent.map(reminderKey));
+  return reminders
+    .flatMap(({ record, closing, windows }) =>
+      windows.map((window) => ({
+        email,
+        source: record.source,
+        sourceId: record.sourceId,
+        window,
+        closingDate: toIso(closing),
+        sentAt: toIso(at)
+      }))
+    )
+    .filter((entry) => !sentKeys.has(reminderKey(entry)));
+}
+
+/**
+ * @description Groups reminders by the day their jobs close.
+ * @param {Array<Object>} reminders - See dueReminders(), soonest closing first
+ * @param {DateTime} [at] - Now
+ * @returns {Array<{label: string, reminders: Array<Object>}>} label reads e.g. "Closing today" or "Closing Wednesday 22 October"
+ */
+export function groupByDeadline(reminders, at = now()) {
+  const groups = new Map();
+  for (const reminder of reminders) {
+    const days = reminder.closing.startOf("day").diff(at.startOf("day"), "days").days;
+    const label =
+      days < 1 ? "Closing today" : days < 2 ? "Closing tomorrow" : `Closing ${formatDate(reminder.closing, "cccc d MMMM")}`;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(reminder);
+  }
+  return [...groups].map(([label, grouped]) => ({ label, reminders: grouped }));
+}
+
+/**
+ * @description Finds the jobs closing within a length of time.
+ * @param {Array<Object>} records - Open job records
+ * @param {Duration} window - e.g. parseDuration("3 days")
+ * @param {DateTime} [at] - Now
+ * @returns {Array<Object>} Soonest closing first
+ */
+export function closingWithin(records, window, at = now()) {
+  return records
+    .map((record) => ({ record, closing: toDateTime(record.dates.closing, { endOfDay: true }) }))
+    .filter(({ closing }) => closing && closing > at && closing <= at.plus(window))
+    .sort((a, b) => a.closing - b.closing)
+    .map(({ record }) => record);
+}
@@ -0,0 +1,142 @@
+/**
+ * @description Pay periods a salary can be advertised in.
+ */
+export const periods = ["annual", "daily", "hourly"];
+
+/**
+ * @description Currencies by the prefix of an amount, a bare "$" being Australian dollars.
+ */
+const currencies = { "": "AUD", AU: "AUD", A: "AUD", NZ: "NZD", US: "USD" };
+
+const amount = String.raw`(AU|NZ|US|A)?\$\s*(\d[\d,]*(?:\.\d+)?)\s*(k\b)?`;
+
+/**
+ * @description A single amount or a range, e.g. "$70,219-$74,784",
+ * "$90k to $110k" or "MIN $302,567 – Max $338,721".
+ */
+const amountPattern = new RegExp(
+  `${amount}(?:\\s*(?:-|–|—|to)\\s*(?:max(?:imum)?\\s*)?(?:(?:AU|NZ|US|A)?\\$)?\\s*(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k\\b)?)?`,
+  "i"
+);
+
+const periodPatterns = {
+  hourly: /per\s+hour|an\s+hour|hourly|\bp\.?\s?h\b|\/\s*h(?:ou)?r\b/i,
+  daily: /per\s+day|a\s+day|daily|\bp\.?\s?d\b|\/\s*day\b/i,
+  annual: /per\s+annum|per\s+year|a\s+year|annual(?!\s+leave)|\bp\.?\s?a\b|\/\s*y(?:ea)?r\b/i
+};
+
+const loadingPattern =
+  /(?:(\d+(?:\.\d+)?)\s*%\s*)?((?:annual leave|shift|weekend|casual|remote|penalty)\s+)?loading(?:\s+for\s+([^,.;*•\n]+))?/gi;
+
+/**
+ * @description A well formed amount, thousands grouped in threes, e.g. "74,784" but not "56,0".
+ */
+const wellFormedPattern = /^\d{1,3}(?:,\d{3})*(?:\.\d+)?$|^\d+(?:\.\d+)?$/;
+
+/**
+ * @description Parses an amount as written, e.g. "74,784" or "90" with a "k" suffix.
+ * @param {string} value
+ * @param {string} [thousands] - The "k" suffix if any
+ * @returns {number}
+ */
+const toNumber = (value, thousands) => Number(value.replace(/,/g, "")) * (thousands ? 1000 : 1);
+
+/**
+ * @description Finds the pay period in a salary text, guessing it from the
+ * amount when the text doesn't say, e.g. $45 is an hourly rate.
+ * @param {string} text
+ * @param {number} max
+ * @returns {string} One of periods
+ */
+function parsePeriod(text, max) {
+  const period = Object.keys(periodPatterns).find((name) => periodPatterns[name].test(text));
+  if (period) return period;
+  if (max < 300) return "hourly";
+  if (max < 3000) return "daily";
+  return "annual";
+}
+
+/**
+ * @description Whether the amounts include superannuation: a total
+ * remuneration package does, "+ super" or an employer's contribution listed
+ * after the salary doesn't.
+ * @param {string} text
+ * @returns {boolean|null} null when the text doesn't mention super
+ */
+function parseSuperIncluded(text) {
+  if (/\bTRP\b|total\s+remuneration|(?:incl(?:\.|uding|udes|usive\s+of)?|inc\.?)\s+(?:of\s+)?super/i.test(text)) return true;
+  if (/super(?:annuation)?\b/i.test(text)) return false;
+  return null;
+}
+
+/**
+ * @description Finds the loadings paid on top of the salary, e.g. "17% loading for working weekends".
+ * @param {string} text
+ * @returns {Array<{percent: number|null, description: string}>}
+ */
+function parseLoadings(text) {
+  return [...text.matchAll(loadingPattern)]
+    .filter(([, percent, kind]) => percent || kind)
+    .map(([match, percent]) => ({
+      percent: percent ? Number(percent) : null,
+      description: match.trim().replace(/\s+/g, " ")
+    }));
+}
+
+/**
+ * @description Parses a salary as advertised on the job sites, e.g.
+ * "$97,116 - $104,275 + super" or "$45 per hour".
+ * Only the first amount or range is read, later ones usually being allowances.
+ * @param {string|null} text
+ * @returns {{text: string|null, min: number|null, max: number|null, currency: string|null,
+ * period: string|null, superIncluded: boolean|null, loadings: Array<Object>, parsed: boolean}}
+ * The salary, parsed false when the text has no amount in it, e.g. "Competitive salary", or the
+ * amount was cut off, e.g. "$56,0..." at the end of a truncated listing summary
+ */
+export function parseSalary(text) {
+  const salary = {
+    text: text ?? null,
+    min: null,
+    max: null,
+    currency: null,
+    period: null,
+    superIncluded: null,
+    loadings: [],
+    parsed: false
+  };
+  if (!text) return salary;
+
+  const match = text.match(amountPattern);
+  if (!match) return salary;
+
+  const [, prefix = "", from, fromThousands, to, toThousands] = match;
+  const truncated = /^\s*(?:\.\.\.|…)/.test(text.slice(match.index + match[0].length));
+  if (truncated || [from, to].some((value) => value && !wellFormedPattern.test(value))) return salary;
+  const values = [toNumber(from, fromThousands), to && toNumber(to, toThousands)].filter((value) => value || value === 0);
+  // "$90 - 110k" means thousands at both ends
+  if (values.length === 2 && toThousands && values[0] < 1000) values[0] *= 1000;
+
+  salary.min = Math.min(...values);
+  salary.max = Math.max(...values);
+  salary.currency = currencies[prefix.toUpperCase()];
+  salary.period = parsePeriod(text, salary.max);
+  salary.superIncluded = parseSuperIncluded(text);
+  salary.loadings = parseLoadings(text);
+  salary.parsed = true;
+  return salary;
+}
+
+/**
+ * @description Finds where a listing summary mentions pay, e.g. the
+ * "Package includes salary $70,219-$74,784, ..." bullet of an iworkfor listing.
+ * @param {string} [summary]
+ * @returns {string|null}
+ */
+export function salaryMention(summary) {
+  return (
+    (summary ?? "")
+      .split(/\s*[*•\n]\s*/)
+      .find((part) => /\$\s*\d/.test(part) && /salary|package|remuneration|rate|pay/i.test(part))
+      ?.trim() ?? null
+  );
+}
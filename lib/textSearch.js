@@ -0,0 +1,246 @@
+import fs from "fs";
+import path from "path";
+import { stemmer } from "stemmer";
+import { descriptionText } from "./contacts.js";
+import { documentsDirectory } from "./documents.js";
+
+/**
+ * @description Fields of a job that are indexed, see searchDocument().
+ */
+export const searchFields = ["title", "summary", "description", "documents"];
+
+/**
+ * @description Words too common to be worth indexing or searching for.
+ */
+const stopWords = new Set(
+  "a an and are as at be but by for from has have if in into is it its of on or our that the their this to was we were will with you your".split(" ")
+);
+
+/**
+ * @description Reduces an English word to its stem with the Porter stemmer, so
+ * e.g. "managing", "manager" and "management" are found by any of them.
+ * @param {string} word - Lower case word
+ * @returns {string} e.g. "manag"
+ */
+export function stem(word) {
+  // Numbers and words with digits, e.g. "2025" or "5g", are kept as written
+  return /^[a-z]+$/.test(word) ? stemmer(word) : word;
+}
+
+/**
+ * @description Splits text into indexed terms: lower case, without accents,
+ * stemmed and without stop words unless written in capitals. Positions count the terms kept, so a phrase
+ * matches whatever stop words it had.
+ * @param {string} text
+ * @returns {Array<{term: string, position: number, start: number, end: number}>} start and end
+ * are the offsets of the word in the text
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of (text ?? "").matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)) {
+    const word = match[0]
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[̀-ͯ]/g, "")
+      .replace(/['’]s$|['’]/g, "");
+    // Capitals are an acronym, e.g. IT or US, not a stop word
+    const acronym = /^\p{Lu}{2,}$/u.test(match[0]);
+    if (!word || (stopWords.has(word) && !acronym)) continue;
+    tokens.push({ term: stem(word), position: tokens.length, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * @description Reads the extracted text of a job's documents, see lib/documents.js.
+ * @param {Array<Object>} documents - Documents of a job record
+ * @param {string} [directory] - Directory of the documents and their text
+ * @returns {string}
+ */
+function documentsText(documents, directory) {
+  return documents
+    .map(({ textFile }) => textFile && path.join(directory, textFile))
+    .filter((filePath) => filePath && fs.existsSync(filePath))
+    .map((filePath) => fs.readFileSync(filePath, "utf8"))
+    .join("\n\n");
+}
+
+/**
+ * @description The text of a job that is indexed, by field: its title, the
+ * summary and bullet points of its listing, its description without the HTML
+ * with Seek's additional details, and the text extracted from its documents.
+ * @param {Object} record - Job record
+ * @param {Object} [job] - The job as saved by the spider, for the fields records leave out
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Directory of the documents and their text
+ * @returns {{key: string, source: string, sourceId: string, title: string, url: string, fields: Object<string, string>}}
+ */
+export function searchDocument(record, job = {}, { directory = documentsDirectory } = {}) {
+  const details = job.details ?? {};
+  const join = (...parts) => parts.flat().filter(Boolean).join("\n");
+  return {
+    key: `${record.source}:${record.sourceId}`,
+    source: record.source,
+    sourceId: record.sourceId,
+    title: record.title,
+    url: record.url,
+    fields: {
+      title: record.title,
+      summary: join(descriptionText(record.summary), job.bulletPoints ?? []),
+      description: join(descriptionText(record.description ?? ""), details.additionalDetails ?? []),
+      documents: documentsText(record.documents ?? [], directory)
+    }
+  };
+}
+
+/**
+ * @description Parses a search query. Words must all be found, "quoted
+ * phrases" in that order, -word excludes jobs, title:word only looks in one
+ * field and OR separates alternatives, e.g. "bushfire -volunteer OR title:gis".
+ * @param {string} query
+ * @returns {Array<Array<{terms: Array<string>, field: string|null, negate: boolean, text: string}>>} The
+ * alternatives, each a list of clauses a job must all meet
+ */
+export function parseQuery(query) {
+  const alternatives = [[]];
+  const pattern = /(-)?(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  for (const match of query.matchAll(pattern)) {
+    const [text, minus, prefix, phrase, word] = match;
+    if (!minus && !prefix && word === "OR") {
+      alternatives.push([]);
+      continue;
+    }
+    // A prefix that isn't a field is part of the word, e.g. "10:30"
+    const field = prefix && searchFields.includes(prefix.toLowerCase()) ? prefix.toLowerCase() : null;
+    const value = phrase ?? (prefix && !field ? `${prefix}:${word}` : word);
+    const terms = tokenize(value).map(({ term }) => term);
+    if (terms.length) alternatives[alternatives.length - 1].push({ terms, field, negate: Boolean(minus), text });
+  }
+  return alternatives.filter((clauses) => clauses.length);
+}
+
+/**
+ * @description A value of an object by key, only when the object has it of its
+ * own, as terms like "constructor" are also names of Object.prototype.
+ * @param {Object|undefined} object
+ * @param {string} key
+ * @returns {*}
+ */
+export const own = (object, key) => (object && Object.hasOwn(object, key) ? object[key] : undefined);
+
+/**
+ * @description Counts the occurrences of a clause's terms, in order, in the postings of a document.
+ * @param {Array<Object<string, Array<number>>|undefined>} postings - Positions by field of each term in the document
+ * @param {string} field
+ * @returns {number}
+ */
+function occurrences(postings, field) {
+  const [first, ...rest] = postings.map((byField) => own(byField, field));
+  if (!first || rest.some((positions) => !positions)) return 0;
+  if (!rest.length) return first.length;
+  const following = rest.map((positions) => new Set(positions));
+  return first.filter((position) => following.every((positions, index) => positions.has(position + index + 1))).length;
+}
+
+/**
+ * @description Scores the documents of an index against a query with BM25,
+ * summed over the fields weighted by their boost.
+ * @param {{documents: Object<string, Object>, postings: Object<string, Object>}} index - See SearchIndex
+ * @param {string} query - See parseQuery()
+ * @param {Object<string, number>} boosts - Weight of each field, e.g. { title: 4, documents: 0.5 }
+ * @returns {Array<{key: string, score: number, terms: Set<string>, fields: Array<string>}>} Best first,
+ * terms and fields being what matched
+ */
+export function scoreDocuments(index, query, boosts) {
+  const keys = Object.keys(index.documents);
+  const total = keys.length;
+  const averageLength = Object.fromEntries(
+    searchFields.map((field) => [field, keys.reduce((sum, key) => sum + (index.documents[key].length[field] ?? 0), 0) / (total || 1) || 1])
+  );
+  const idf = (term) => {
+    const count = Object.keys(own(index.postings, term) ?? {}).length;
+    return Math.log(1 + (total - count + 0.5) / (count + 0.5));
+  };
+
+  /**
+   * @description How well a document meets a clause, by field
+   * @returns {Array<{field: string, score: number}>} Empty when it doesn't
+   */
+  const clauseScores = (key, clause) => {
+    const postings = clause.terms.map((term) => own(own(index.postings, term), key));
+    const weight = clause.terms.reduce((sum, term) => sum + idf(term), 0) / clause.terms.length;
+    return (clause.field ? [clause.field] : searchFields)
+      .map((field) => {
+        const frequency = occurrences(postings, field);
+        if (!frequency) return null;
+        const length = index.documents[key].length[field] ?? 0;
+        const saturation = (frequency * 2.2) / (frequency + 1.2 * (0.25 + (0.75 * length) / averageLength[field]));
+        return { field, score: (boosts[field] ?? 1) * weight * saturation };
+      })
+      .filter(Boolean);
+  };
+
+  const results = new Map();
+  for (const clauses of parseQuery(query)) {
+    const required = clauses.filter((clause) => !clause.negate);
+    const excluded = clauses.filter((clause) => clause.negate);
+    // Jobs with every term of the rarest clause are the only ones that can match
+    const candidates = required.length
+      ? Object.keys(own(index.postings, required.flatMap(({ terms }) => terms).sort((a, b) => idf(b) - idf(a))[0]) ?? {})
+      : keys;
+
+    for (const key of candidates) {
+      if (excluded.some((clause) => clauseScores(key, clause).length)) continue;
+      const scored = required.map((clause) => clauseScores(key, clause));
+      if (scored.some((fields) => !fields.length)) continue;
+
+      const score = scored.flat().reduce((sum, { score: fieldScore }) => sum + fieldScore, 0);
+      const best = results.get(key);
+      if (!best || score > best.score) {
+        results.set(key, {
+          key,
+          score,
+          terms: new Set(required.flatMap(({ terms }) => terms)),
+          fields: [...new Set(scored.flat().map(({ field }) => field))]
+        });
+      }
+    }
+  }
+  return [...results.values()].sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+}
+
+/**
+ * @description Cuts the passage of a text with the most matching words and highlights them.
+ * @param {string} text
+ * @param {Set<string>} terms - Stemmed terms to highlight, see tokenize()
+ * @param {Object} [options]
+ * @param {number} [options.words] - Length of the passage in words
+ * @param {function(string): string} [options.highlight] - Marks a matching word, e.g. (word) => `<mark>${word}</mark>`
+ * @returns {string|null} null when no word of the text matches
+ */
+export function snippet(text, terms, { words = 30, highlight = (word) => `**${word}**` } = {}) {
+  const tokens = tokenize(text);
+  const matching = tokens.filter(({ term }) => terms.has(term));
+  if (!matching.length) return null;
+
+  // The window of tokens holding the most matches
+  let best = 0;
+  let bestCount = 0;
+  for (const { position } of matching) {
+    const start = Math.max(0, position - 3);
+    const count = matching.filter((token) => token.position >= start && token.position < start + words).length;
+    if (count > bestCount) [best, bestCount] = [start, count];
+  }
+  const window = tokens.slice(best, best + words);
+  const from = best ? window[0].start : 0;
+  const to = best + words >= tokens.length ? text.length : window[window.length - 1].end;
+
+  let passage = "";
+  let offset = from;
+  for (const token of window.filter(({ term }) => terms.has(term))) {
+    passage += text.slice(offset, token.start) + highlight(text.slice(token.start, token.end));
+    offset = token.end;
+  }
+  passage += text.slice(offset, to);
+  return `${from > 0 ? "…" : ""}${passage.replace(/\s+/g, " ").trim()}${to < text.length ? "…" : ""}`;
+}
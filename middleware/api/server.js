@@ -0,0 +1,274 @@
+import fs from "fs";
+import path from "path";
+import http from "http";
+import chalk from "chalk";
+import { createStorage } from "../../storage/index.js";
+import { jobSchema } from "../../lib/job.js";
+import { documentsDirectory } from "../../lib/documents.js";
+import { lifecycleKey, statuses, withStatus } from "../../lib/lifecycle.js";
+
+/**
+ * @description OpenAPI description of the API, with the Job schema of lib/job.schema.json.
+ */
+export const openApi = JSON.parse(fs.readFileSync(new URL("./openapi.json", import.meta.url), "utf8"));
+const { $schema, $id, definitions, ...jobComponent } = jobSchema;
+// The definitions of the job schema become components, e.g. #/definitions/date becomes JobDate
+const component = (name) => `Job${name[0].toUpperCase()}${name.slice(1)}`;
+openApi.components.schemas.Job = JSON.parse(
+  JSON.stringify(jobComponent).replace(/#\/definitions\/(\w+)/g, (ref, name) => `#/components/schemas/${component(name)}`)
+);
+Object.entries(definitions).forEach(([name, schema]) => (openApi.components.schemas[component(name)] = schema));
+
+/**
+ * @description Values accepted by the sort parameter of GET /jobs, see storage/filters.js
+ */
+const sorts = ["salary", "closing", "posted", "title"];
+
+/**
+ * @description Content types of the files served from the documents directory, by extension
+ */
+const contentTypes = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".rtf": "application/rtf",
+  ".txt": "text/plain; charset=utf-8",
+  ".json": "application/json; charset=utf-8"
+};
+
+/**
+ * @description An error answered with an HTTP status
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * @description Decodes a segment of the path of a request.
+ * @param {string} segment - e.g. "nswgov" or "Ranger%20Role.pdf"
+ * @returns {string}
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw httpError(400, `Malformed path segment ${segment}`);
+  }
+}
+
+/**
+ * @description Reads a number parameter
+ * @param {URLSearchParams} query
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+function numberParam(query, name) {
+  if (!query.has(name)) return undefined;
+  const value = Number(query.get(name));
+  if (!Number.isFinite(value) || value < 0) throw httpError(400, `${name} must be a positive number`);
+  return value;
+}
+
+/**
+ * @description Reads an ISO date or time parameter
+ * @param {URLSearchParams} query
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function dateParam(query, name) {
+  if (!query.has(name)) return undefined;
+  const value = query.get(name);
+  if (!/^\d{4}-\d{2}-\d{2}(T[\d:.]+([+-]\d{2}:\d{2}|Z)?)?$/.test(value)) {
+    throw httpError(400, `${name} must be an ISO date or time, e.g. 2025-05-11`);
+  }
+  return value;
+}
+
+/**
+ * @description Reads the parameters of GET /jobs
+ * @param {URLSearchParams} query
+ * @returns {{filter: Object, status: string|undefined, page: number, pageSize: number}} filter is a
+ * JobFilter, see storage/filters.js
+ */
+function jobsQuery(query) {
+  const status = query.get("status") ?? undefined;
+  if (status && !statuses.includes(status)) throw httpError(400, `status must be one of: ${statuses.join(", ")}`);
+  const sort = query.get("sort") ?? undefined;
+  if (sort && !sorts.includes(sort)) throw httpError(400, `sort must be one of: ${sorts.join(", ")}`);
+  const page = numberParam(query, "page") ?? 1;
+  const pageSize = numberParam(query, "pageSize") ?? 50;
+  if (!Number.isInteger(page) || page < 1) throw httpError(400, "page must be a whole number from 1");
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 500) throw httpError(400, "pageSize must be a whole number from 1 to 500");
+
+  const filter = {
+    source: query.get("source") ?? undefined,
+    title: query.get("title") ?? undefined,
+    // The department of an ad is its employer on some sites, see mapNswJob()
+    employer: query.get("department") ?? undefined,
+    category: query.get("category") ?? undefined,
+    location: query.get("location") ?? undefined,
+    workType: query.get("workType") ?? undefined,
+    minSalary: numberParam(query, "minSalary"),
+    maxSalary: numberParam(query, "maxSalary"),
+    closingBefore: dateParam(query, "closingBefore"),
+    closingAfter: dateParam(query, "closingAfter"),
+    open: query.get("open") === "true" || undefined,
+    sort
+  };
+  return { filter, status, page, pageSize };
+}
+
+/**
+ * @description Adds the urls of the downloaded files to the documents of a job
+ * @param {Array<Object>} documents - Documents of a job record
+ * @returns {Array<Object>}
+ */
+const withFileUrls = (documents) =>
+  documents.map((document) => ({
+    ...document,
+    fileUrl: document.filename ? `/files/${encodeURIComponent(document.filename)}` : null,
+    textUrl: document.textFile ? `/files/${encodeURIComponent(document.textFile)}` : null
+  }));
+
+/**
+ * @description Creates the read-only HTTP server of the jobs database. The
+ * storage is opened once and closed with the server.
+ * @param {Object} [options]
+ * @param {import("../../storage/storage.js").Storage} [options.storage] - Defaults to the backend of config.js
+ * @param {string} [options.filesDirectory] - Directory of the downloaded documents served under /files
+ * @returns {http.Server}
+ */
+export function createApiServer({ storage = createStorage(), filesDirectory = documentsDirectory } = {}) {
+  /**
+   * @description Status and lifecycle of every job, by lifecycleKey()
+   * @returns {Map<string, Object>}
+   */
+  const lifecycles = () =>
+    new Map(withStatus(storage.loadLifecycle(), storage.latestRuns()).map((entry) => [lifecycleKey(entry.source, entry.sourceId), entry]));
+
+  const routes = [
+    {
+      pattern: /^\/jobs$/,
+      handle: (query) => {
+        const { filter, status, page, pageSize } = jobsQuery(query);
+        const known = lifecycles();
+        const jobs = storage
+          .queryJobs(filter)
+          .map((record) => ({ record, status: known.get(lifecycleKey(record.source, record.sourceId))?.status ?? null }))
+          .filter((job) => !status || job.status === status);
+
+        return {
+          total: jobs.length,
+          page,
+          pageSize,
+          pages: Math.ceil(jobs.length / pageSize),
+          // Descriptions and documents are left to GET /jobs/{source}/{sourceId}
+          jobs: jobs
+            .slice((page - 1) * pageSize, page * pageSize)
+            .map(({ record: { description, documents, ...record }, status: jobStatus }) => ({
+              ...record,
+              documentCount: documents.length,
+              status: jobStatus
+            }))
+        };
+      }
+    },
+    {
+      pattern: /^\/jobs\/([^/]+)\/([^/]+)$/,
+      handle: (query, [source, sourceId]) => {
+        const record = storage.getJob(source, sourceId);
+        if (!record) throw httpError(404, `No job ${source}:${sourceId}`);
+
+        const lifecycle = lifecycles().get(lifecycleKey(source, sourceId));
+        const same = (job) => job.source === source && job.sourceId === sourceId;
+        const links = storage
+          .loadLinks()
+          .filter(({ a, b }) => same(a) || same(b))
+          .map(({ a, b, confidence, signals }) => ({ ...(same(a) ? b : a), confidence, signals }));
+        return {
+          ...record,
+          documents: withFileUrls(record.documents),
+          status: lifecycle?.status ?? null,
+          lifecycle: lifecycle
+            ? { firstSeen: lifecycle.firstSeen, lastSeen: lifecycle.lastSeen, runsObserved: lifecycle.runsObserved }
+            : null,
+          links
+        };
+      }
+    },
+    {
+      pattern: /^\/runs$/,
+      handle: (query) => ({ runs: storage.listRuns({ source: query.get("source") ?? undefined }) })
+    },
+    {
+      pattern: /^\/openapi\.json$/,
+      handle: () => openApi
+    }
+  ];
+
+  /**
+   * @description Sends a downloaded document, or its extracted text
+   * @param {http.ServerResponse} response
+   * @param {string} filename
+   * @param {boolean} head - Send the headers only
+   * @param {function(number, Object): void} send - Answers with JSON, for a file that can't be read
+   */
+  const sendFile = (response, filename, head, send) => {
+    // Only plain file names, nothing outside the directory
+    if (!/^[\w.-]+$/.test(filename) || filename.startsWith(".")) throw httpError(404, `No file ${filename}`);
+    const filePath = path.join(filesDirectory, filename);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) throw httpError(404, `No file ${filename}`);
+
+    const headers = {
+      "Content-Type": contentTypes[path.extname(filename).toLowerCase()] ?? "application/octet-stream",
+      "Content-Length": fs.statSync(filePath).size,
+      "Access-Control-Allow-Origin": "*"
+    };
+    if (head) {
+      response.writeHead(200, headers);
+      return response.end();
+    }
+
+    // The headers wait for the file to open, so a file removed or unreadable meanwhile is still answered
+    const stream = fs.createReadStream(filePath);
+    stream.on("open", () => {
+      response.writeHead(200, headers);
+      stream.pipe(response);
+    });
+    stream.on("error", (error) => {
+      if (response.headersSent) return response.destroy(error);
+      if (error.code === "ENOENT") return send(404, { error: `No file ${filename}` });
+      console.error(chalk.red("Error sending", filename, error.stack));
+      send(500, { error: "Internal server error" });
+    });
+  };
+
+  const server = http.createServer((request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" });
+      response.end(request.method === "HEAD" ? undefined : JSON.stringify(body, null, 2));
+    };
+
+    try {
+      if (!["GET", "HEAD"].includes(request.method)) {
+        response.setHeader("Allow", "GET, HEAD");
+        throw httpError(405, "The API is read-only, only GET and HEAD are accepted");
+      }
+      const url = new URL(request.url, "http://localhost");
+      const file = url.pathname.match(/^\/files\/([^/]+)$/);
+      if (file) return sendFile(response, decodeSegment(file[1]), request.method === "HEAD", send);
+
+      for (const { pattern, handle } of routes) {
+        const match = url.pathname.replace(/\/+$/, "").match(pattern);
+        if (match) return send(200, handle(url.searchParams, match.slice(1).map(decodeSegment)));
+      }
+      throw httpError(404, `No route ${url.pathname}, see /openapi.json`);
+    } catch (error) {
+      if (!error.status) console.error(chalk.red("Error answering", request.url, error.stack));
+      send(error.status ?? 500, { error: error.status ? error.message : "Internal server error" });
+    }
+  });
+  server.on("close", () => storage.close());
+  return server;
+}
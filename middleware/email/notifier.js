@@ -1,113 +1,248 @@
-import nodemailer from "nodemailer";
-import { config } from "dotenv";
-import fs from "fs";
-import path from "path";
-config("../../.env");
+import { createStorage } from "../../storage/index.js";
+import { summarizeDiff } from "../../lib/diff.js";
+import { collapseLinked } from "../../lib/duplicates.js";
+import { formatDate, now, parseDuration, today } from "../../lib/dates.js";
+import { matchSubscriber } from "../../lib/alertRules.js";
+import { closingWithin, dueReminders, groupByDeadline, reminderLog } from "../../lib/reminders.js";
+import { deliveryLog, undelivered } from "../../lib/deliveries.js";
+import { createTransport, sender } from "./transports.js";
+import { renderEmail } from "./templates.js";
+import config from "../../config.js";
 
-console.log( process.env.EMAIL,
-  process.env.PASSWORD)
-const transporter = nodemailer.createTransport({
-  host: "smtp.gmail.com",
-  port: 587,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL,
-    pass: process.env.PASSWORD,
-  },
-});
-
-// console.log(transporter)
-const subscribers = ["kmotshoana@gmail.com"];
+/**
+ * @description The details of a job the alerts show, for the text and HTML emails alike.
+ * @param {Object} record - Job record, or jobs linked by collapseLinked()
+ * @returns {{title: string, department: string, location: string, closing: string, salary: string, url: string, urls: Array<string>}}
+ */
+export function alertDetails(record) {
+  const urls = (record.sources ?? [record]).map(({ url }) => url);
+  return {
+    title: record.title,
+    department: [record.employer, record.department].filter(Boolean).filter((value, index, all) => all.indexOf(value) === index).join(", "),
+    location: record.locations.join(", ") || "Location not listed",
+    closing: formatDate(record.dates.closing, "d MMM yyyy, h:mm a") ?? "No closing date",
+    salary: record.salary.text ?? "Salary not advertised",
+    url: urls[0],
+    urls
+  };
+}
 
-function date(type = "date") {
-  const pad = (num) => num.toString().padStart(2, "0"),
-    date = new Date(),
-    year = date.getFullYear(),
-    month = date.toLocaleString("default", { month: "long" }),
-    day = date.getDate(),
-    hour = date.getHours(),
-    minute = date.getMinutes(),
-    second = date.getSeconds();
+/**
+ * @description Diffs of today's spider runs against their previous runs.
+ * New and updated jobs advertised on several sites are only counted once.
+ * @param {Array<string>} sources - File prefixes of the spiders
+ * @returns {{diffs: Array<Object>, added: Array<Object>, updated: Array<Object>, summary: string}} updated
+ * jobs carry changeLabels, e.g. ["closing date extended"], and summary reads e.g. "3 new, 1 closing date extended"
+ */
+export function todaysChanges(sources = ["nswgov", "seek"]) {
+  const storage = createStorage();
+  try {
+    const diffs = sources.map((source) => storage.loadDiff(source, today())).filter(Boolean);
+    const links = storage.loadLinks();
+    const added = collapseLinked(diffs.flatMap((diff) => diff.added), links);
+    const updated = collapseLinked(
+      diffs.flatMap((diff) => diff.changed.map(({ record, changes }) => ({ ...record, changeLabels: changes.map(({ label }) => label) }))),
+      links
+    );
+    const summary = summarizeDiff([
+      ...diffs.map((diff) => ({ ...diff, added: [] })),
+      { added, removed: [], changed: [] }
+    ]);
+    return { diffs, added, updated, summary };
+  } finally {
+    storage.close();
+  }
+}
 
-  const currentDate = `${day}-${pad(month)}-${pad(year)}`;
-  const currentTime = ` ${pad(hour)}:${pad(minute)}:${pad(second)}`;
-  switch (type.trim().toLowerCase()) {
-    case "date":
-      return currentDate;
-    case "time":
-      return currentTime;
-    default:
-      return {
-        date: currentDate,
-        time: currentTime,
-      };
+/**
+ * @description Groups the jobs of a digest by department, then by location.
+ * @param {Array<Object>} jobs - See alertDetails()
+ * @returns {Array<{name: string, locations: Array<{name: string, jobs: Array<Object>}>}>} Sorted by name
+ */
+function groupByDepartment(jobs) {
+  const departments = new Map();
+  for (const job of jobs) {
+    if (!departments.has(job.department)) departments.set(job.department, new Map());
+    const locations = departments.get(job.department);
+    if (!locations.has(job.location)) locations.set(job.location, []);
+    locations.get(job.location).push(job);
   }
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return [...departments]
+    .map(([name, locations]) => ({
+      name: name || "Department not listed",
+      locations: [...locations].map(([location, grouped]) => ({ name: location, jobs: grouped })).sort(byName)
+    }))
+    .sort(byName);
 }
-function queryDatabase(query =date().replaceAll("-", " ").toUpperCase(), callback) {
-  
-  const directoryPath = "../../database";
+
+/**
+ * @description Renders the daily digest of new and updated jobs from the digest templates, see templates.js.
+ * @param {Object} digest
+ * @param {Array<Object>} digest.added - New job records
+ * @param {Array<Object>} [digest.updated] - Updated job records, with their changeLabels
+ * @param {Array<Object>} [digest.closingSoon] - Job records closing soon, soonest first
+ * @param {string} digest.summary - e.g. "3 new, 1 closing date extended"
+ * @param {Object} [options]
+ * @param {string} [options.group] - Subscriber group whose templates to use
+ * @param {DateTime} [options.at] - Day of the digest
+ * @param {string} [options.templatesDirectory] - Directory of the templates, see templates.js
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function digestMessage(
+  { added, updated = [], closingSoon = [], summary },
+  { group, at = now(), templatesDirectory } = {}
+) {
+  const jobs = [
+    ...added.map((record) => ({ ...alertDetails(record), badge: "New", isNew: true, changes: null })),
+    ...updated.map((record) => ({
+      ...alertDetails(record),
+      badge: "Updated",
+      isNew: false,
+      changes: (record.changeLabels ?? []).join(", ")
+    }))
+  ];
+  return renderEmail(
+    "digest",
+    {
+      day: formatDate(at),
+      summary,
+      counts: { new: added.length, updated: updated.length },
+      departments: groupByDepartment(jobs),
+      closingSoon: closingSoon.map(alertDetails)
+    },
+    { group, directory: templatesDirectory }
+  );
+}
+
+/**
+ * @description Picks the jobs of the daily digest of each subscriber: today's
+ * new and updated jobs matching their saved searches, see lib/alertRules.js,
+ * that weren't already sent to them in the same version, see lib/deliveries.js,
+ * and the open jobs they match that close soon.
+ * @param {{added: Array<Object>, updated: Array<Object>, summary: string}} changes - See todaysChanges()
+ * @param {Array<Object>} subscribers - See Storage#loadSubscribers()
+ * @param {Array<Object>} [open] - Open job records, for the closing soon section
+ * @param {Array<Object>} [sent] - The delivery ledger, see Storage#loadDeliveries()
+ * @returns {Array<{subscriber: Object, digest: Object}>} See digestMessage(), subscribers
+ * without new or updated jobs are left out
+ */
+export function subscriberDigests(changes, subscribers, open = [], sent = []) {
+  const window = parseDuration(config.alerts.closingSoon);
+  return subscribers.flatMap((subscriber) => {
+    const to = { channel: "email", recipient: subscriber.email };
+    const added = matchSubscriber(undelivered(changes.added, sent, to), subscriber);
+    const updated = matchSubscriber(undelivered(changes.updated ?? [], sent, to), subscriber);
+    if (!added.length && !updated.length) return [];
+
+    const closingSoon = closingWithin(matchSubscriber(open, subscriber).map(({ record }) => record), window);
+    const searches = [...new Set([...added, ...updated].flatMap(({ searches }) => searches))];
+    // Jobs already sent leave the summary of the whole day wrong
+    const all = added.length === changes.added.length && updated.length === (changes.updated ?? []).length;
+    const counts = [added.length && `${added.length} new`, updated.length && `${updated.length} updated`];
+    const digest = {
+      added: added.map(({ record }) => record),
+      updated: updated.map(({ record }) => record),
+      closingSoon,
+      summary: searches.length ? `Matching ${searches.join(", ")}` : all ? changes.summary : counts.filter(Boolean).join(", ")
+    };
+    return [{ subscriber, digest }];
+  });
+}
+
+/**
+ * @description Emails today's new and updated NSW and Seek jobs to the
+ * subscribers whose saved searches they match. Run once the spiders have saved today's
+ * snapshots, e.g. by scrape-all.js. The jobs sent are recorded in the delivery
+ * ledger, so running it again only sends the jobs new or changed since.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sources] - File prefixes of the spiders
+ * @param {boolean} [options.dryRun] - Return the messages without sending them or recording them as sent
+ * @param {Object} [options.transport] - Transport to send them with, defaults to the one of config.js, see transports.js
+ * @returns {Promise<{messages: Array<Object>, sent: Array<string>}>} The messages, and the subscribers they were sent to
+ */
+export async function dailyAlerts({ sources, dryRun = false, transport } = {}) {
+  const changes = todaysChanges(sources);
+  if (!changes.added.length && !changes.updated.length) return { messages: [], sent: [] };
+
+  const storage = createStorage();
   try {
-    fs.readdir(directoryPath, (error, files) => {
-      if (error) {
-        console.log(`Error reading directory: ${error.message}`);
-        return;
-      }
-      const matchingFiles = files.filter((file) =>
-        file.includes(query)
-      );
-     
-      matchingFiles.forEach((file) => {
-        const filePath = path.join(directoryPath, file);
-        fs.readFile(filePath, (err, data) => {
-          if (err) {
-            console.error(`Error reading file: ${err.message}`);
-            return;
-          }
-          const jsonData = JSON.parse(data);
-          callback(jsonData);
-        });
-      });
-    });
-  } catch (error) {
-    console.log(error.message);
+    const open = collapseLinked(storage.queryJobs({ open: true }), storage.loadLinks());
+    const digests = subscriberDigests(changes, storage.loadSubscribers(), open, storage.loadDeliveries({ channel: "email" }));
+    const messages = digests.map(({ subscriber, digest }) => ({
+      to: subscriber.email,
+      ...digestMessage(digest, { group: subscriber.group })
+    }));
+    if (dryRun) return { messages, sent: [] };
+
+    const transporter = transport ?? createTransport();
+    const sent = [];
+    for (const [index, { subscriber, digest }] of digests.entries()) {
+      await transporter.sendMail({ from: sender(), ...messages[index] });
+      // Recorded as each email goes, so a failure part way doesn't resend the ones already sent
+      storage.saveDeliveries(deliveryLog({ channel: "email", recipient: subscriber.email }, [...digest.added, ...digest.updated]));
+      sent.push(subscriber.email);
+    }
+    return { messages, sent };
+  } finally {
+    storage.close();
   }
 }
-export function dailyAlerts() {
-  
-  const dailyUpdate = (info) => {
-   
-    try {
-      if (subscribers.length) {
-        for (const subscriber of subscribers) {
-          const eMailOptions = {
-            from: `"Bot Alerts" ${transporter.auth.user}`,
-            to: subscriber,
-            subject: "Bot Alerts Daily government job posts.",
-            text: "Good Day  Here are to days latest goverment job post updates",
-            html: `<h2>${date("date").replaceAll("-", " ")} Updates</h2> 
-            <hr/> 
-            <br/>
-            <ul>${info.list
-              .map(
-                (source) =>
-                  `<li><a href="${source.sourceLink}">${source.text}</a></li>`
-              )
-              .join("")}</ul>`,
-          };
-console.log(subscriber)
-          transporter.sendMail(eMailOptions, (error, info) => {
-            if (error) {
-              return console.log(error);
-            }
-            console.log(`Message sent: ${info.messageId}`);
-          });
-        }
-      }
-    } catch (error) {
-      console.log(error.message);
-    }
-  };
-  queryDatabase(date().replaceAll("-", " ").toUpperCase(), dailyUpdate);
+
+/**
+ * @description Renders the reminder of the jobs closing soon, grouped by the day they close, see templates.js.
+ * @param {Array<Object>} reminders - See dueReminders()
+ * @param {Object} [options]
+ * @param {string} [options.group] - Subscriber group whose templates to use
+ * @param {DateTime} [options.at] - Now, for the days the jobs close in
+ * @param {string} [options.templatesDirectory] - Directory of the templates, see templates.js
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function reminderMessage(reminders, { group, at = now(), templatesDirectory } = {}) {
+  const groups = groupByDeadline(reminders, at).map(({ label, reminders: grouped }) => ({
+    label,
+    jobs: grouped.map(({ record, flagged }) => ({ ...alertDetails(record), flagged }))
+  }));
+  return renderEmail("reminder", { count: reminders.length, groups }, { group, directory: templatesDirectory });
 }
 
-dailyAlerts();
\ No newline at end of file
+/**
+ * @description Reminds the subscribers of the open jobs they matched or flagged
+ * that close within a reminder window, once per job and window, see lib/reminders.js.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.windows] - Lengths of time before closing, defaults to alerts.reminders in config.js
+ * @param {boolean} [options.dryRun] - Return the messages without sending them or logging them as sent
+ * @param {Object} [options.transport] - Transport to send them with, defaults to the one of config.js, see transports.js
+ * @returns {Promise<{messages: Array<Object>, sent: Array<string>}>} The messages, and the subscribers they were sent to
+ */
+export async function closingReminders({ windows = config.alerts.reminders, dryRun = false, transport } = {}) {
+  // A mistyped window fails before anything is sent
+  windows.forEach(parseDuration);
+  const storage = createStorage();
+  try {
+    const open = collapseLinked(storage.queryJobs({ open: true }), storage.loadLinks());
+    const sentBefore = storage.loadReminders();
+    const due = storage
+      .loadSubscribers()
+      .map((subscriber) => ({ subscriber, reminders: dueReminders(open, subscriber, sentBefore, { windows }) }))
+      .filter(({ reminders }) => reminders.length);
+
+    const messages = due.map(({ subscriber, reminders }) => ({
+      to: subscriber.email,
+      ...reminderMessage(reminders, { group: subscriber.group })
+    }));
+    if (dryRun) return { messages, sent: [] };
+
+    const transporter = transport ?? createTransport();
+    const sent = [];
+    for (const [index, { subscriber, reminders }] of due.entries()) {
+      await transporter.sendMail({ from: sender(), ...messages[index] });
+      // Logged as each email goes, so a failure part way doesn't resend the ones already sent
+      storage.saveReminders(reminderLog(subscriber.email, reminders, sentBefore));
+      sent.push(subscriber.email);
+    }
+    return { messages, sent };
+  } finally {
+    storage.close();
+  }
+}
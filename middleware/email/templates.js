@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Handlebars from "handlebars";
+
+/**
+ * @description Directory of the email templates. Each template is a subject,
+ * text and html file, e.g. digest.subject.hbs, digest.text.hbs and
+ * digest.html.hbs, under default/ or under the name of a subscriber group.
+ */
+export const templatesDirectory = path.join(path.dirname(fileURLToPath(import.meta.url)), "templates");
+
+/**
+ * @description Parts of an email rendered from its own file.
+ */
+const parts = ["subject", "text", "html"];
+
+// HTML escapes what it renders, text and subjects are sent as they are
+const html = Handlebars.create();
+const text = Handlebars.create();
+
+for (const handlebars of [html, text]) {
+  handlebars.registerHelper("plural", (count, singular, plural) => (count === 1 ? singular : plural));
+}
+
+const compiled = new Map();
+
+/**
+ * @description Path of a part of a template, the group's own file when it has one
+ * @param {string} directory - Directory of the templates, see templatesDirectory
+ * @param {string} name - Template, e.g. "digest"
+ * @param {string} part - "subject", "text" or "html"
+ * @param {string} [group] - Subscriber group
+ * @returns {string}
+ */
+function templatePath(directory, name, part, group) {
+  // The group names a directory under the templates, not a path out of them
+  if (group && (/[/\\]/.test(group) || group === "." || group === "..")) {
+    throw new Error(`Subscriber group "${group}" is not a valid template directory name`);
+  }
+  const own = group && path.join(directory, group, `${name}.${part}.hbs`);
+  return own && fs.existsSync(own) ? own : path.join(directory, "default", `${name}.${part}.hbs`);
+}
+
+/**
+ * @description Renders an email from its template files.
+ * @param {string} name - Template, e.g. "digest"
+ * @param {Object} context - Values the template shows
+ * @param {Object} [options]
+ * @param {string} [options.group] - Subscriber group whose templates to prefer, see templatesDirectory
+ * @param {string} [options.directory] - Directory of the templates, laid out like templatesDirectory
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderEmail(name, context, { group, directory = templatesDirectory } = {}) {
+  return Object.fromEntries(
+    parts.map((part) => {
+      const filePath = templatePath(directory, name, part, group);
+      if (!compiled.has(filePath)) {
+        const handlebars = part === "html" ? html : text;
+        compiled.set(filePath, handlebars.compile(fs.readFileSync(filePath, "utf8"), { noEscape: part !== "html" }));
+      }
+      const rendered = compiled.get(filePath)(context);
+      return [part, part === "subject" ? rendered.replace(/\s+/g, " ").trim() : rendered];
+    })
+  );
+}
@@ -0,0 +1,87 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import nodemailer from "nodemailer";
+import { config as loadEnv } from "dotenv";
+import config from "../../config.js";
+import { timestamp } from "../../lib/dates.js";
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+loadEnv({ path: path.join(projectRoot, ".env") });
+
+/**
+ * @description Writes every message to a directory instead of sending it, as
+ * the .eml a mail client opens and as JSON to read the parts.
+ */
+export class FileTransport {
+  #renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+  #count = 0;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Directory of the messages, relative to the project root
+   */
+  constructor({ directory = "database/mail" } = {}) {
+    this.directory = path.resolve(projectRoot, directory);
+  }
+
+  /**
+   * @description Writes a message
+   * @param {Object} message - nodemailer message, e.g. { from, to, subject, text, html }
+   * @returns {Promise<{messageId: string, envelope: Object, path: string}>}
+   */
+  async sendMail(message) {
+    const { messageId, envelope, message: eml } = await this.#renderer.sendMail(message);
+    const to = [message.to].flat().join(",").replace(/[^\w.@-]+/g, "_");
+    const filePath = path.join(this.directory, `${timestamp()}-${++this.#count}-${to}`);
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(`${filePath}.eml`, eml);
+    fs.writeFileSync(`${filePath}.json`, JSON.stringify({ messageId, envelope, ...message }, null, 2));
+    return { messageId, envelope, path: `${filePath}.eml` };
+  }
+}
+
+/**
+ * @description Email transports by the name used in config.js. Each returns
+ * an object with nodemailer's sendMail(message).
+ */
+export const transports = {
+  // Any SMTP server, logging in with EMAIL and PASSWORD from .env when set
+  smtp: ({ host, port, secure = false }) =>
+    nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: process.env.EMAIL ? { user: process.env.EMAIL, pass: process.env.PASSWORD } : undefined
+    }),
+  file: (options) => new FileTransport(options),
+  // The local SMTP server of scripts/smtp-sink.js
+  sink: ({ host = "127.0.0.1", port = 2525 }) => nodemailer.createTransport({ host, port, secure: false, ignoreTLS: true })
+};
+
+/**
+ * @description Creates the email transport selected in config.js
+ * @param {Object} [options] - Email settings, defaults to config.email
+ * @param {string} options.transport - "smtp", "file" or "sink"
+ * @returns {{sendMail: function(Object): Promise<Object>}}
+ */
+export function createTransport(options = config.email) {
+  const transport = transports[options.transport];
+  if (!transport) {
+    throw new Error(
+      `Unknown email transport "${options.transport}", expected one of: ${Object.keys(transports).join(", ")}`
+    );
+  }
+  return transport(options[options.transport] ?? {});
+}
+
+/**
+ * @description Address the alerts are sent from, config.email.from or the EMAIL of .env
+ * @param {Object} [options] - Email settings, defaults to config.email
+ * @returns {string}
+ */
+export function sender(options = config.email) {
+  return options.from ?? `"Bot Alerts" <${process.env.EMAIL ?? "alerts@localhost"}>`;
+}
@@ -0,0 +1,290 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DateTime } from "luxon";
+import config from "../../config.js";
+import { createStorage } from "../../storage/index.js";
+import { collapseLinked } from "../../lib/duplicates.js";
+import { contentVersion } from "../../lib/diff.js";
+import { matchesSearch } from "../../lib/alertRules.js";
+import { formatDate, now, toIso } from "../../lib/dates.js";
+import { alertDetails } from "../email/notifier.js";
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+/**
+ * @description Escapes text for XML.
+ * @param {string} text
+ * @returns {string}
+ */
+const xml = (text) =>
+  `${text ?? ""}`.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * @description Turns a name into the name of a feed file, e.g. "Data roles" into "data-roles".
+ * @param {string} name
+ * @returns {string}
+ */
+const slug = (name) =>
+  name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "unnamed";
+
+/**
+ * @description Stable id of the entry of a job, from its source and job id.
+ * @param {{source: string, sourceId: string}} record
+ * @returns {string} e.g. "nswgov:542236"
+ */
+export const entryKey = ({ source, sourceId }) => `${source}:${sourceId}`;
+
+/**
+ * @description Dates the entries of the open jobs. A job is published when it
+ * is first written to the feeds, from its posting date when known, and updated
+ * whenever the fields the diffs compare change, see contentVersion().
+ * @param {Array<Object>} records - Open job records, or jobs linked by collapseLinked()
+ * @param {Object<string, {version: string, published: string, updated: string}>} known - Entries
+ * of the previous run by entryKey(), see FeedWriter
+ * @param {DateTime} [at] - Now
+ * @returns {Array<{record: Object, key: string, version: string, published: string, updated: string}>}
+ * Most recently updated first
+ */
+export function datedEntries(records, known, at = now()) {
+  return records
+    .map((record) => {
+      const key = entryKey(record);
+      const version = contentVersion(record);
+      const before = known[key];
+      const published = before?.published ?? toIso(record.dates.posted) ?? toIso(at);
+      const updated = !before ? published : before.version === version ? before.updated : toIso(at);
+      return { record, key, version, published, updated };
+    })
+    .sort((a, b) => b.updated.localeCompare(a.updated) || a.key.localeCompare(b.key));
+}
+
+/**
+ * @description The feeds written: every open job, the jobs of each department
+ * and the jobs matching each saved search of the subscribers.
+ * @param {Array<Object>} entries - See datedEntries()
+ * @param {Array<Object>} subscribers - See Storage#loadSubscribers()
+ * @param {string} title - Title of the feed of every job
+ * @returns {Array<{name: string, title: string, entries: Array<Object>}>}
+ */
+export function feedsFor(entries, subscribers, title) {
+  const feeds = [{ name: "all", title, entries }];
+
+  const departments = new Map();
+  for (const entry of entries) {
+    const department = entry.record.department || entry.record.employer;
+    if (!department) continue;
+    if (!departments.has(department)) departments.set(department, []);
+    departments.get(department).push(entry);
+  }
+  // Departments whose names slug the same, e.g. "Health" and "health", are numbered
+  const names = new Set();
+  for (const [department, grouped] of [...departments].sort(([a], [b]) => a.localeCompare(b))) {
+    let name = `department-${slug(department)}`;
+    for (let count = 2; names.has(name); count++) name = `department-${slug(department)}-${count}`;
+    names.add(name);
+    feeds.push({ name, title: `${title}: ${department}`, entries: grouped });
+  }
+
+  // Searches of the same name and criteria share a feed, others of the same name are numbered
+  const searches = new Map();
+  const sorted = [...subscribers].sort((a, b) => a.email.localeCompare(b.email));
+  for (const search of sorted.flatMap((subscriber) => subscriber.searches ?? [])) {
+    const criteria = JSON.stringify({ ...search, name: null });
+    let name = `search-${slug(search.name)}`;
+    for (let count = 2; searches.has(name) && searches.get(name).criteria !== criteria; count++) {
+      name = `search-${slug(search.name)}-${count}`;
+    }
+    if (!searches.has(name)) searches.set(name, { search, criteria });
+  }
+  for (const [name, { search }] of searches) {
+    const matching = entries.filter(({ record }) => matchesSearch(record, search));
+    feeds.push({ name, title: `${title}: ${search.name}`, entries: matching });
+  }
+  return feeds;
+}
+
+/**
+ * @description The HTML body of an entry: the department, location, closing
+ * date and salary of the job, its summary and its links.
+ * @param {Object} entry - See datedEntries()
+ * @returns {string}
+ */
+function entryBody({ record, published, updated }) {
+  const job = alertDetails(record);
+  const summary = (record.summary ?? "").replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+  const lines = [
+    `<p><strong>${xml(job.department)}</strong><br>${xml(job.location)}</p>`,
+    `<p>Closing date: ${xml(job.closing)}<br>Salary: ${xml(job.salary)}</p>`,
+    summary ? `<p>${xml(summary)}</p>` : null,
+    job.urls.length > 1 ? `<p>Advertised on: ${job.urls.map((url) => `<a href="${xml(url)}">${xml(new URL(url).host)}</a>`).join(", ")}</p>` : null,
+    updated !== published ? `<p><em>Updated ${xml(formatDate(updated, "d MMM yyyy"))}</em></p>` : null
+  ];
+  return lines.filter(Boolean).join("\n");
+}
+
+/**
+ * @description Url of a feed file when the feeds are served from a base url.
+ * @param {string|null} baseUrl - See the feeds settings of config.js
+ * @param {string} file - e.g. "rss/all.xml"
+ * @returns {string|null}
+ */
+const feedUrl = (baseUrl, file) => (baseUrl ? `${baseUrl.replace(/\/+$/, "")}/${file}` : null);
+
+/**
+ * @description Renders a feed as RSS 2.0. Items are dated when the job was
+ * published, the channel when a job was last published or updated.
+ * @param {{name: string, title: string, entries: Array<Object>}} feed - See feedsFor()
+ * @param {Object} [options]
+ * @param {string|null} [options.baseUrl] - Url the feeds are served from
+ * @param {DateTime} [options.at] - Now, the date of an empty feed
+ * @returns {string}
+ */
+export function renderRss({ name, title, entries }, { baseUrl = null, at = now() } = {}) {
+  const rfc822 = (iso) => DateTime.fromISO(iso, { setZone: true }).toRFC2822();
+  const self = feedUrl(baseUrl, `rss/${name}.xml`);
+  const items = entries.map((entry) => {
+    const { record } = entry;
+    return [
+      "    <item>",
+      `      <title>${xml(record.title)}</title>`,
+      `      <link>${xml(record.url)}</link>`,
+      `      <guid isPermaLink="false">${xml(entry.key)}</guid>`,
+      `      <pubDate>${rfc822(entry.published)}</pubDate>`,
+      ...record.categories.map((category) => `      <category>${xml(category)}</category>`),
+      `      <description>${xml(entryBody(entry))}</description>`,
+      "    </item>"
+    ].join("\n");
+  });
+  const lastBuild = entries[0]?.updated ?? toIso(at);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${xml(title)}</title>`,
+    `    <link>${xml(self ?? entries[0]?.record.url ?? "https://iworkfor.nsw.gov.au/")}</link>`,
+    `    <description>${xml(`${title}, from iworkfor.nsw.gov.au and seek.com.au`)}</description>`,
+    ...(self ? [`    <atom:link href="${xml(self)}" rel="self" type="application/rss+xml"/>`] : []),
+    `    <lastBuildDate>${rfc822(lastBuild)}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    ""
+  ].join("\n");
+}
+
+/**
+ * @description Renders a feed as Atom, each entry with when the job was
+ * published and when it last changed.
+ * @param {{name: string, title: string, entries: Array<Object>}} feed - See feedsFor()
+ * @param {Object} [options]
+ * @param {string|null} [options.baseUrl] - Url the feeds are served from
+ * @param {DateTime} [options.at] - Now, the date of an empty feed
+ * @returns {string}
+ */
+export function renderAtom({ name, title, entries }, { baseUrl = null, at = now() } = {}) {
+  const self = feedUrl(baseUrl, `atom/${name}.xml`);
+  const items = entries.map((entry) => {
+    const { record } = entry;
+    return [
+      "  <entry>",
+      `    <id>urn:government-vacancies:${xml(entry.key)}</id>`,
+      `    <title>${xml(record.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${xml(record.url)}"/>`,
+      `    <published>${entry.published}</published>`,
+      `    <updated>${entry.updated}</updated>`,
+      `    <author><name>${xml(record.employer || record.department || record.source)}</name></author>`,
+      ...record.categories.map((category) => `    <category term="${xml(category)}"/>`),
+      `    <content type="html">${xml(entryBody(entry))}</content>`,
+      "  </entry>"
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:government-vacancies:feed:${xml(name)}</id>`,
+    `  <title>${xml(title)}</title>`,
+    `  <updated>${entries[0]?.updated ?? toIso(at)}</updated>`,
+    ...(self ? [`  <link rel="self" type="application/atom+xml" href="${xml(self)}"/>`] : []),
+    ...items,
+    "</feed>",
+    ""
+  ].join("\n");
+}
+
+/**
+ * @description Writes the RSS and Atom feeds of the open jobs to a directory,
+ * e.g. database/feeds/rss/all.xml and database/feeds/atom/all.xml, see feedsFor().
+ *
+ * entries.json in the same directory records the version and dates of every
+ * entry, so a job keeps its published date and is only marked updated when it
+ * changes. Feeds of departments and searches without open jobs are removed.
+ */
+export class FeedWriter {
+  /**
+   * @param {Object} [options] - Defaults to the feeds settings of config.js
+   * @param {string} [options.directory] - Directory of the feeds, relative to the project root
+   * @param {string|null} [options.baseUrl] - Url the directory is served from, for the feeds' own links
+   * @param {string} [options.title] - Title of the feed of every job
+   * @param {number} [options.maxEntries] - Most entries of a feed, the most recently updated
+   */
+  constructor({ directory = "database/feeds", baseUrl = null, title = "Government jobs", maxEntries = 200 } = config.feeds) {
+    this.directory = path.resolve(projectRoot, directory);
+    this.entriesPath = path.join(this.directory, "entries.json");
+    this.baseUrl = baseUrl;
+    this.title = title;
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @description Writes the feeds from the open jobs in storage
+   * @param {import("../../storage/storage.js").Storage} [storage] - Defaults to the backend of config.js
+   * @param {DateTime} [at] - Now
+   * @returns {Array<{name: string, title: string, entries: number}>} The feeds written
+   */
+  write(storage, at = now()) {
+    const ownStorage = !storage;
+    storage ??= createStorage();
+    let records;
+    let subscribers;
+    try {
+      records = collapseLinked(storage.queryJobs({ open: true }), storage.loadLinks());
+      subscribers = storage.loadSubscribers();
+    } finally {
+      if (ownStorage) storage.close();
+    }
+
+    const known = fs.existsSync(this.entriesPath) ? JSON.parse(fs.readFileSync(this.entriesPath, "utf8")) : {};
+    const entries = datedEntries(records, known, at);
+    const feeds = feedsFor(entries, subscribers, this.title);
+
+    for (const format of ["rss", "atom"]) {
+      const directory = path.join(this.directory, format);
+      fs.mkdirSync(directory, { recursive: true });
+      const written = new Set();
+      for (const feed of feeds) {
+        const render = format === "rss" ? renderRss : renderAtom;
+        const limited = { ...feed, entries: feed.entries.slice(0, this.maxEntries) };
+        fs.writeFileSync(path.join(directory, `${feed.name}.xml`), render(limited, { baseUrl: this.baseUrl, at }));
+        written.add(`${feed.name}.xml`);
+      }
+      fs.readdirSync(directory)
+        .filter((file) => file.endsWith(".xml") && !written.has(file))
+        .forEach((file) => fs.rmSync(path.join(directory, file)));
+    }
+
+    // Only open jobs are kept, a job re-advertised later is published again
+    const dates = Object.fromEntries(entries.map(({ key, version, published, updated }) => [key, { version, published, updated }]));
+    const tmpPath = `${this.entriesPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(dates, null, 2));
+    fs.renameSync(tmpPath, this.entriesPath);
+
+    return feeds.map(({ name, title, entries: feedEntries }) => ({ name, title, entries: feedEntries.length }));
+  }
+}
@@ -0,0 +1,188 @@
+import { alertDetails } from "../email/notifier.js";
+
+/**
+ * @description Most jobs listed in a chat message, more are posted in several
+ * messages, see splitJobs(). Slack takes up to 50 blocks per message.
+ */
+const maxJobs = 20;
+
+/**
+ * @description The details of a job posted to a webhook.
+ * @param {Object} record - Job record, or jobs linked by collapseLinked()
+ * @returns {Object} See alertDetails(), with the source, sourceId and changes of an updated job
+ */
+function jobDetails(record) {
+  return {
+    source: record.source,
+    sourceId: record.sourceId,
+    ...alertDetails(record),
+    changes: record.changeLabels ?? []
+  };
+}
+
+/**
+ * @description Lists the new then the updated jobs of an event.
+ * @param {{added: Array<Object>, updated: Array<Object>}} event - See jobWebhooks()
+ * @returns {Array<Object>}
+ */
+const listedJobs = ({ added, updated }) => [
+  ...added.map((record) => ({ ...jobDetails(record), badge: "New" })),
+  ...updated.map((record) => ({ ...jobDetails(record), badge: "Updated" }))
+];
+
+/**
+ * @description Headline of a chat message of jobs, numbered when the event takes several messages.
+ * @param {Object} event - See splitJobs()
+ * @returns {string}
+ */
+const jobsHeadline = ({ summary, part, parts }) => `Government jobs: ${summary}${parts ? ` (${part} of ${parts})` : ""}`;
+
+/**
+ * @description Escapes the characters Slack reads as markup.
+ * @param {string} text
+ * @returns {string}
+ */
+const slackText = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * @description Escapes the characters Teams reads as markdown in a link text.
+ * @param {string} text
+ * @returns {string}
+ */
+const teamsText = (text) => text.replace(/([[\]\\*_])/g, "\\$1");
+
+/**
+ * @description Wraps Adaptive Card elements in the message a Teams workflow webhook takes.
+ * @param {Array<Object>} body - Adaptive Card elements
+ * @returns {Object}
+ */
+const teamsMessage = (body) => ({
+  type: "message",
+  attachments: [
+    {
+      contentType: "application/vnd.microsoft.card.adaptive",
+      contentUrl: null,
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        msteams: { width: "Full" },
+        body
+      }
+    }
+  ]
+});
+
+/**
+ * @description Payload formats by the name used in config.js. Each turns a
+ * jobs event, see jobWebhooks(), and a failure event, see failureWebhooks(), into
+ * the JSON posted to an endpoint. maxJobs is the most jobs a payload lists.
+ */
+export const formats = {
+  // Everything about the jobs, for scripts and other services
+  generic: {
+    jobs: (event) => ({
+      event: "jobs",
+      date: event.date,
+      summary: event.summary,
+      added: event.added.map(jobDetails),
+      updated: event.updated.map(jobDetails)
+    }),
+    failure: (event) => ({ event: "failure", ...event })
+  },
+
+  // Slack incoming webhooks, text being the notification of clients without blocks
+  slack: {
+    maxJobs,
+    jobs: (event) => {
+      const jobs = listedJobs(event);
+      const text = jobsHeadline(event);
+      return {
+        text,
+        blocks: [
+          { type: "header", text: { type: "plain_text", text: slackText(text).slice(0, 150) } },
+          ...jobs.map((job) => ({
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: [
+                `*<${job.url}|${slackText(job.title)}>* _${job.badge}_`,
+                slackText(`${job.department} - ${job.location}`),
+                slackText(`Closes ${job.closing} - ${job.salary}`),
+                ...(job.changes.length ? [slackText(`Changed: ${job.changes.join(", ")}`)] : [])
+              ].join("\n")
+            }
+          }))
+        ]
+      };
+    },
+    failure: (event) => {
+      const text = `:warning: The ${event.source} run failed: ${event.error}`;
+      return {
+        text,
+        blocks: [
+          { type: "section", text: { type: "mrkdwn", text: slackText(text) } },
+          { type: "context", elements: [{ type: "mrkdwn", text: slackText(event.date) }] }
+        ]
+      };
+    }
+  },
+
+  // Teams workflow webhooks, posting an Adaptive Card
+  teams: {
+    maxJobs,
+    jobs: (event) => {
+      const jobs = listedJobs(event);
+      return teamsMessage([
+        { type: "TextBlock", size: "Large", weight: "Bolder", wrap: true, text: jobsHeadline(event) },
+        ...jobs.map((job) => ({
+          type: "Container",
+          separator: true,
+          items: [
+            { type: "TextBlock", weight: "Bolder", wrap: true, text: `[${teamsText(job.title)}](${job.url}) - ${job.badge}` },
+            {
+              type: "FactSet",
+              facts: [
+                { title: "Department", value: job.department },
+                { title: "Location", value: job.location },
+                { title: "Closes", value: job.closing },
+                { title: "Salary", value: job.salary },
+                ...(job.changes.length ? [{ title: "Changed", value: job.changes.join(", ") }] : [])
+              ]
+            }
+          ]
+        }))
+      ]);
+    },
+    failure: (event) =>
+      teamsMessage([
+        { type: "TextBlock", size: "Large", weight: "Bolder", color: "Attention", wrap: true, text: `The ${event.source} run failed` },
+        { type: "TextBlock", wrap: true, text: event.error },
+        { type: "TextBlock", isSubtle: true, wrap: true, text: event.date }
+      ])
+  }
+};
+
+/**
+ * @description Splits a jobs event into events of at most the jobs a payload of the format lists.
+ * @param {{added: Array<Object>, updated: Array<Object>}} event - See jobWebhooks()
+ * @param {string} format - Name of the format
+ * @returns {Array<Object>} The event, or its parts numbered by part and parts
+ */
+export function splitJobs(event, format) {
+  const limit = formats[format].maxJobs;
+  const jobs = [...event.added.map((record) => ({ record, added: true })), ...event.updated.map((record) => ({ record, added: false }))];
+  if (!limit || jobs.length <= limit) return [event];
+
+  const parts = Math.ceil(jobs.length / limit);
+  return Array.from({ length: parts }, (_, index) => {
+    const part = jobs.slice(index * limit, (index + 1) * limit);
+    return {
+      ...event,
+      added: part.filter(({ added }) => added).map(({ record }) => record),
+      updated: part.filter(({ added }) => !added).map(({ record }) => record),
+      part: index + 1,
+      parts
+    };
+  });
+}
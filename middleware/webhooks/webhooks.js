@@ -0,0 +1,236 @@
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import fetch from "node-fetch";
+import { config as loadEnv } from "dotenv";
+import config from "../../config.js";
+import { matchesSearch } from "../../lib/alertRules.js";
+import { now, toIso } from "../../lib/dates.js";
+import { deliveryLog, undelivered } from "../../lib/deliveries.js";
+import { createStorage } from "../../storage/index.js";
+import { todaysChanges } from "../email/notifier.js";
+import { formats, splitJobs } from "./formats.js";
+
+loadEnv({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", ".env") });
+
+/**
+ * @description Events an endpoint can be posted, see the webhooks settings of config.js.
+ */
+export const events = ["jobs", "failure"];
+
+/**
+ * @description Signs a request body with HMAC-SHA256. The timestamp is signed
+ * along with the body, so a captured request can't be replayed later.
+ * @param {string} body - JSON posted
+ * @param {string} secret - Secret shared with the receiver
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @returns {string} The X-Webhook-Signature header, e.g. "sha256=5d41..."
+ */
+export function signPayload(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * @description Checks the signature of a request posted by postWebhook().
+ * @param {string} body - Raw body received
+ * @param {Object} headers - Headers received, lower case as node:http gives them
+ * @param {string} secret - Secret shared with the sender
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Seconds a timestamp is accepted for
+ * @returns {boolean}
+ */
+export function verifySignature(body, headers, secret, { tolerance = 300 } = {}) {
+  const timestamp = Number(headers["x-webhook-timestamp"]);
+  const signature = headers["x-webhook-signature"] ?? "";
+  if (!timestamp || Math.abs(now().toSeconds() - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(signPayload(body, secret, timestamp));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * @description Reads the url and secret of an endpoint, from .env when it names variables.
+ * @param {Object} endpoint - See the webhooks settings of config.js
+ * @returns {{name: string, url: string, secret: string|null, format: string, events: Array<string>, filter: Object|null}}
+ */
+export function resolveEndpoint(endpoint) {
+  const url = endpoint.url ?? process.env[endpoint.urlEnv];
+  if (!url) throw new Error(`Webhook "${endpoint.name}" has no url, set url or the ${endpoint.urlEnv ?? "urlEnv"} of .env`);
+  const format = endpoint.format ?? "generic";
+  if (!formats[format]) {
+    throw new Error(`Unknown webhook format "${format}", expected one of: ${Object.keys(formats).join(", ")}`);
+  }
+  const endpointEvents = endpoint.events ?? events;
+  const unknown = endpointEvents.filter((event) => !events.includes(event));
+  if (unknown.length) throw new Error(`Unknown webhook events ${unknown.join(", ")}, expected: ${events.join(", ")}`);
+
+  return {
+    name: endpoint.name,
+    url,
+    secret: endpoint.secretEnv ? process.env[endpoint.secretEnv] ?? null : null,
+    format,
+    events: endpointEvents,
+    filter: endpoint.filter ?? null
+  };
+}
+
+const sleep = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+/**
+ * @description Posts a payload to an endpoint, retrying network errors, 429s
+ * and 5xx responses with a doubling wait, or the wait of a Retry-After header
+ * up to maxRetryAfter.
+ * @param {Object} endpoint - See resolveEndpoint()
+ * @param {string} event - "jobs" or "failure", sent as X-Webhook-Event
+ * @param {Object} payload - See formats.js
+ * @param {Object} [options] - Defaults to the webhooks settings of config.js
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.backoff] - Milliseconds waited before the first retry
+ * @param {number} [options.maxRetryAfter] - Most milliseconds a Retry-After header makes it wait
+ * @param {number} [options.timeout] - Milliseconds an attempt may take
+ * @returns {Promise<{status: number, attempts: number}>}
+ */
+export async function postWebhook(
+  endpoint,
+  event,
+  payload,
+  { retries = 3, backoff = 1000, maxRetryAfter = 60000, timeout = 10000 } = config.webhooks
+) {
+  const body = JSON.stringify(payload);
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt) await sleep(lastError.retryAfter ?? backoff * 2 ** (attempt - 1));
+
+    // Signed again on every attempt, a retry being sent later
+    const timestamp = Math.floor(now().toSeconds());
+    const headers = { "Content-Type": "application/json", "X-Webhook-Event": event, "X-Webhook-Timestamp": `${timestamp}` };
+    if (endpoint.secret) headers["X-Webhook-Signature"] = signPayload(body, endpoint.secret, timestamp);
+
+    let response;
+    try {
+      response = await fetch(endpoint.url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeout) });
+    } catch (error) {
+      lastError = new Error(`Webhook "${endpoint.name}" failed: ${error.message}`);
+      continue;
+    }
+    if (response.ok) return { status: response.status, attempts: attempt + 1 };
+
+    lastError = new Error(`Webhook "${endpoint.name}" answered ${response.status} ${response.statusText}`);
+    if (response.status !== 429 && response.status < 500) throw lastError;
+    const retryAfter = Number(response.headers.get("retry-after"));
+    // A receiver asking for hours would hold up the spiders' run, the wait is capped
+    if (retryAfter > 0) lastError.retryAfter = Math.min(retryAfter * 1000, maxRetryAfter);
+  }
+  throw lastError;
+}
+
+/**
+ * @description Posts an event to every endpoint taking it. One endpoint
+ * failing doesn't stop the others.
+ * @param {string} event - "jobs" or "failure"
+ * @param {function(Object): Object|null} eventFor - The event as an endpoint sees it, null to post nothing
+ * @param {Object} options
+ * @param {Array<Object>} options.endpoints - See the webhooks settings of config.js
+ * @param {boolean} options.dryRun - Return the payloads without posting them
+ * @param {function(Object, Object): void} [options.onSent] - Called with the endpoint and the event, or the part of it, once posted
+ * @returns {Promise<{payloads: Array<{endpoint: string, payload: Object}>, sent: Array<string>, failed: Array<{endpoint: string, error: string}>}>}
+ */
+async function deliver(event, eventFor, { endpoints, dryRun, onSent }) {
+  const payloads = [];
+  const sent = [];
+  const failed = [];
+  // An endpoint missing its url or misconfigured fails on its own, like one that can't be reached
+  for (const [index, settings] of endpoints.entries()) {
+    try {
+      const endpoint = resolveEndpoint(settings);
+      const data = endpoint.events.includes(event) && eventFor(endpoint);
+      // Chat formats list a limited number of jobs, more go in several posts
+      const parts = !data ? [] : event === "jobs" ? splitJobs(data, endpoint.format) : [data];
+      parts.forEach((part) => payloads.push({ endpoint, data: part, payload: formats[endpoint.format][event](part) }));
+    } catch (error) {
+      failed.push({ endpoint: settings.name ?? `#${index + 1}`, error: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    for (const { endpoint, data, payload } of payloads) {
+      try {
+        await postWebhook(endpoint, event, payload);
+        onSent?.(endpoint, data);
+        if (!sent.includes(endpoint.name)) sent.push(endpoint.name);
+      } catch (error) {
+        failed.push({ endpoint: endpoint.name, error: error.message });
+      }
+    }
+  }
+  return { payloads: payloads.map(({ endpoint, payload }) => ({ endpoint: endpoint.name, payload })), sent, failed };
+}
+
+/**
+ * @description Posts today's new and updated jobs to the webhooks, each
+ * endpoint only getting the jobs its filter matches and hasn't been posted in
+ * the same version, see lib/deliveries.js. Run once the spiders have saved
+ * today's snapshots, e.g. by scrape-all.js.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sources] - File prefixes of the spiders
+ * @param {Array<Object>} [options.endpoints] - Defaults to the endpoints of config.js
+ * @param {boolean} [options.dryRun] - Return the payloads without posting them or recording them as sent
+ * @returns {Promise<Object>} See deliver()
+ */
+export async function jobWebhooks({ sources, endpoints = config.webhooks.endpoints, dryRun = false } = {}) {
+  const changes = todaysChanges(sources);
+  const date = toIso(now());
+  const storage = createStorage();
+
+  try {
+    const sent = storage.loadDeliveries({ channel: "webhook" });
+    return await deliver(
+      "jobs",
+      (endpoint) => {
+        const to = { channel: "webhook", recipient: endpoint.name };
+        const filter = endpoint.filter && { name: endpoint.name, ...endpoint.filter };
+        const matches = (records) =>
+          undelivered(records, sent, to).filter((record) => !filter || matchesSearch(record, filter));
+        const added = matches(changes.added);
+        const updated = matches(changes.updated);
+        if (!added.length && !updated.length) return null;
+
+        const counts = [added.length && `${added.length} new`, updated.length && `${updated.length} updated`];
+        const all = added.length === changes.added.length && updated.length === changes.updated.length;
+        const summary = all ? changes.summary : counts.filter(Boolean).join(", ");
+        return { date, summary, added, updated };
+      },
+      {
+        endpoints,
+        dryRun,
+        onSent: (endpoint, { added, updated }) =>
+          storage.saveDeliveries(deliveryLog({ channel: "webhook", recipient: endpoint.name }, [...added, ...updated]))
+      }
+    );
+  } finally {
+    storage.close();
+  }
+}
+
+/**
+ * @description Posts a failed spider run to the webhooks. An endpoint whose
+ * filter lists sources only hears of the failures of those spiders.
+ * @param {{source: string, error: string, metadata?: Object}} failure - See BaseSpider#failures
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.endpoints] - Defaults to the endpoints of config.js
+ * @param {boolean} [options.dryRun] - Return the payloads without posting them
+ * @returns {Promise<Object>} See deliver()
+ */
+export async function failureWebhooks({ source, error, metadata = {} }, { endpoints = config.webhooks.endpoints, dryRun = false } = {}) {
+  const date = toIso(now());
+  return deliver(
+    "failure",
+    (endpoint) => {
+      const sources = endpoint.filter?.sources ?? [];
+      return sources.length && !sources.includes(source) ? null : { date, source, error, metadata };
+    },
+    { endpoints, dryRun }
+  );
+}
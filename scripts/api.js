@@ -0,0 +1,36 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { createApiServer } from "../middleware/api/server.js";
+
+/**
+ * @description Serves the jobs database over a read-only HTTP API, e.g.
+ * node scripts/api.js --port 8080
+ * then http://127.0.0.1:8080/jobs?department=climate&status=open&sort=closing
+ * The API is described by http://127.0.0.1:8080/openapi.json.
+ */
+function serveApi() {
+    try {
+        const { values } = parseArgs({
+            options: {
+                host: { type: "string", default: "127.0.0.1" },
+                port: { type: "string", default: "8080" }
+            }
+        });
+        const server = createApiServer();
+        server.on("error", (error) => {
+            console.error(chalk.red("Error running the API:", error.message));
+            process.exitCode = 1;
+            server.close();
+        });
+        server.listen(Number(values.port), values.host, () => {
+            console.log(chalk.green(`API listening on http://${values.host}:${values.port}, described by /openapi.json`));
+        });
+        // Closes the database on Ctrl+C
+        process.on("SIGINT", () => server.close());
+    } catch (error) {
+        console.error(chalk.red("Error running the API:", error.message));
+        process.exitCode = 1;
+    }
+}
+
+serveApi();
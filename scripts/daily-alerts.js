@@ -0,0 +1,50 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { closingReminders, dailyAlerts } from "../middleware/email/notifier.js";
+import { createTransport } from "../middleware/email/transports.js";
+import config from "../config.js";
+
+/**
+ * @description Emails today's new jobs to the subscribers, or with --reminders
+ * the jobs they follow that close soon, e.g.
+ * node scripts/daily-alerts.js --dry-run
+ * node scripts/daily-alerts.js --reminders --within "24 hours"
+ * node scripts/daily-alerts.js --transport file
+ */
+async function sendAlerts() {
+    try {
+        const { values } = parseArgs({
+            options: {
+                source: { type: "string", multiple: true },
+                "dry-run": { type: "boolean", default: false },
+                reminders: { type: "boolean", default: false },
+                within: { type: "string", multiple: true },
+                transport: { type: "string" }
+            }
+        });
+        // --transport overrides the transport of config.js, e.g. "file" to write the emails to disk
+        const transport = values.transport && createTransport({ ...config.email, transport: values.transport });
+        const options = { dryRun: values["dry-run"], transport };
+        const { messages, sent } = values.reminders
+            ? await closingReminders({ windows: values.within, ...options })
+            : await dailyAlerts({ sources: values.source, ...options });
+
+        if (!messages.length) {
+            console.log(chalk.yellow(`No ${values.reminders ? "jobs closing soon" : "new jobs"} for any subscriber, no alerts sent`));
+            return;
+        }
+        if (values["dry-run"]) {
+            for (const message of messages) {
+                console.log(chalk.bold(`To: ${message.to}\nSubject: ${message.subject}`));
+                console.log(message.text);
+            }
+            return;
+        }
+        console.log(chalk.green(`${values.reminders ? "Reminders" : "Daily alert"} sent to ${sent.length} subscribers`));
+    } catch (error) {
+        console.error(chalk.red("Error sending daily alerts:", error.message));
+        process.exitCode = 1;
+    }
+}
+
+sendAlerts();
@@ -0,0 +1,85 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { createStorage } from "../storage/index.js";
+
+/**
+ * @description Reads the delivery filter given on the command line
+ * @param {Object} values - Parsed options
+ * @returns {import("../storage/filters.js").DeliveryFilter}
+ */
+function deliveryFilter(values) {
+    if (values.channel && !["email", "webhook"].includes(values.channel)) {
+        throw new Error(`Unknown channel "${values.channel}", expected email or webhook`);
+    }
+    // Emails are stored lower case, webhook endpoints by their name in config.js
+    const recipient = values.recipient?.includes("@") ? values.recipient.trim().toLowerCase() : values.recipient?.trim();
+    const filter = { channel: values.channel, recipient, before: values.before };
+    if (values.job) {
+        const [source, sourceId] = values.job.split(":");
+        if (!source || !sourceId) throw new Error(`"${values.job}" is not a job, expected source:id, e.g. nswgov:123456`);
+        Object.assign(filter, { source, sourceId });
+    }
+    return Object.fromEntries(Object.entries(filter).filter(([, value]) => value));
+}
+
+/**
+ * @description Lists or resets the delivery ledger, the jobs sent to each
+ * subscriber and webhook, see lib/deliveries.js. A job removed from the ledger
+ * is sent again by the next alerts, e.g.
+ * node scripts/deliveries.js list --recipient jane@example.com
+ * node scripts/deliveries.js reset --job nswgov:123456
+ * node scripts/deliveries.js reset --channel webhook --recipient team-chat --before 2025-05-05
+ * node scripts/deliveries.js reset --all
+ */
+function manageDeliveries() {
+    const storage = createStorage();
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                channel: { type: "string" },
+                recipient: { type: "string" },
+                job: { type: "string" },
+                before: { type: "string" },
+                all: { type: "boolean", default: false },
+                json: { type: "boolean", default: false }
+            }
+        });
+        const [command = "list"] = positionals;
+        const filter = deliveryFilter(values);
+
+        switch (command) {
+            case "list": {
+                const deliveries = storage.loadDeliveries(filter);
+                if (values.json) {
+                    console.log(JSON.stringify(deliveries, null, 2));
+                    break;
+                }
+                for (const { channel, recipient, source, sourceId, version, sentAt } of deliveries) {
+                    console.log(`${chalk.gray(sentAt)} ${channel} ${chalk.bold(recipient)} ${source}:${sourceId} ${chalk.gray(version)}`);
+                }
+                const recipients = new Set(deliveries.map(({ channel, recipient }) => `${channel}:${recipient}`));
+                console.log(chalk.green(`\n${deliveries.length} deliveries to ${recipients.size} recipients`));
+                break;
+            }
+            case "reset": {
+                // Emptying the whole ledger resends every job of the day, so it has to be asked for
+                if (!Object.keys(filter).length && !values.all) {
+                    throw new Error("reset needs --channel, --recipient, --job or --before, or --all to empty the ledger");
+                }
+                const removed = storage.removeDeliveries(filter);
+                console.log(chalk.green(`Removed ${removed} deliveries from the ledger`));
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}", expected one of: list, reset`);
+        }
+    } catch (error) {
+        console.error(chalk.red("Error managing the delivery ledger:", error.message));
+        process.exitCode = 1;
+    } finally {
+        storage.close();
+    }
+}
+
+manageDeliveries();
@@ -0,0 +1,66 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { DocumentStore } from "../storage/index.js";
+import { extractDocument } from "../lib/documents.js";
+import { formatDate } from "../lib/dates.js";
+
+/**
+ * @description Sections of a role description compared between versions
+ */
+const sections = {
+    capabilities: "capabilities",
+    keyAccountabilities: "key accountabilities",
+    essentialRequirements: "essential requirements",
+    keyRelationships: "key relationships"
+};
+
+/**
+ * @description Lists the role descriptions and other documents that changed
+ * since they were first downloaded, e.g.
+ * node scripts/document-changes.js --type role-description
+ */
+async function documentChanges() {
+    try {
+        const { values } = parseArgs({
+            options: {
+                type: { type: "string" },
+                json: { type: "boolean", default: false }
+            }
+        });
+        const store = new DocumentStore();
+        const changes = store.changes({ type: values.type });
+
+        for (const change of changes) {
+            // Both versions are kept, so what changed can be told from their text
+            const [before, after] = await Promise.all(
+                [change.previousHash, change.hash].map((hash) => {
+                    const document = store.manifest.documents[hash];
+                    return document ? extractDocument(store.filePath(document.filename)) : null;
+                })
+            );
+            change.changedSections = before?.roleDescription && after?.roleDescription
+                ? Object.keys(sections).filter((section) =>
+                    JSON.stringify(before.roleDescription[section]) !== JSON.stringify(after.roleDescription[section]))
+                : null;
+        }
+
+        if (values.json) {
+            console.log(JSON.stringify(changes, null, 2));
+            return;
+        }
+        for (const change of changes) {
+            console.log(`${chalk.bold(change.type ?? "document")} of job ${change.jobId ?? "unknown"} ${chalk.gray(formatDate(change.detectedAt, "d MMM yyyy, h:mm a"))}`);
+            console.log(`  ${chalk.cyan(change.url)}`);
+            if (change.changedSections) {
+                const changed = change.changedSections.map((section) => sections[section]).join(", ");
+                console.log(`  Changed: ${changed || "wording only"}`);
+            }
+        }
+        console.log(chalk.green(`\n${changes.length} document changes`));
+    } catch (error) {
+        console.error(chalk.red("Error listing document changes:", error.message));
+        process.exitCode = 1;
+    }
+}
+
+documentChanges();
@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { createStorage } from "../storage/index.js";
+import { toJobRecords } from "../lib/job.js";
+import { documentsDirectory, extractDocument } from "../lib/documents.js";
+
+/**
+ * @description Extracts the text of the documents downloaded before text
+ * extraction existed, and saves them with the latest NSW snapshot, e.g.
+ * node scripts/extract-documents.js
+ */
+async function extractDocuments() {
+    const storage = createStorage();
+    try {
+        const snapshot = storage.latestSnapshot("nswgov");
+        if (!snapshot) throw new Error("No nswgov snapshot to extract documents for");
+
+        let extracted = 0;
+        for (const document of snapshot.jobs.flatMap((job) => job.details?.documents ?? [])) {
+            const filePath = path.join(documentsDirectory, document.filename ?? "");
+            if (document.extractedAt || !document.filename || !fs.existsSync(filePath)) continue;
+
+            Object.assign(document, await extractDocument(filePath));
+            console.log(document.extractionError
+                ? chalk.yellow(`${document.filename}: ${document.extractionError}`)
+                : `${document.filename}: ${document.roleDescription?.capabilities.length ?? 0} capabilities`);
+            extracted++;
+        }
+
+        const { date, metadata, jobs } = snapshot;
+        const { records, invalid } = toJobRecords("nswgov", jobs);
+        storage.saveSnapshot("nswgov", date, {
+            metadata: { ...metadata, records_valid: records.length, schema_errors: invalid },
+            jobs,
+            records
+        });
+        console.log(chalk.green(`\n${extracted} documents extracted for ${date}`));
+    } catch (error) {
+        console.error(chalk.red("Error extracting documents:", error.message));
+        process.exitCode = 1;
+    } finally {
+        storage.close();
+    }
+}
+
+extractDocuments();
@@ -0,0 +1,23 @@
+import chalk from "chalk";
+import { FeedWriter } from "../middleware/feeds/feeds.js";
+
+/**
+ * @description Writes the RSS and Atom feeds of the open jobs, as scrape-all.js
+ * does after each run, e.g.
+ * node scripts/feeds.js
+ */
+function writeFeeds() {
+    try {
+        const writer = new FeedWriter();
+        const feeds = writer.write();
+        for (const { name, title, entries } of feeds) {
+            console.log(`${chalk.bold(name)} ${title} ${chalk.gray(`${entries} jobs`)}`);
+        }
+        console.log(chalk.green(`\n${feeds.length} feeds written to ${writer.directory} as rss/<name>.xml and atom/<name>.xml`));
+    } catch (error) {
+        console.error(chalk.red("Error writing the feeds:", error.message));
+        process.exitCode = 1;
+    }
+}
+
+writeFeeds();
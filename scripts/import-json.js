@@ -0,0 +1,57 @@
+import chalk from "chalk";
+import config from "../config.js";
+import { JsonStorage, SqliteStorage } from "../storage/index.js";
+
+/**
+ * @description Copies every JSON snapshot under database/jobs into the SQLite database,
+ * oldest first, with its diff, then the job lifecycles, the links between duplicate jobs,
+ * the subscribers, the reminders sent and the delivery ledger, so switching
+ * config.storage.backend to "sqlite" keeps the history. Importing again replaces what
+ * was imported before.
+ */
+function importJson() {
+    const json = new JsonStorage(config.storage.json);
+    const sqlite = new SqliteStorage(config.storage.sqlite);
+    try {
+        const runs = json.listRuns().reverse();
+        for (const { source, date } of runs) {
+            const snapshot = json.loadSnapshot(source, date);
+            sqlite.saveSnapshot(source, date, {
+                metadata: snapshot.metadata,
+                jobs: snapshot.jobs ?? [],
+                records: snapshot.records ?? []
+            });
+            const diff = json.loadDiff(source, date);
+            if (diff) sqlite.saveDiff(source, date, diff);
+            console.log(chalk.cyan(`Imported ${source} ${date}: ${snapshot.records?.length ?? 0} job records`));
+        }
+
+        const lifecycle = json.loadLifecycle();
+        for (const [source, runDate] of Object.entries(json.latestRuns())) {
+            sqlite.saveLifecycle(source, runDate, lifecycle.filter((entry) => entry.source === source));
+        }
+        const links = json.loadLinks();
+        sqlite.saveLinks(links);
+        const subscribers = json.loadSubscribers();
+        subscribers.forEach((subscriber) => sqlite.saveSubscriber(subscriber));
+        const reminders = json.loadReminders();
+        sqlite.saveReminders(reminders);
+        const deliveries = json.loadDeliveries();
+        sqlite.saveDeliveries(deliveries);
+
+        console.log(chalk.green(`\nImported ${runs.length} runs into ${sqlite.path}`));
+        console.log(
+            chalk.green(
+                `Imported ${lifecycle.length} job lifecycles, ${links.length} links, ${subscribers.length} subscribers, ` +
+                    `${reminders.length} reminders and ${deliveries.length} deliveries`
+            )
+        );
+    } catch (error) {
+        console.error(chalk.red("Error importing JSON snapshots:", error.message));
+        process.exitCode = 1;
+    } finally {
+        sqlite.close();
+    }
+}
+
+importJson();
@@ -0,0 +1,52 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { createStorage } from "../storage/index.js";
+import { statuses, withStatus } from "../lib/lifecycle.js";
+import { formatDate } from "../lib/dates.js";
+
+/**
+ * @description Reports how many jobs are open, closing soon, closed or withdrawn, e.g.
+ * node scripts/lifecycle-report.js --source nswgov --status withdrawn
+ */
+function lifecycleReport() {
+    const storage = createStorage();
+    try {
+        const { values } = parseArgs({
+            options: {
+                source: { type: "string" },
+                status: { type: "string" },
+                json: { type: "boolean", default: false }
+            }
+        });
+        if (values.status && !statuses.includes(values.status)) {
+            throw new Error(`Unknown status "${values.status}", expected one of: ${statuses.join(", ")}`);
+        }
+
+        const jobs = withStatus(storage.loadLifecycle({ source: values.source }), storage.latestRuns())
+            .filter((job) => !values.status || job.status === values.status)
+            .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+        if (values.json) {
+            console.log(JSON.stringify(jobs, null, 2));
+            return;
+        }
+
+        for (const job of jobs) {
+            console.log(`${chalk.bold(job.title)} ${chalk.gray(`[${job.source} ${job.sourceId}]`)} ${chalk.magenta(job.status)}`);
+            console.log(`  First seen ${job.firstSeen}, last seen ${job.lastSeen}, in ${job.runsObserved} runs, closes ${formatDate(job.closingDate, "d MMM yyyy, h:mm a") ?? "unknown"}`);
+        }
+
+        console.log(chalk.cyan("\n----------------------------------------"));
+        for (const status of statuses) {
+            console.log(chalk.cyan(`${status}: ${jobs.filter((job) => job.status === status).length}`));
+        }
+        console.log(chalk.cyan("----------------------------------------"));
+    } catch (error) {
+        console.error(chalk.red("Error reporting job lifecycles:", error.message));
+        process.exitCode = 1;
+    } finally {
+        storage.close();
+    }
+}
+
+lifecycleReport();
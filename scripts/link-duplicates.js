@@ -0,0 +1,32 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { createStorage } from "../storage/index.js";
+import { LINK_THRESHOLD, linkDuplicates } from "../lib/duplicates.js";
+
+/**
+ * @description Links open iworkfor and Seek jobs that advertise the same vacancy, e.g.
+ * node scripts/link-duplicates.js --threshold 0.8
+ */
+function linkAll() {
+    const storage = createStorage();
+    try {
+        const { values } = parseArgs({
+            options: {
+                threshold: { type: "string", default: String(LINK_THRESHOLD) }
+            }
+        });
+        const links = linkDuplicates(storage, { threshold: Number(values.threshold) });
+
+        for (const { a, b, confidence } of links) {
+            console.log(`${a.source} ${a.sourceId} <-> ${b.source} ${b.sourceId} ${chalk.gray(`(${confidence})`)}`);
+        }
+        console.log(chalk.green(`\n${links.length} duplicate jobs linked`));
+    } catch (error) {
+        console.error(chalk.red("Error linking duplicate jobs:", error.message));
+        process.exitCode = 1;
+    } finally {
+        storage.close();
+    }
+}
+
+linkAll();
@@ -0,0 +1,91 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { createStorage } from "../storage/index.js";
+import { collapseLinked } from "../lib/duplicates.js";
+import { formatDate } from "../lib/dates.js";
+
+/**
+ * @description Lists the stored jobs matching the given filters, e.g.
+ * node scripts/query-jobs.js --employer "climate change" --location dubbo --open
+ * --collapse lists a vacancy advertised on several sites once, with all its urls.
+ * --min-salary 90000 --sort salary lists the jobs paying at least $90,000 a year, best paid first,
+ * --max-salary the jobs starting at no more than it, --sort closing, posted or title sorts by those,
+ * --closing-before and --closing-after take an ISO date, e.g. --closing-after 2025-05-11,
+ * --unparsed-salary the jobs whose salary couldn't be parsed.
+ * --classification clerk --grade 9 lists the jobs by NSW classification and grade,
+ * --capability "deliver results" the jobs whose role description asks for a capability.
+ */
+function queryJobs() {
+    const storage = createStorage();
+    try {
+        const { values } = parseArgs({
+            options: {
+                source: { type: "string" },
+                title: { type: "string" },
+                employer: { type: "string" },
+                location: { type: "string" },
+                category: { type: "string" },
+                "work-type": { type: "string" },
+                "closing-before": { type: "string" },
+                "closing-after": { type: "string" },
+                open: { type: "boolean", default: false },
+                "min-salary": { type: "string" },
+                "max-salary": { type: "string" },
+                "unparsed-salary": { type: "boolean", default: false },
+                classification: { type: "string" },
+                grade: { type: "string" },
+                capability: { type: "string" },
+                sort: { type: "string" },
+                collapse: { type: "boolean", default: false },
+                json: { type: "boolean", default: false }
+            }
+        });
+        const {
+            json,
+            collapse,
+            "min-salary": minSalary,
+            "max-salary": maxSalary,
+            "unparsed-salary": unparsedSalary,
+            "work-type": workType,
+            "closing-before": closingBefore,
+            "closing-after": closingAfter,
+            grade,
+            ...filter
+        } = values;
+        const records = storage.queryJobs({
+            ...filter,
+            workType,
+            closingBefore,
+            closingAfter,
+            minSalary: Number(minSalary) || undefined,
+            maxSalary: Number(maxSalary) || undefined,
+            unparsedSalary,
+            grade: Number(grade) || undefined
+        });
+        const jobs = collapse ? collapseLinked(records, storage.loadLinks()) : records;
+
+        if (json) {
+            console.log(JSON.stringify(jobs, null, 2));
+            return;
+        }
+        for (const job of jobs) {
+            console.log(`${chalk.bold(job.title)} ${chalk.gray(`[${job.source} ${job.sourceId}]`)}`);
+            console.log(`  ${job.employer} - ${job.locations.join(", ")}`);
+            if (job.classification) console.log(`  Classification: ${job.classification.matched}`);
+            console.log(`  Salary: ${job.salary.text ?? "not advertised"}`);
+            console.log(`  Closes: ${formatDate(job.dates.closing, "d MMM yyyy, h:mm a") ?? "unknown"}`);
+            (job.contacts ?? []).forEach(({ name, role, email, phone }) =>
+                console.log(`  Contact: ${[name, role, email, phone].filter(Boolean).join(", ")}`)
+            );
+            (job.sources ?? [job]).forEach(({ url }) => console.log(`  ${chalk.cyan(url)}`));
+        }
+        console.log(chalk.green(`\n${jobs.length} jobs found`));
+    } catch (error) {
+        console.error(chalk.red("Error querying jobs:", error.message));
+        process.exitCode = 1;
+    } finally {
+        storage.close();
+    }
+}
+
+queryJobs();
@@ -1,27 +1,93 @@
 import { NSWJobSpider } from "../spiders/nswGovJobs.js";
 import { SeekJobSpider } from "../spiders/seekJobs.js";
 import chalk from "chalk";
+import { parseArgs } from "util";
+import { createStorage } from "../storage/index.js";
+import { linkDuplicates } from "../lib/duplicates.js";
+import { closingReminders, dailyAlerts } from "../middleware/email/notifier.js";
+import { failureWebhooks, jobWebhooks } from "../middleware/webhooks/webhooks.js";
+import { FeedWriter } from "../middleware/feeds/feeds.js";
 
 /**
- * @description Runs all job spiders sequentially
+ * @description Posts a failure to the webhooks, logging rather than throwing
+ * when they can't be reached
+ * @param {{source: string, error: string, metadata?: Object}} failure
+ */
+async function postFailure(failure) {
+    try {
+        const { failed } = await failureWebhooks(failure);
+        failed.forEach(({ error }) => console.error(chalk.red(error)));
+    } catch (error) {
+        console.error(chalk.red("Error posting the failure to the webhooks:", error.message));
+    }
+}
+
+/**
+ * @description Runs all job spiders sequentially and writes the feeds of the
+ * open jobs, then emails today's new jobs and the closing-soon reminders when
+ * run with --alerts, and posts the new jobs and the failed runs to the
+ * webhooks when run with --webhooks
  */
 async function scrapeAll() {
+    let values = {};
     try {
+        ({ values } = parseArgs({
+            options: {
+                alerts: { type: "boolean", default: false },
+                webhooks: { type: "boolean", default: false }
+            }
+        }));
+
         console.log(chalk.bold.green("Starting all job spiders..."));
 
         // Run NSW Government Jobs spider
         console.log(chalk.cyan("\nStarting NSW Government Jobs spider..."));
         const nswSpider = new NSWJobSpider();
-        await nswSpider.launch();
+        const nswFailures = await nswSpider.launch();
 
         // Run Seek Jobs spider
         console.log(chalk.cyan("\nStarting Seek Jobs spider..."));
         const seekSpider = new SeekJobSpider();
-        await seekSpider.launch();
+        const seekFailures = await seekSpider.launch();
+        const failures = [...nswFailures, ...seekFailures];
+
+        if (values.webhooks) {
+            for (const failure of failures) await postFailure(failure);
+        }
+
+        // Link the vacancies advertised on both sites
+        const storage = createStorage();
+        try {
+            const links = linkDuplicates(storage);
+            console.log(chalk.cyan(`\nLinked ${links.length} jobs advertised on both iworkfor and Seek`));
+            const feeds = new FeedWriter().write(storage);
+            console.log(chalk.cyan(`Wrote ${feeds.length} RSS and Atom feeds`));
+        } finally {
+            storage.close();
+        }
+
+        if (values.alerts) {
+            const { sent } = await dailyAlerts();
+            console.log(chalk.cyan(`\nDaily alert sent to ${sent.length} subscribers`));
+            const { sent: reminded } = await closingReminders();
+            console.log(chalk.cyan(`Closing-soon reminders sent to ${reminded.length} subscribers`));
+        }
+
+        if (values.webhooks) {
+            const { sent, failed } = await jobWebhooks();
+            console.log(chalk.cyan(`\nNew jobs posted to ${sent.length} webhooks`));
+            failed.forEach(({ error }) => console.error(chalk.red(error)));
+        }
 
-        console.log(chalk.green("\nAll spiders completed successfully!"));
+        if (failures.length) {
+            console.error(chalk.red(`\nSpiders completed with ${failures.length} errors`));
+            process.exitCode = 1;
+        } else {
+            console.log(chalk.green("\nAll spiders completed successfully!"));
+        }
     } catch (error) {
         console.error(chalk.red("Error running spiders:", error));
+        if (values.webhooks) await postFailure({ source: "scrape-all", error: error.message });
         process.exit(1);
     }
 }
@@ -8,8 +8,13 @@ async function scrapeNSWGov() {
     try {
         console.log(chalk.bold.green("Starting NSW Government Jobs spider..."));
         const spider = new NSWJobSpider();
-        await spider.launch();
-        console.log(chalk.green("\nNSW Government Jobs spider completed successfully!"));
+        const failures = await spider.launch();
+        if (failures.length) {
+            console.error(chalk.red(`\nNSW Government Jobs spider completed with ${failures.length} errors`));
+            process.exitCode = 1;
+        } else {
+            console.log(chalk.green("\nNSW Government Jobs spider completed successfully!"));
+        }
     } catch (error) {
         console.error(chalk.red("Error running spider:", error));
         process.exit(1);
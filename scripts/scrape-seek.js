@@ -8,8 +8,13 @@ async function scrapeSeek() {
     try {
         console.log(chalk.bold.green("Starting Seek Jobs spider..."));
         const spider = new SeekJobSpider();
-        await spider.launch();
-        console.log(chalk.green("\nSeek Jobs spider completed successfully!"));
+        const failures = await spider.launch();
+        if (failures.length) {
+            console.error(chalk.red(`\nSeek Jobs spider completed with ${failures.length} errors`));
+            process.exitCode = 1;
+        } else {
+            console.log(chalk.green("\nSeek Jobs spider completed successfully!"));
+        }
     } catch (error) {
         console.error(chalk.red("Error running spider:", error));
         process.exit(1);
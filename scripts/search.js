@@ -0,0 +1,83 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { createStorage, SearchIndex } from "../storage/index.js";
+import { searchDocument } from "../lib/textSearch.js";
+
+/**
+ * @description Indexes every stored run again, oldest first, so the index holds the latest text of every job
+ * @param {import("../storage/storage.js").Storage} storage
+ * @param {SearchIndex} index
+ */
+function rebuildIndex(storage, index) {
+    index.clear();
+    const runs = storage.listRuns().reverse();
+    for (const { source, date } of runs) {
+        const snapshot = storage.loadSnapshot(source, date);
+        if (!snapshot) continue;
+        const jobs = new Map(snapshot.jobs.map((job) => [job.jobId, job]));
+        index.update(snapshot.records.map((record) => searchDocument(record, jobs.get(record.sourceId))));
+    }
+    index.save();
+    console.log(chalk.green(`Indexed ${index.size} jobs from ${runs.length} runs`));
+}
+
+/**
+ * @description Searches the full-text index of the jobs, their descriptions and their documents, e.g.
+ * node scripts/search.js "bushfire risk" --open
+ * node scripts/search.js '"fire management" -volunteer OR title:gis' --source nswgov --limit 5
+ * Words must all be found, "quoted phrases" in that order, -word excludes jobs, title:, summary:,
+ * description: or documents: only look in one field and OR separates alternatives.
+ * --rebuild indexes the stored runs again, e.g. after changing how jobs are indexed.
+ */
+function search() {
+    const storage = createStorage();
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                open: { type: "boolean", default: false },
+                source: { type: "string" },
+                limit: { type: "string", default: "20" },
+                rebuild: { type: "boolean", default: false },
+                json: { type: "boolean", default: false }
+            }
+        });
+        const query = positionals.join(" ").trim();
+        const index = new SearchIndex();
+
+        if (values.rebuild) rebuildIndex(storage, index);
+        if (!query) {
+            if (!values.rebuild) throw new Error("Search needs a query, e.g. node scripts/search.js \"bushfire risk\"");
+            return;
+        }
+
+        const open = values.open && new Set(storage.queryJobs({ open: true }).map((record) => `${record.source}:${record.sourceId}`));
+        const results = index.search(query, {
+            limit: Number(values.limit) || 20,
+            filter: (document) =>
+                (!values.source || document.source === values.source) &&
+                (!open || open.has(`${document.source}:${document.sourceId}`)),
+            highlight: values.json ? (word) => `<mark>${word}</mark>` : (word) => chalk.bold.yellow(word)
+        });
+
+        if (values.json) {
+            console.log(JSON.stringify(results, null, 2));
+            return;
+        }
+        for (const { source, sourceId, title, url, score, snippets } of results) {
+            console.log(`${chalk.bold(title)} ${chalk.gray(`[${source} ${sourceId}] ${score}`)}`);
+            Object.entries(snippets)
+                .filter(([field]) => field !== "title")
+                .forEach(([field, passage]) => console.log(`  ${chalk.gray(`${field}:`)} ${passage}`));
+            console.log(`  ${chalk.cyan(url)}`);
+        }
+        console.log(chalk.green(`\n${results.length} jobs match "${query}" among ${index.size} indexed`));
+    } catch (error) {
+        console.error(chalk.red("Error searching the jobs:", error.message));
+        process.exitCode = 1;
+    } finally {
+        storage.close();
+    }
+}
+
+search();
@@ -0,0 +1,128 @@
+import net from "net";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { timestamp } from "../lib/dates.js";
+
+/**
+ * @description Handles the SMTP conversation of one client, saving every
+ * message it sends. Only the commands nodemailer uses are understood, there is
+ * no TLS or login.
+ * @param {net.Socket} socket
+ * @param {function(Object): void} save - Called with { from, to, data } for every message
+ */
+function serveClient(socket, save) {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 localhost smtp-sink ready");
+    socket.on("data", (chunk) => {
+        buffer += chunk.toString("utf8");
+        let end;
+        while ((end = buffer.indexOf("\r\n")) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            if (data) {
+                if (line === ".") {
+                    save({ ...envelope, data: data.join("\r\n") });
+                    reply("250 OK message saved");
+                    envelope = { from: null, to: [] };
+                    data = null;
+                } else {
+                    // Lines starting with a dot are sent with a second one
+                    data.push(line.startsWith("..") ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const [command] = line.split(/[\s:]/);
+            switch (command.toUpperCase()) {
+                case "EHLO":
+                    reply("250-localhost");
+                    reply("250 8BITMIME");
+                    break;
+                case "HELO":
+                    reply("250 localhost");
+                    break;
+                case "MAIL":
+                    envelope = { from: line.match(/<([^>]*)>/)?.[1] ?? null, to: [] };
+                    reply("250 OK");
+                    break;
+                case "RCPT":
+                    envelope.to.push(line.match(/<([^>]*)>/)?.[1]);
+                    reply("250 OK");
+                    break;
+                case "DATA":
+                    data = [];
+                    reply("354 End data with <CR><LF>.<CR><LF>");
+                    break;
+                case "RSET":
+                    envelope = { from: null, to: [] };
+                    reply("250 OK");
+                    break;
+                case "NOOP":
+                    reply("250 OK");
+                    break;
+                case "QUIT":
+                    reply("221 Bye");
+                    socket.end();
+                    break;
+                default:
+                    reply("502 Command not implemented");
+            }
+        }
+    });
+    socket.on("error", (error) => console.error(chalk.red("SMTP client error:", error.message)));
+}
+
+/**
+ * @description Runs a local SMTP server that saves the emails it receives
+ * instead of delivering them, to try the alerts without a mailbox, e.g.
+ * node scripts/smtp-sink.js --port 2525 --directory database/mail
+ * with transport "sink" in the email settings of config.js.
+ */
+function smtpSink() {
+    try {
+        const { values } = parseArgs({
+            options: {
+                host: { type: "string", default: "127.0.0.1" },
+                port: { type: "string", default: "2525" },
+                directory: { type: "string", default: "database/mail" },
+                max: { type: "string" }
+            }
+        });
+        const directory = path.resolve(values.directory);
+        const max = Number(values.max) || Infinity;
+        let count = 0;
+
+        const server = net.createServer((socket) =>
+            serveClient(socket, ({ from, to, data }) => {
+                fs.mkdirSync(directory, { recursive: true });
+                const filePath = path.join(directory, `${timestamp()}-sink-${++count}.eml`);
+                fs.writeFileSync(filePath, `${data}\r\n`);
+
+                const subject = data.match(/^Subject: (.*)$/m)?.[1] ?? "";
+                console.log(`${chalk.bold(subject)} ${chalk.gray(`${from} -> ${to.join(", ")}`)}`);
+                console.log(`  ${chalk.cyan(filePath)}`);
+                // --max stops the sink once it has received that many emails, e.g. in a test
+                if (count >= max) server.close();
+            })
+        );
+        server.on("error", (error) => {
+            console.error(chalk.red("Error running the SMTP sink:", error.message));
+            process.exitCode = 1;
+        });
+        server.listen(Number(values.port), values.host, () => {
+            console.log(chalk.green(`SMTP sink listening on ${values.host}:${values.port}, saving emails to ${directory}`));
+        });
+    } catch (error) {
+        console.error(chalk.red("Error running the SMTP sink:", error.message));
+        process.exitCode = 1;
+    }
+}
+
+smtpSink();
@@ -0,0 +1,201 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { createStorage } from "../storage/index.js";
+import { matchSubscriber, normalizeSearch } from "../lib/alertRules.js";
+import { now, toIso } from "../lib/dates.js";
+
+/**
+ * @description Options setting the criteria of a saved search, see lib/alertRules.js
+ */
+const criteria = {
+    keyword: "keywords",
+    department: "departments",
+    category: "categories",
+    location: "locations",
+    "work-type": "workTypes",
+    source: "sources"
+};
+
+/**
+ * @description Reads the criteria given on the command line, leaving out the ones not given
+ * @param {Object} values - Parsed options
+ * @returns {Object}
+ */
+function searchCriteria(values) {
+    const search = Object.fromEntries(
+        Object.entries(criteria)
+            .filter(([option]) => values[option])
+            .map(([option, criterion]) => [criterion, values[option]])
+    );
+    if (values["min-salary"] !== undefined) search.minSalary = values["min-salary"];
+    return search;
+}
+
+/**
+ * @description Describes a saved search on one line
+ * @param {Object} search
+ * @returns {string}
+ */
+function describeSearch(search) {
+    const parts = Object.values(criteria)
+        .filter((criterion) => search[criterion]?.length)
+        .map((criterion) => `${criterion}: ${search[criterion].join(" | ")}`);
+    if (search.minSalary) parts.push(`minSalary: ${search.minSalary}`);
+    return `${chalk.bold(search.name)} ${chalk.gray(parts.join("; ") || "every job")}`;
+}
+
+/**
+ * @description Manages the subscribers to the alerts and their saved searches, e.g.
+ * node scripts/subscribers.js add jane@example.com --name "Jane Citizen" --group executives
+ * node scripts/subscribers.js add-search jane@example.com --search "Data roles" --keyword data --location sydney --min-salary 100000
+ * node scripts/subscribers.js edit-search jane@example.com --search "Data roles" --location sydney --location parramatta
+ * node scripts/subscribers.js matches jane@example.com
+ * node scripts/subscribers.js flag jane@example.com --job nswgov:123456
+ */
+function manageSubscribers() {
+    const storage = createStorage();
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                name: { type: "string" },
+                email: { type: "string" },
+                group: { type: "string" },
+                search: { type: "string" },
+                keyword: { type: "string", multiple: true },
+                department: { type: "string", multiple: true },
+                category: { type: "string", multiple: true },
+                location: { type: "string", multiple: true },
+                "work-type": { type: "string", multiple: true },
+                source: { type: "string", multiple: true },
+                "min-salary": { type: "string" },
+                job: { type: "string", multiple: true },
+                json: { type: "boolean", default: false }
+            }
+        });
+        const [command = "list", address] = positionals;
+        const email = address?.trim().toLowerCase();
+        const subscribers = storage.loadSubscribers();
+
+        if (command === "list") {
+            if (values.json) {
+                console.log(JSON.stringify(subscribers, null, 2));
+                return;
+            }
+            for (const subscriber of subscribers) {
+                const group = subscriber.group ? chalk.gray(` (${subscriber.group})`) : "";
+                console.log(`${chalk.bold(subscriber.email)}${subscriber.name ? ` ${subscriber.name}` : ""}${group}`);
+                if (!subscriber.searches.length) console.log(`  ${chalk.gray("every new job")}`);
+                subscriber.searches.forEach((search) => console.log(`  ${describeSearch(search)}`));
+                (subscriber.flagged ?? []).forEach(({ source, sourceId }) => console.log(`  flagged ${source}:${sourceId}`));
+            }
+            console.log(chalk.green(`\n${subscribers.length} subscribers`));
+            return;
+        }
+
+        if (!email) throw new Error(`${command} needs the email of the subscriber`);
+        const subscriber = subscribers.find((existing) => existing.email === email);
+        const updatedAt = toIso(now());
+
+        if (command === "add") {
+            if (subscriber) throw new Error(`${email} is already subscribed`);
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new Error(`${email} is not an email address`);
+            storage.saveSubscriber({
+                email,
+                name: values.name ?? null,
+                group: values.group ?? null,
+                searches: [],
+                flagged: [],
+                createdAt: updatedAt,
+                updatedAt
+            });
+            console.log(chalk.green(`Subscribed ${email}`));
+            return;
+        }
+
+        if (!subscriber) throw new Error(`${email} is not subscribed`);
+        const searchName = values.search?.trim();
+        const search = subscriber.searches.find(({ name }) => name === searchName);
+
+        switch (command) {
+            case "edit": {
+                const newEmail = values.email?.trim().toLowerCase() ?? email;
+                if (newEmail !== email && subscribers.some((existing) => existing.email === newEmail)) {
+                    throw new Error(`${newEmail} is already subscribed`);
+                }
+                if (newEmail !== email) storage.removeSubscriber(email);
+                storage.saveSubscriber({
+                    ...subscriber,
+                    email: newEmail,
+                    name: values.name ?? subscriber.name,
+                    // An empty --group goes back to the default templates
+                    group: values.group === undefined ? subscriber.group ?? null : values.group || null,
+                    updatedAt
+                });
+                console.log(chalk.green(`Updated ${newEmail}`));
+                break;
+            }
+            case "remove":
+                storage.removeSubscriber(email);
+                console.log(chalk.green(`Unsubscribed ${email}`));
+                break;
+            case "add-search":
+                if (search) throw new Error(`${email} already has a search named "${searchName}"`);
+                subscriber.searches.push(normalizeSearch({ name: searchName, ...searchCriteria(values) }));
+                storage.saveSubscriber({ ...subscriber, updatedAt });
+                console.log(chalk.green(`Added "${searchName}" to ${email}`));
+                break;
+            case "edit-search":
+                if (!search) throw new Error(`${email} has no search named "${searchName}"`);
+                // Only the criteria given are replaced
+                Object.assign(search, normalizeSearch({ ...search, ...searchCriteria(values) }));
+                storage.saveSubscriber({ ...subscriber, updatedAt });
+                console.log(chalk.green(`Updated "${searchName}" of ${email}`));
+                break;
+            case "remove-search":
+                if (!search) throw new Error(`${email} has no search named "${searchName}"`);
+                subscriber.searches = subscriber.searches.filter((existing) => existing !== search);
+                storage.saveSubscriber({ ...subscriber, updatedAt });
+                console.log(chalk.green(`Removed "${searchName}" from ${email}`));
+                break;
+            case "flag":
+            case "unflag": {
+                // Jobs are given as source:sourceId, e.g. nswgov:123456
+                const jobs = (values.job ?? []).map((job) => {
+                    const [source, sourceId] = job.split(":");
+                    if (!source || !sourceId) throw new Error(`"${job}" is not a job, expected source:id, e.g. nswgov:123456`);
+                    return { source, sourceId };
+                });
+                if (!jobs.length) throw new Error(`${command} needs at least one --job`);
+                const same = (a) => (b) => a.source === b.source && a.sourceId === b.sourceId;
+                const flagged = (subscriber.flagged ?? []).filter((flag) => !jobs.some(same(flag)));
+                subscriber.flagged = command === "flag" ? [...flagged, ...jobs] : flagged;
+                storage.saveSubscriber({ ...subscriber, updatedAt });
+                console.log(chalk.green(`${command === "flag" ? "Flagged" : "Unflagged"} ${jobs.length} jobs for ${email}`));
+                break;
+            }
+            case "matches": {
+                // The open jobs the subscriber would hear about, to try out their searches
+                const matches = matchSubscriber(storage.queryJobs({ open: true }), subscriber);
+                for (const { record, searches } of matches) {
+                    console.log(`${chalk.bold(record.title)} ${chalk.gray(`[${record.source} ${record.sourceId}]`)}`);
+                    console.log(`  ${record.employer} - ${record.locations.join(", ")}`);
+                    if (searches.length) console.log(`  Matches: ${searches.join(", ")}`);
+                }
+                console.log(chalk.green(`\n${matches.length} open jobs match ${email}`));
+                break;
+            }
+            default:
+                throw new Error(
+                    `Unknown command "${command}", expected one of: list, add, edit, remove, add-search, edit-search, remove-search, flag, unflag, matches`
+                );
+        }
+    } catch (error) {
+        console.error(chalk.red("Error managing subscribers:", error.message));
+        process.exitCode = 1;
+    } finally {
+        storage.close();
+    }
+}
+
+manageSubscribers();
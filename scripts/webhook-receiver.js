@@ -0,0 +1,104 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { verifySignature } from "../middleware/webhooks/webhooks.js";
+import { timestamp } from "../lib/dates.js";
+
+/**
+ * @description Describes a payload received on one line, whatever its format
+ * @param {Object} payload
+ * @returns {string}
+ */
+function describePayload(payload) {
+    if (payload.event === "jobs") return `${payload.summary} (${payload.added.length} new, ${payload.updated.length} updated)`;
+    if (payload.event === "failure") return `${payload.source} failed: ${payload.error}`;
+    // Slack and Teams payloads
+    return payload.text ?? payload.attachments?.[0]?.content?.body?.[0]?.text ?? "";
+}
+
+/**
+ * @description Runs a local HTTP server that receives the webhooks, checking
+ * their signature, to try them without a chat tool, e.g.
+ * node scripts/webhook-receiver.js --port 8787 --secret test-secret --directory database/webhooks
+ * with an endpoint of url "http://127.0.0.1:8787/webhook" in the webhooks settings of config.js.
+ * --fail answers the first requests with a 503 to try the retries.
+ */
+function webhookReceiver() {
+    try {
+        const { values } = parseArgs({
+            options: {
+                host: { type: "string", default: "127.0.0.1" },
+                port: { type: "string", default: "8787" },
+                secret: { type: "string", default: process.env.WEBHOOK_SECRET },
+                directory: { type: "string" },
+                fail: { type: "string", default: "0" },
+                max: { type: "string" }
+            }
+        });
+        const max = Number(values.max) || Infinity;
+        const fail = Number(values.fail) || 0;
+        let requests = 0;
+        let count = 0;
+
+        const server = http.createServer((request, response) => {
+            const chunks = [];
+            request.on("data", (chunk) => chunks.push(chunk));
+            request.on("end", () => {
+                const body = Buffer.concat(chunks).toString("utf8");
+                const answer = (status, message) => {
+                    response.writeHead(status, { "Content-Type": "text/plain" });
+                    response.end(message);
+                };
+
+                if (request.method !== "POST") return answer(405, "Only POST is accepted");
+                if (++requests <= fail) {
+                    console.log(chalk.yellow(`Answered request ${requests} with 503`));
+                    return answer(503, "Failing on purpose");
+                }
+                if (values.secret && !verifySignature(body, request.headers, values.secret)) {
+                    console.log(chalk.red("Rejected a request with a missing or wrong signature"));
+                    return answer(401, "Bad signature");
+                }
+
+                let payload;
+                try {
+                    payload = JSON.parse(body);
+                } catch {
+                    return answer(400, "Body is not JSON");
+                }
+
+                const event = request.headers["x-webhook-event"] ?? "unknown";
+                const signed = values.secret ? chalk.green("signed") : chalk.gray("not checked");
+                console.log(`${chalk.bold(event)} ${describePayload(payload)} ${chalk.gray(request.url)} ${signed}`);
+                if (values.directory) {
+                    const directory = path.resolve(values.directory);
+                    const filePath = path.join(directory, `${timestamp()}-${event}-${++count}.json`);
+                    fs.mkdirSync(directory, { recursive: true });
+                    fs.writeFileSync(filePath, JSON.stringify({ headers: request.headers, payload }, null, 2));
+                    console.log(`  ${chalk.cyan(filePath)}`);
+                } else {
+                    count++;
+                }
+                // Answered once saved, so a sender has its payload on disk when it gets the answer
+                answer(200, "OK");
+                // --max stops the receiver once it has received that many webhooks, e.g. in a test
+                if (count >= max) server.close();
+            });
+        });
+        server.on("error", (error) => {
+            console.error(chalk.red("Error running the webhook receiver:", error.message));
+            process.exitCode = 1;
+        });
+        // --port 0 listens on a free port, printed for the sender to use
+        server.listen(Number(values.port), values.host, () => {
+            console.log(chalk.green(`Webhook receiver listening on http://${values.host}:${server.address().port}`));
+        });
+    } catch (error) {
+        console.error(chalk.red("Error running the webhook receiver:", error.message));
+        process.exitCode = 1;
+    }
+}
+
+webhookReceiver();
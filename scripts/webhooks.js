@@ -0,0 +1,50 @@
+import { parseArgs } from "util";
+import chalk from "chalk";
+import { jobWebhooks } from "../middleware/webhooks/webhooks.js";
+import config from "../config.js";
+
+/**
+ * @description Posts today's new and updated jobs to the webhooks of config.js, e.g.
+ * node scripts/webhooks.js --dry-run
+ * node scripts/webhooks.js --endpoint team-chat
+ */
+async function postWebhooks() {
+    try {
+        const { values } = parseArgs({
+            options: {
+                source: { type: "string", multiple: true },
+                endpoint: { type: "string", multiple: true },
+                "dry-run": { type: "boolean", default: false }
+            }
+        });
+        // --endpoint only posts to the endpoints of those names
+        const endpoints = config.webhooks.endpoints.filter(({ name }) => !values.endpoint || values.endpoint.includes(name));
+        if (!endpoints.length) throw new Error("No webhook endpoints to post to, see the webhooks settings of config.js");
+
+        const { payloads, sent, failed } = await jobWebhooks({
+            sources: values.source,
+            endpoints,
+            dryRun: values["dry-run"]
+        });
+
+        if (!payloads.length) {
+            console.log(chalk.yellow("No new jobs for any endpoint, no webhooks posted"));
+            return;
+        }
+        if (values["dry-run"]) {
+            for (const { endpoint, payload } of payloads) {
+                console.log(chalk.bold(endpoint));
+                console.log(JSON.stringify(payload, null, 2));
+            }
+            return;
+        }
+        if (sent.length) console.log(chalk.green(`Posted to ${sent.join(", ")}`));
+        for (const { error } of failed) console.error(chalk.red(error));
+        if (failed.length) process.exitCode = 1;
+    } catch (error) {
+        console.error(chalk.red("Error posting webhooks:", error.message));
+        process.exitCode = 1;
+    }
+}
+
+postWebhooks();
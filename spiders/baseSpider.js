@@ -0,0 +1,513 @@
+import puppeteer from "puppeteer";
+import settings from "../settings.js";
+import chalk from "chalk";
+import process from "process";
+import { toJobRecords } from "../lib/job.js";
+import { diffSnapshots, failedSearches, summarizeDiff } from "../lib/diff.js";
+import { lifecycleKey, observeRun } from "../lib/lifecycle.js";
+import { createStorage, SearchIndex } from "../storage/index.js";
+import { FeedWriter } from "../middleware/feeds/feeds.js";
+import { searchDocument } from "../lib/textSearch.js";
+import { now, timestamp, toDateTime, toIso, today } from "../lib/dates.js";
+
+/**
+ * @description Shared spider that owns the browser lifecycle, pagination,
+ * caching, persistence and error logging. Site specific spiders extend it and
+ * only supply the listing/detail extraction hooks:
+ *
+ * - `pageUrl(target, pageNumber)` builds the url for a page of a search target.
+ * - `countJobs(page)` returns the total number of jobs the search matched.
+ * - `extractListings(page)` returns the job listings on the current page.
+ * - `extractJobDetails(detailPage, job)` returns the details of a single job.
+ *
+ * Optional hooks: `targets()`, `beforeCrawl()`, `waitForListings(page)`,
+ * `filterListing(job, target)` and `onError(error)`.
+ */
+export class BaseSpider {
+  #cachedJobs = new Map();
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Name used in log messages.
+   * @param {string} options.filePrefix - Prefix of the files written to the database, e.g. "nswgov".
+   * @param {number} options.pageSize - Number of jobs the site shows per page.
+   * @param {Object} [options.browserSettings] - Overrides for the puppeteer settings.
+   * @param {import("../storage/storage.js").Storage} [options.storage] - Where jobs are stored, defaults to the backend in config.js.
+   */
+  constructor({ name, filePrefix, pageSize, browserSettings = {}, storage = createStorage() }) {
+    this.name = name;
+    this.filePrefix = filePrefix;
+    this.pageSize = pageSize;
+    this.browserSettings = { ...settings, ...browserSettings };
+    this.storage = storage;
+    this.browser = null;
+    this.page = null;
+    this.lastDiff = null;
+    this.failures = [];
+    this.loadCache();
+  }
+
+  /**
+   * @description Loads previously scraped jobs of this spider from the cache
+   */
+  loadCache() {
+    try {
+      this.#cachedJobs = this.storage.loadCache(this.filePrefix);
+      console.log(chalk.cyan(`Loaded ${this.#cachedJobs.size} jobs from cache`));
+    } catch (error) {
+      console.log(chalk.yellow(`Error loading cache: ${error.message}`));
+    }
+  }
+
+  /**
+   * @description Checks if a job needs to be re-scraped based on its ID and last scrape date
+   * @param {string} jobId - The job ID to check
+   * @returns {Object|null} Returns cached details if valid, null if needs re-scraping
+   */
+  checkCache(jobId) {
+    if (!this.#cachedJobs.has(jobId)) return null;
+
+    const cached = this.#cachedJobs.get(jobId);
+    const lastScraped = toDateTime(cached.lastScraped);
+
+    // Re-scrape if the cache is older than 24 hours, or when it isn't known how old it is
+    if (!lastScraped || now().diff(lastScraped, "hours").hours > 24) {
+      return null;
+    }
+
+    return cached.details;
+  }
+
+  /**
+   * @description Search targets the spider paginates through. Override to crawl more than one search.
+   * @returns {Array<{name: string, url: string}>}
+   */
+  targets() {
+    throw new Error(`"${this.name}" spider does not define any search targets`);
+  }
+
+  /**
+   * @description Constructs the URL for a specific page of a search target
+   * @param {{name: string, url: string}} target - The search target
+   * @param {number} pageNumber - The page number to fetch
+   * @returns {string} The complete URL with pagination parameters
+   */
+  pageUrl(target, pageNumber) {
+    throw new Error(`"${this.name}" spider does not implement pageUrl()`);
+  }
+
+  /**
+   * @description Reads the total number of jobs matched by the search from the first page
+   * @param {Object} page - Puppeteer page showing the first page of results
+   * @returns {Promise<number>}
+   */
+  async countJobs(page) {
+    throw new Error(`"${this.name}" spider does not implement countJobs()`);
+  }
+
+  /**
+   * @description Waits until the job listings are rendered on the page
+   * @param {Object} page - Puppeteer page
+   */
+  async waitForListings(page) {}
+
+  /**
+   * @description Extracts the job listings shown on the current page
+   * @param {Object} page - Puppeteer page
+   * @returns {Promise<Array<Object>>} Job listings, each with at least a jobId, title and jobUrl
+   */
+  async extractListings(page) {
+    throw new Error(`"${this.name}" spider does not implement extractListings()`);
+  }
+
+  /**
+   * @description Decides whether a listing belongs in the results, listings that don't are never scraped
+   * @param {Object} job - The job listing
+   * @param {{name: string, url: string}} target - The search target that returned it
+   * @returns {boolean}
+   */
+  filterListing(job, target) {
+    return true;
+  }
+
+  /**
+   * @description Extracts the details of a single job from its detail page
+   * @param {Object} detailPage - Puppeteer page already navigated to the job url
+   * @param {Object} job - The job listing
+   * @returns {Promise<Object>} The job details
+   */
+  async extractJobDetails(detailPage, job) {
+    throw new Error(`"${this.name}" spider does not implement extractJobDetails()`);
+  }
+
+  /**
+   * @description Runs once the browser is open and before crawling starts, e.g. to pass bot checks.
+   */
+  async beforeCrawl() {}
+
+  /**
+   * @description Runs when the crawl fails, before the browser is closed.
+   * @param {Error} error
+   */
+  async onError(error) {}
+
+  /**
+   * @description Set's up puppeteer browser settings.
+   * @returns {Promise<Array<{source: string, error: string, metadata: Object}>>} The errors of the
+   * run, empty when every search succeeded, for the scripts to set the exit code
+   */
+  async launch() {
+    console.log(chalk.bold.magenta(`"${this.name}" spider launched.`));
+    try {
+      this.browser = await puppeteer.launch(this.browserSettings);
+      this.page = await this.browser.newPage();
+      await this.beforeCrawl();
+      await this.crawl();
+    } catch (error) {
+      console.log(chalk.red(error));
+      this.logError(error);
+      await this.terminate();
+    } finally {
+      this.storage.close();
+    }
+    return this.failures;
+  }
+
+  /**
+   * @description Formats the current date in Sydney time, see lib/dates.js
+   * @param {string} format - The desired format, date (YYYY-MM-DD) or timestamp (YYYY-MM-DD-HH-mm-ss)
+   * @returns {string} Formatted date string
+   */
+  date(format = "date") {
+    return format === "date" ? today() : timestamp();
+  }
+
+  /**
+   * @description Terminates the browser instance
+   */
+  async terminate() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+      console.log(chalk.bold.red(`"${this.name}" spider terminated.`));
+    }
+  }
+
+  /**
+   * @description Initiates crawling processes & procedures.
+   * Every search target is paginated in turn, a job matched by more than one
+   * target is only scraped once and tagged with the names of all of them.
+   */
+  async crawl() {
+    console.log(chalk.bold.magenta(`"${this.name}" spider crawling.`));
+    const stats = { expectedTotal: 0, pages: 0, fromCache: 0, filteredOut: 0, searches: {} };
+    const jobsById = new Map();
+
+    try {
+      this.page.setDefaultNavigationTimeout(200000);
+
+      for (const target of this.targets()) {
+        console.log(chalk.cyan(`\nCrawling search "${target.name}"...`));
+        const searchStats = { url: target.url, expected_total_jobs: 0, total_jobs: 0, jobs_filtered_out: 0 };
+        stats.searches[target.name] = searchStats;
+
+        try {
+          // First, get the total number of jobs from the first page
+          await this.page.goto(this.pageUrl(target, 1));
+          await this.waitForListings(this.page);
+
+          const totalJobs = await this.countJobs(this.page);
+          const totalPages = Math.ceil(totalJobs / this.pageSize);
+          stats.expectedTotal += totalJobs;
+          searchStats.expected_total_jobs = totalJobs;
+          console.log(chalk.cyan(`Found ${totalJobs} total jobs across ${totalPages} pages`));
+
+          for (let currentPage = 1; currentPage <= totalPages; currentPage++) {
+            console.log(chalk.cyan(`\nProcessing page ${currentPage} of ${totalPages}...`));
+
+            if (currentPage > 1) {
+              await this.page.goto(this.pageUrl(target, currentPage));
+              await this.waitForListings(this.page);
+            }
+
+            const listings = await this.extractListings(this.page);
+            stats.pages++;
+            if (listings.length === 0) break;
+
+            const jobs = listings.filter((job) => this.filterListing(job, target));
+            searchStats.jobs_filtered_out += listings.length - jobs.length;
+            stats.filteredOut += listings.length - jobs.length;
+
+            const scrapedJobs = await this.scrapeJobs(jobs, target, stats, jobsById);
+            scrapedJobs.forEach((job) => jobsById.set(job.jobId, job));
+            searchStats.total_jobs += scrapedJobs.length;
+
+            // Write progress after each page so a failed run still leaves data behind
+            this.save([...jobsById.values()], stats, false);
+          }
+        } catch (err) {
+          // One broken search should not cost the results of the others
+          console.log(chalk.red(`Error crawling search "${target.name}": ${err.message}`));
+          searchStats.error = err.message;
+          await this.onError(err);
+          this.logError(err, { search: target.name, url: target.url, pages_processed: stats.pages });
+        }
+      }
+
+      const allJobs = [...jobsById.values()];
+
+      // Log final statistics
+      console.log(chalk.cyan("\n----------------------------------------"));
+      console.log(chalk.cyan(`Total pages processed: ${stats.pages}`));
+      console.log(chalk.cyan(`Total jobs found: ${allJobs.length} / ${stats.expectedTotal}`));
+      console.log(chalk.green(`Jobs created/updated: ${allJobs.length - stats.fromCache}`));
+      console.log(chalk.yellow(`Jobs loaded from cache: ${stats.fromCache}`));
+      console.log(chalk.yellow(`Jobs filtered out: ${stats.filteredOut}`));
+      console.log(chalk.cyan("----------------------------------------"));
+
+      const snapshot = this.save(allJobs, stats, true);
+      if (snapshot) {
+        this.diffRun(snapshot);
+        this.trackLifecycle(snapshot);
+        this.indexRun(snapshot);
+        this.writeFeeds();
+      }
+      await this.terminate();
+    } catch (err) {
+      console.log(chalk.red(`Error in crawl: ${err.message}`));
+      await this.onError(err);
+      await this.terminate();
+      this.logError(err, {
+        total_jobs_attempted: jobsById.size,
+        jobs_created: jobsById.size - stats.fromCache,
+        jobs_skipped: stats.fromCache,
+        pages_processed: stats.pages,
+        error_occurred: true
+      });
+    }
+  }
+
+  /**
+   * @description Scrapes the details of each job listing of the current page
+   * @param {Array<Object>} jobListings - Listings extracted from the current page
+   * @param {{name: string, url: string}} target - The search target being crawled
+   * @param {Object} stats - Running statistics of the crawl
+   * @param {Map<string, Object>} knownJobs - Jobs already scraped by earlier targets of this crawl
+   * @returns {Promise<Array>} Array of job objects
+   */
+  async scrapeJobs(jobListings, target, stats, knownJobs = new Map()) {
+    const jobs = [];
+    let successfulScrapes = 0;
+    let failedScrapes = 0;
+    let skippedJobs = 0;
+
+    const totalJobs = jobListings.length;
+    console.log(chalk.cyan(`Found ${totalJobs} job listings to process...`));
+
+    // Process each job listing
+    for (const jobInfo of jobListings) {
+      try {
+        // Matched by an earlier search, only record that this one matched too
+        const known = knownJobs.get(jobInfo.jobId);
+        if (known) {
+          if (!known.searches.includes(target.name)) known.searches.push(target.name);
+          jobs.push(known);
+          successfulScrapes++;
+          continue;
+        }
+
+        jobInfo.searches = [target.name];
+
+        // Check cache before fetching details
+        const cachedDetails = this.checkCache(jobInfo.jobId);
+        if (cachedDetails) {
+          jobInfo.details = cachedDetails;
+          skippedJobs++;
+        } else {
+          console.log(chalk.cyan(`\nFetching details for: ${jobInfo.title} (${jobInfo.jobId})`));
+          jobInfo.details = await this.scrapeJobDetails(jobInfo);
+        }
+
+        jobs.push(jobInfo);
+        successfulScrapes++;
+        process.stdout.write(`\rProcessed: ${successfulScrapes}/${totalJobs} jobs (${skippedJobs} from cache)`);
+      } catch (error) {
+        failedScrapes++;
+        console.log(chalk.yellow(`\nError scraping job: ${error.message}`));
+      }
+    }
+
+    stats.fromCache += skippedJobs;
+
+    console.log("\n");
+    console.log(chalk.cyan("Job Processing Summary:"));
+    console.log(chalk.green(`Successfully scraped: ${successfulScrapes} jobs`));
+    console.log(chalk.blue(`Jobs loaded from cache: ${skippedJobs}`));
+    console.log(chalk.yellow(`Failed to scrape: ${failedScrapes} jobs`));
+
+    return jobs;
+  }
+
+  /**
+   * @description Opens the job's detail page and extracts its details
+   * @param {Object} job - The job listing
+   * @returns {Promise<Object|null>} Detailed job information, null if it could not be scraped
+   */
+  async scrapeJobDetails(job) {
+    let detailPage = null;
+    try {
+      // Create a new page for each job detail to avoid context issues
+      detailPage = await this.browser.newPage();
+      await detailPage.goto(job.jobUrl);
+
+      const jobDetails = await this.extractJobDetails(detailPage, job);
+      const lastScraped = toIso(now());
+      jobDetails.metadata = { ...jobDetails.metadata, lastScraped };
+
+      // Add to cache
+      this.#cachedJobs.set(job.jobId, { lastScraped, details: jobDetails });
+
+      return jobDetails;
+    } catch (error) {
+      console.log(chalk.yellow(`Error scraping job details from ${job.jobUrl}: ${error.message}`));
+      return null;
+    } finally {
+      await detailPage?.close();
+    }
+  }
+
+  /**
+   * @description Saves the scraped jobs, and their job records, as the snapshot of the day.
+   * Jobs whose record fails the job schema are listed in the metadata instead of the records,
+   * the diff and the lifecycle take them as still advertised.
+   * @param {Array} jobs - The scraped jobs
+   * @param {Object} stats - Running statistics of the crawl
+   * @param {boolean} isComplete - Whether the crawl has finished
+   * @returns {Object|null} The saved snapshot, null if it could not be saved
+   */
+  save(jobs, stats, isComplete) {
+    const date = today();
+    try {
+      const { records, invalid } = toJobRecords(this.filePrefix, jobs);
+      if (isComplete && invalid.length) {
+        console.log(chalk.yellow(`${invalid.length} jobs failed schema validation, see metadata.schema_errors`));
+      }
+
+      const snapshot = {
+        metadata: {
+          total_jobs: jobs.length,
+          expected_total_jobs: stats.expectedTotal,
+          total_pages: stats.pages,
+          jobs_created: jobs.length - stats.fromCache,
+          jobs_skipped: stats.fromCache,
+          jobs_filtered_out: stats.filteredOut,
+          date_scraped: toIso(now()),
+          is_complete: isComplete,
+          searches: stats.searches,
+          records_valid: records.length,
+          schema_errors: invalid
+        },
+        jobs,
+        records
+      };
+      this.storage.saveSnapshot(this.filePrefix, date, snapshot);
+      if (isComplete) {
+        console.log(chalk.green(`${jobs.length} jobs saved to the database for ${date}`));
+      }
+      return { date, ...snapshot };
+    } catch (error) {
+      console.log(chalk.red(`Error saving jobs: ${error.message}`));
+      return null;
+    }
+  }
+
+  /**
+   * @description Compares this run's snapshot with the last complete snapshot of the spider
+   * and saves the added, removed and changed jobs as the diff of the day.
+   * @param {{date: string, metadata: Object, records: Array}} snapshot - The snapshot of this run
+   */
+  diffRun(snapshot) {
+    try {
+      const previous = this.storage.latestSnapshot(this.filePrefix, { before: snapshot.date, complete: true });
+      this.lastDiff = diffSnapshots(this.filePrefix, previous, snapshot);
+      this.storage.saveDiff(this.filePrefix, snapshot.date, this.lastDiff);
+
+      const since = previous ? `since ${previous.date}` : "on the first run";
+      console.log(chalk.cyan(`Changes ${since}: ${summarizeDiff(this.lastDiff)}`));
+    } catch (error) {
+      console.log(chalk.yellow(`Error diffing with the previous run: ${error.message}`));
+    }
+  }
+
+  /**
+   * @description Updates the first seen, last seen and runs observed of every job this run found
+   * @param {{date: string, metadata: Object, records: Array}} snapshot - The snapshot of this run
+   */
+  trackLifecycle(snapshot) {
+    try {
+      const entries = new Map(
+        this.storage
+          .loadLifecycle({ source: this.filePrefix })
+          .map((entry) => [lifecycleKey(entry.source, entry.sourceId), entry])
+      );
+      const updated = observeRun(entries, snapshot.date, snapshot.records, {
+        partial: failedSearches(snapshot.metadata).length > 0,
+        previousRun: this.storage.latestRuns()[this.filePrefix],
+        invalid: (snapshot.metadata.schema_errors ?? []).map(({ sourceId }) => sourceId)
+      });
+      this.storage.saveLifecycle(this.filePrefix, snapshot.date, updated);
+    } catch (error) {
+      console.log(chalk.yellow(`Error updating job lifecycles: ${error.message}`));
+    }
+  }
+
+  /**
+   * @description Adds the jobs of this run to the full-text index, reindexing the ones whose text changed
+   * @param {{jobs: Array, records: Array}} snapshot - The snapshot of this run
+   */
+  indexRun(snapshot) {
+    try {
+      const jobs = new Map(snapshot.jobs.map((job) => [job.jobId, job]));
+      const index = new SearchIndex();
+      const { added, updated } = index.update(
+        snapshot.records.map((record) => searchDocument(record, jobs.get(record.sourceId)))
+      );
+      index.save();
+      console.log(chalk.cyan(`Search index: ${added} jobs added, ${updated} reindexed`));
+    } catch (error) {
+      console.log(chalk.yellow(`Error updating the search index: ${error.message}`));
+    }
+  }
+
+  /**
+   * @description Rewrites the RSS and Atom feeds of the open jobs, with the jobs of this run
+   */
+  writeFeeds() {
+    try {
+      const feeds = new FeedWriter().write(this.storage);
+      console.log(chalk.cyan(`Wrote ${feeds.length} RSS and Atom feeds`));
+    } catch (error) {
+      console.log(chalk.yellow(`Error writing the feeds: ${error.message}`));
+    }
+  }
+
+  /**
+   * @description Saves an error log to the database. The errors of the run are
+   * kept in failures, returned by launch() for the scripts to report.
+   * @param {Error} error - The error that stopped the crawl
+   * @param {Object} metadata - Statistics of the crawl up to the error
+   */
+  logError(error, metadata = {}) {
+    this.failures.push({ source: this.filePrefix, error: error.message, metadata });
+    try {
+      this.storage.saveError(this.filePrefix, this.date("timestamp"), {
+        text: error.message,
+        date: this.date("date"),
+        metadata
+      });
+    } catch (err) {
+      console.log(chalk.red(err.message));
+    }
+  }
+}
@@ -1,275 +1,107 @@
-import puppeteer from "puppeteer";
-import settings from "../settings.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import { BaseSpider } from "./baseSpider.js";
+import config from "../config.js";
 import chalk from "chalk";
-import process from "process";
-import fetch from "node-fetch";
+import { extractDocument } from "../lib/documents.js";
+import { extractContacts } from "../lib/contacts.js";
+import { agencyDocumentSettings, discoverDocuments } from "../lib/documentLinks.js";
+import { DocumentStore } from "../storage/index.js";
 
 /**
  * @description Scrapes jobs from NSW Government jobs website
  */
-export class NSWJobSpider {
-  #name = "nsw gov jobs";
+export class NSWJobSpider extends BaseSpider {
   #baseUrl = "https://iworkfor.nsw.gov.au";
-  #allowedDomains = [
-    "https://iworkfor.nsw.gov.au/jobs/all-keywords/all-agencies/department-of-climate-change,-energy,-the-environment-and-water-/all-categories/all-locations/all-worktypes?agenciesid=9116&sortby=RelevanceDesc"
-  ];
-  #cachedJobs = new Map();
-
-  constructor() {
-    this.browser = null;
-    this.page = null;
-    this.pageSize = 25; // Default page size
-    this.loadCache();
-    
-    // Ensure the files directory exists
-    const filesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "database", "jobs", "files");
-    if (!fs.existsSync(filesDir)) {
-      fs.mkdirSync(filesDir, { recursive: true });
-    }
-  }
+  #searches;
+  #documents = new DocumentStore();
 
   /**
-   * @description Loads previously scraped jobs from the cache
+   * @param {Array<Object>} [searches] - Named searches to crawl, defaults to the ones in config.js
    */
-  loadCache() {
-    try {
-      const cacheDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "database", "jobs");
-      
-      // Create directories if they don't exist
-      if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
-        return;
-      }
+  constructor(searches = config.nswgov.searches) {
+    super({ name: "nsw gov jobs", filePrefix: "nswgov", pageSize: 25 });
 
-      // Read all JSON files in the jobs directory
-      const files = fs.readdirSync(cacheDir).filter(file => file.endsWith('.json'));
-      
-      for (const file of files) {
-        const content = fs.readFileSync(path.join(cacheDir, file), 'utf8');
-        const data = JSON.parse(content);
-        
-        // Add each job to the cache with its jobId as the key
-        if (data.jobs) {
-          data.jobs.forEach(job => {
-            if (job.jobId && job.details) {
-              this.#cachedJobs.set(job.jobId, {
-                lastScraped: data.metadata.date_scraped,
-                details: job.details
-              });
-            }
-          });
-        }
-      }
-      
-      console.log(chalk.cyan(`Loaded ${this.#cachedJobs.size} jobs from cache`));
-    } catch (error) {
-      console.log(chalk.yellow(`Error loading cache: ${error.message}`));
+    if (!searches?.length) {
+      throw new Error(`"${this.name}" spider needs at least one search in config.js`);
     }
+    this.#searches = searches;
   }
 
   /**
-   * @description Checks if a job needs to be re-scraped based on its ID and last scrape date
-   * @param {string} jobId - The job ID to check
-   * @returns {Object|null} Returns cached details if valid, null if needs re-scraping
+   * @description Search targets the spider paginates through, one per configured search
+   * @returns {Array<{name: string, url: string}>}
    */
-  #checkCache(jobId) {
-    if (!this.#cachedJobs.has(jobId)) return null;
-
-    const cached = this.#cachedJobs.get(jobId);
-    const lastScraped = new Date(cached.lastScraped);
-    const now = new Date();
-    
-    // Re-scrape if the cache is older than 24 hours
-    if (now - lastScraped > 24 * 60 * 60 * 1000) {
-      return null;
-    }
-
-    return cached.details;
+  targets() {
+    return this.#searches.map((search) => ({ name: search.name, url: this.#searchUrl(search) }));
   }
 
   /**
-   * @description Constructs the URL for a specific page
-   * @param {number} pageNumber - The page number to fetch
-   * @returns {string} The complete URL with pagination parameters
+   * @description Builds the iworkfor search url of a configured search, e.g.
+   * /jobs/ranger/all-agencies/{agency}/all-categories/{location}/full-time?agenciesid=9116&locationsid=92&worktypesid=1
+   * The site reads the segments by position, so a field left out takes its "all-" placeholder.
+   * @param {Object} search - The configured search
+   * @returns {string} The search url without pagination parameters
    */
-  #getPageUrl(pageNumber) {
-    return `${this.#allowedDomains[0]}&page=${pageNumber}&pagesize=${this.pageSize}`;
-  }
+  #searchUrl(search) {
+    // encodeURI keeps /, ? and #, which would end the keywords segment
+    const slugify = (text) => text.replace(/[/?#]/g, " ").trim().toLowerCase().replace(/\s+/g, "-");
+    const segments = [
+      slugify(search.keywords ?? "") || "all-keywords",
+      "all-agencies",
+      search.agency?.slug ?? "all-organisations-entities",
+      search.category?.slug ?? "all-categories",
+      search.location?.slug ?? "all-locations",
+      search.workType?.slug ?? "all-worktypes"
+    ];
 
-  /**
-   * @description Set's up puppeteer browser settings.
-   */
-  async launch() {
-    console.log(chalk.bold.magenta(`"${this.#name}" spider launched.`));
-    try {
-      this.browser = await puppeteer.launch(settings);
-      this.page = await this.browser.newPage();
-      await this.#crawl();
-    } catch (error) {
-      console.log(chalk.red(error));
-      await this.#terminate();
-    }
-  }
+    const params = new URLSearchParams();
+    if (search.agency?.id) params.set("agenciesid", search.agency.id);
+    if (search.category?.id) params.set("categoriesid", search.category.id);
+    if (search.location?.id) params.set("locationsid", search.location.id);
+    if (search.workType?.id) params.set("worktypesid", search.workType.id);
+    params.set("sortby", "RelevanceDesc");
 
-  /**
-   * @description Creates the database path for storing scraped data
-   * @param {string} filename - The name of the file
-   * @param {string} type - The type of data (jobs or errors)
-   * @returns {string} The full path to save the file
-   */
-  #databasePath(filename, type = "jobs") {
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const dbPath = path.join(__dirname, "..", "database", type, `nswgov-${filename}.json`);
-    console.log(chalk.cyan(`Database path: ${dbPath}`));
-    return dbPath;
+    return `${this.#baseUrl}/jobs/${segments.map(encodeURI).join("/")}?${params}`;
   }
 
   /**
-   * @description Formats date strings
-   * @param {string} format - The desired format (date or timestamp)
-   * @returns {string} Formatted date string
+   * @description Constructs the URL for a specific page
+   * @param {{name: string, url: string}} target - The search target
+   * @param {number} pageNumber - The page number to fetch
+   * @returns {string} The complete URL with pagination parameters
    */
-  #date(format = "date") {
-    const date = new Date();
-    const pad = (num) => num.toString().padStart(2, "0");
-    
-    if (format === "date") {
-      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
-    }
-    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  pageUrl(target, pageNumber) {
+    return `${target.url}&page=${pageNumber}&pagesize=${this.pageSize}`;
   }
 
   /**
-   * @description Terminates the browser instance
+   * @description Waits for the job cards to render
+   * @param {Object} page - Puppeteer page
    */
-  async #terminate() {
-    if (this.browser) {
-      await this.browser.close();
-      console.log(chalk.bold.red(`"${this.#name}" spider terminated.`));
-    }
+  async waitForListings(page) {
+    await page.waitForSelector('.job-card');
   }
 
   /**
-   * @description Initiates crawling processes & procedures.
+   * @description Reads the total number of matching jobs from the results header
+   * @param {Object} page - Puppeteer page
+   * @returns {Promise<number>}
    */
-  async #crawl() {
-    console.log(chalk.bold.magenta(`"${this.#name}" spider crawling.`));
-    try {
-      if (this.page) {
-        this.page.setDefaultNavigationTimeout(200000);
-        
-        // Initialize empty array to store all jobs
-        let allJobs = [];
-        let currentPage = 1;
-        let hasMoreJobs = true;
-
-        // First, get the total number of jobs from the first page
-        await this.page.goto(this.#getPageUrl(1));
-        await this.page.waitForSelector('.job-card');
-        
-        const totalJobs = await this.page.evaluate(() => {
-          const resultsText = document.querySelector('div[b-n96x1o845s]')?.textContent;
-          const match = resultsText?.match(/(\d+)\s+jobs match/);
-          return match ? parseInt(match[1]) : 0;
-        });
-
-        const totalPages = Math.ceil(totalJobs / this.pageSize);
-        console.log(chalk.cyan(`Found ${totalJobs} total jobs across ${totalPages} pages`));
-
-        while (currentPage <= totalPages) {
-          console.log(chalk.cyan(`\nProcessing page ${currentPage} of ${totalPages}...`));
-          
-          if (currentPage > 1) {
-            await this.page.goto(this.#getPageUrl(currentPage));
-            await this.page.waitForSelector('.job-card');
-          }
-          
-          const jobs = await this.#scrapeJobs();
-          allJobs = [...allJobs, ...jobs];
-          
-          currentPage++;
-        }
-
-        // Log final statistics
-        console.log(chalk.cyan('\n----------------------------------------'));
-        console.log(chalk.cyan(`Total pages processed: ${totalPages}`));
-        console.log(chalk.cyan(`Total jobs found: ${allJobs.length} / ${totalJobs}`));
-        console.log(chalk.green(`Jobs created/updated: ${allJobs.length}`));
-        console.log(chalk.yellow(`Jobs skipped: 0`));
-        console.log(chalk.cyan('----------------------------------------'));
-        
-        // Save the scraped data
-        fs.writeFile(
-          this.#databasePath(this.#date("date")),
-          JSON.stringify({
-            metadata: {
-              total_jobs: allJobs.length,
-              expected_total_jobs: totalJobs,
-              total_pages: totalPages,
-              jobs_created: allJobs.length,
-              jobs_skipped: 0,
-              date_scraped: this.#date("timestamp")
-            },
-            jobs: allJobs
-          }, null, 2),
-          (error) => {
-            if (error) {
-              console.log(chalk.red(error.message));
-            } else {
-              console.log(chalk.green(`Jobs saved to database for ${this.#date("date")}`));
-            }
-          }
-        );
-
-        await this.#terminate();
-      }
-    } catch (err) {
-      console.log(chalk.red(err));
-      await this.#terminate();
-      
-      // Log errors
-      fs.writeFile(
-        this.#databasePath(`Error at ${this.#date("timestamp")}`, "errors"),
-        JSON.stringify(
-          {
-            text: err.message,
-            date: this.#date("date"),
-            metadata: {
-              total_jobs_attempted: 0,
-              jobs_created: 0,
-              jobs_skipped: 0,
-              pages_processed: 0,
-              error_occurred: true
-            }
-          },
-          null,
-          2
-        ),
-        (error) => error && console.log(chalk.red(error.message))
-      );
-    }
+  async countJobs(page) {
+    return page.evaluate(() => {
+      const resultsText = document.querySelector('div[b-n96x1o845s]')?.textContent;
+      const match = resultsText?.match(/(\d+)\s+jobs match/);
+      return match ? parseInt(match[1]) : 0;
+    });
   }
 
   /**
    * @description Scrapes job listings from the page
+   * @param {Object} page - Puppeteer page
    * @returns {Promise<Array>} Array of job objects
    */
-  async #scrapeJobs() {
-    const jobs = [];
-    let totalJobs = 0;
-    let successfulScrapes = 0;
-    let failedScrapes = 0;
-    let skippedJobs = 0;
-    
-    // Wait for job elements to load
-    await this.page.waitForSelector('.job-card');
-    
+  async extractListings(page) {
     // Get all job listings data in one go
-    const jobListings = await this.page.evaluate(() => {
+    return page.evaluate(() => {
       return Array.from(document.querySelectorAll('.job-card')).map(element => {
         // Title and URL
         const titleElement = element.querySelector('.card-header a');
@@ -316,83 +148,24 @@ export class NSWJobSpider {
         };
       });
     });
-
-    totalJobs = jobListings.length;
-    console.log(chalk.cyan(`Found ${totalJobs} job listings to process...`));
-    
-    // Process each job listing
-    for (const jobInfo of jobListings) {
-      try {
-        // Check cache before fetching details
-        const cachedDetails = this.#checkCache(jobInfo.jobId);
-        if (cachedDetails) {
-          jobInfo.details = cachedDetails;
-          skippedJobs++;
-          successfulScrapes++;
-          jobs.push(jobInfo);
-          process.stdout.write(`\rProcessed: ${successfulScrapes}/${totalJobs} jobs (${skippedJobs} from cache)`);
-          continue;
-        }
-
-        // Fetch detailed job information if not in cache
-        console.log(chalk.cyan(`\nFetching details for: ${jobInfo.title}`));
-        console.log(chalk.cyan(`Fetching details for job ID: ${jobInfo.jobId}`));
-        
-        const jobDetails = await this.#scrapeJobDetails(jobInfo.jobUrl, jobInfo.jobId);
-        
-        // Merge the job listing with its details
-        const completeJob = {
-          ...jobInfo,
-          details: jobDetails
-        };
-        
-        jobs.push(completeJob);
-        successfulScrapes++;
-        process.stdout.write(`\rProcessed: ${successfulScrapes}/${totalJobs} jobs (${skippedJobs} from cache)`);
-      } catch (error) {
-        failedScrapes++;
-        console.log(chalk.yellow(`\nError scraping job: ${error.message}`));
-      }
-    }
-    
-    console.log('\n');
-    console.log(chalk.cyan('Job Processing Summary:'));
-    console.log(chalk.green(`Successfully scraped: ${successfulScrapes} jobs`));
-    console.log(chalk.blue(`Jobs loaded from cache: ${skippedJobs}`));
-    console.log(chalk.yellow(`Failed to scrape: ${failedScrapes} jobs`));
-    
-    return jobs;
   }
 
   /**
-   * @description Downloads a document from a URL and saves it
+   * @description Downloads a document into the document store, unless it hasn't changed since the last download
    * @param {string} url - The URL of the document
    * @param {string} jobId - The job ID
    * @param {string} docType - The type of document (e.g., 'role-description', 'statement-of-works')
-   * @returns {Promise<string>} The filename of the downloaded document
+   * @returns {Promise<Object|null>} The stored document, see DocumentStore#fetch
    */
   async #downloadDocument(url, jobId, docType) {
     try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`Failed to download document: ${response.statusText}`);
-      
-      const contentType = response.headers.get('content-type');
-      const extension = contentType?.includes('pdf') ? 'pdf' : 'doc';
-      const filename = `${jobId}-${docType}.${extension}`;
-      const filePath = path.join(
-        path.dirname(fileURLToPath(import.meta.url)), 
-        "..", 
-        "database",
-        "jobs",
-        "files",
-        filename
-      );
-      
-      const buffer = await response.arrayBuffer();
-      fs.writeFileSync(filePath, Buffer.from(buffer));
-      console.log(chalk.green(`Downloaded document: ${filename}`));
-      
-      return filename;
+      const document = await this.#documents.fetch(url, { jobId, type: docType });
+      if (document.change) {
+        console.log(chalk.cyan(`The ${docType} of job ${jobId} changed since ${document.change.previousHash.slice(0, 12)}`));
+      } else if (!document.notModified) {
+        console.log(chalk.green(`Downloaded document: ${document.filename}`));
+      }
+      return document;
     } catch (error) {
       console.log(chalk.yellow(`Error downloading document from ${url}: ${error.message}`));
       return null;
@@ -400,186 +173,96 @@ export class NSWJobSpider {
   }
 
   /**
-   * @description Extracts document URLs from the job description
-   * @param {string} description - The job description HTML
-   * @returns {Array<Object>} Array of document objects with url and type
+   * @description Scrapes the job detail page and downloads the documents it links to
+   * @param {Object} detailPage - Puppeteer page navigated to the job
+   * @param {Object} job - The job listing
+   * @returns {Promise<Object>} Detailed job information
    */
-  #extractDocumentUrls(description) {
-    const patterns = [
-      // Pattern 1: "Role Description: <link>"
-      /Role Description:\s*<[^>]*?href="([^"]+)"[^>]*?>([^<]+)/gi,
-      // Pattern 2: "To view the Role Description: <link>"
-      /To view the Role Description:\s*<[^>]*?href="([^"]+)"[^>]*?>([^<]+)/gi,
-      // Pattern 3: "read the full Role Description: <link>"
-      /read the full Role Description:\s*<[^>]*?href="([^"]+)"[^>]*?>([^<]+)/gi,
-      // Pattern 4: "Statement of Works: <link>"
-      /Statement of Works:\s*<[^>]*?href="([^"]+)"[^>]*?>([^<]+)/gi,
-      // Pattern 5: Any link to dpie.nsw.gov.au with ?a=
-      /<a[^>]*?href="([^"]*?dpie\.nsw\.gov\.au\/\?a=[^"]*)"[^>]*>([^<]+)<\/a>/gi,
-      // Pattern 6: Any link to dpie.nsw.gov.au word docs
-      /<a[^>]*?href="([^"]*?dpie\.nsw\.gov\.au\/__data\/assets\/word_doc\/[^"]*)"[^>]*>([^<]+)<\/a>/gi,
-      // Pattern 7: Any link following "view the" or "read the" within same paragraph
-      /<p>[^<]*(?:view|read)\s+the[^<]*<a[^>]*?href="([^"]+)"[^>]*?>([^<]+)<\/a>/gi,
-      // Pattern 8: Any link to dpie.nsw.gov.au in a paragraph containing "Role Description"
-      /<p>[^<]*Role Description[^<]*<a[^>]*?href="([^"]+)"[^>]*?>([^<]+)<\/a>/gi,
-      // Pattern 9: Any link immediately following "Role Description"
-      /Role Description[^<]*<a[^>]*?href="([^"]+)"[^>]*?>([^<]+)<\/a>/gi
-    ];
-    
-    const documents = [];
-    const seenUrls = new Set(); // To avoid duplicates
-    
-    for (const pattern of patterns) {
-      let match;
-      while ((match = pattern.exec(description)) !== null) {
-        const url = match[1];
-        // Skip if we've already found this URL
-        if (seenUrls.has(url)) continue;
-        
-        seenUrls.add(url);
-        
-        // Determine document type
-        let type = 'role-description';
-        if (pattern.source.toLowerCase().includes('statement')) {
-          type = 'statement-of-works';
-        } else if (url.includes('word_doc')) {
-          type = 'document';
-        }
-        
-        documents.push({
-          url,
-          type,
-          title: match[2]?.trim() || match[1]?.trim() || 'Document'
-        });
-      }
-    }
-    
-    return documents;
-  }
-
-  async #scrapeJobDetails(jobUrl, jobId) {
-    // Check cache first
-    const cachedDetails = this.#checkCache(jobId);
-    if (cachedDetails) {
-      console.log(chalk.green(`Using cached data for job ID: ${jobId}`));
-      return cachedDetails;
-    }
-
-    try {
-      // Create a new page for each job detail to avoid context issues
-      const detailPage = await this.browser.newPage();
-      await detailPage.goto(jobUrl);
-      await detailPage.waitForSelector('.wrap-jobdetail');
-
-      const jobDetails = await detailPage.evaluate(() => {
-        // Get basic job information from the summary table
-        const getSummaryValue = (label) => {
-          const row = Array.from(document.querySelectorAll('.job-summary tr'))
-            .find(row => row.querySelector('td b')?.textContent?.trim().includes(label));
-          return row?.querySelectorAll('td')[1]?.textContent?.trim() || '';
-        };
-
-        // Get the full job description
-        const description = document.querySelector('.job-detail-des')?.innerHTML?.trim() || '';
-        
-        // Get organization details
-        const organization = getSummaryValue('Organisation / Entity:');
-        
-        // Get job category
-        const category = getSummaryValue('Job category:');
-        
-        // Get location
-        const location = getSummaryValue('Job location:');
-        
-        // Get work type
-        const workType = getSummaryValue('Work type:');
-        
-        // Get remuneration
-        const remuneration = getSummaryValue('Total remuneration package:');
-        
-        // Get closing date and time
-        const closingDateTime = getSummaryValue('Closing date:');
-
-        // Get contact information from the description
-        const contactInfo = {
-          name: '',
-          email: '',
-          phone: ''
-        };
-
-        // Extract contact details from description
-        const descriptionText = document.querySelector('.job-detail-des')?.textContent || '';
-        
-        // Look for email addresses
-        const emailMatch = descriptionText.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
-        if (emailMatch) {
-          contactInfo.email = emailMatch[0];
-        }
-
-        // Look for phone numbers
-        const phoneMatch = descriptionText.match(/\b\d{4}\s?\d{3}\s?\d{3}\b|\b\d{2}\s?\d{4}\s?\d{4}\b/);
-        if (phoneMatch) {
-          contactInfo.phone = phoneMatch[0];
-        }
-
-        // Look for contact name - usually near email or phone
-        const contactNameMatch = descriptionText.match(/contact\s+([A-Z][a-z]+\s+[A-Z][a-z]+)/i);
-        if (contactNameMatch) {
-          contactInfo.name = contactNameMatch[1];
-        }
-
-        // Get related jobs count if available
-        const relatedJobsMatch = document.querySelector('.callout__content')?.textContent.match(/currently\s+(\d+)\s+jobs/);
-        const relatedJobs = relatedJobsMatch ? parseInt(relatedJobsMatch[1]) : 0;
+  async extractJobDetails(detailPage, job) {
+    await detailPage.waitForSelector('.wrap-jobdetail');
+
+    const jobDetails = await detailPage.evaluate(() => {
+      // Get basic job information from the summary table
+      const getSummaryValue = (label) => {
+        const row = Array.from(document.querySelectorAll('.job-summary tr'))
+          .find(row => row.querySelector('td b')?.textContent?.trim().includes(label));
+        return row?.querySelectorAll('td')[1]?.textContent?.trim() || '';
+      };
+
+      // Get the full job description
+      const description = document.querySelector('.job-detail-des')?.innerHTML?.trim() || '';
+      
+      // Get organization details
+      const organization = getSummaryValue('Organisation / Entity:');
+      
+      // Get job category
+      const category = getSummaryValue('Job category:');
+      
+      // Get location
+      const location = getSummaryValue('Job location:');
+      
+      // Get work type
+      const workType = getSummaryValue('Work type:');
+      
+      // Get remuneration
+      const remuneration = getSummaryValue('Total remuneration package:');
+      
+      // Get closing date and time
+      const closingDateTime = getSummaryValue('Closing date:');
+
+      // Get related jobs count if available
+      const relatedJobsMatch = document.querySelector('.callout__content')?.textContent.match(/currently\s+(\d+)\s+jobs/);
+      const relatedJobs = relatedJobsMatch ? parseInt(relatedJobsMatch[1]) : 0;
+
+      return {
+        organization,
+        category,
+        location,
+        workType,
+        remuneration,
+        closingDateTime,
+        description,
+        relatedJobs
+      };
+    });
 
-        return {
-          organization,
-          category,
-          location,
-          workType,
-          remuneration,
-          closingDateTime,
-          description,
-          contactInfo,
-          relatedJobs,
-          metadata: {
-            lastScraped: new Date().toISOString()
-          }
-        };
-      });
+    // The hiring manager and recruitment contacts named in the description
+    jobDetails.contacts = extractContacts(jobDetails.description);
 
-      // Extract and download documents
-      const documents = this.#extractDocumentUrls(jobDetails.description);
-      const downloadedDocs = [];
-      
-      for (const doc of documents) {
-        const filename = await this.#downloadDocument(doc.url, jobId, doc.type);
-        if (filename) {
-          downloadedDocs.push({
-            filename,
-            type: doc.type,
-            title: doc.title,
-            url: doc.url
-          });
+    // Find and download the documents the ad links to
+    const agency = jobDetails.organization || job.department;
+    const documents = discoverDocuments(jobDetails.description, {
+      baseUrl: job.jobUrl,
+      ...agencyDocumentSettings(config.documents, agency)
+    });
+    const downloadedDocs = [];
+
+    for (const doc of documents) {
+      const stored = await this.#downloadDocument(doc.url, job.jobId, doc.type);
+      if (stored) {
+        const { filename, hash, mime, size, fetchedAt } = stored;
+        // Role descriptions are mined for the Capability Framework sections
+        const extracted = await extractDocument(this.#documents.filePath(filename));
+        if (extracted.extractionError) {
+          console.log(chalk.yellow(`Error reading document ${filename}: ${extracted.extractionError}`));
         }
+        downloadedDocs.push({
+          filename,
+          type: doc.type,
+          title: doc.title,
+          url: doc.url,
+          hash,
+          mime,
+          size,
+          fetchedAt,
+          ...extracted
+        });
       }
-      
-      // Add downloaded documents to job details
-      jobDetails.documents = downloadedDocs;
-
-      // Close the detail page
-      await detailPage.close();
+    }
 
-      // Add to cache
-      this.#cachedJobs.set(jobId, {
-        lastScraped: new Date().toISOString(),
-        details: jobDetails
-      });
+    // Add downloaded documents to job details
+    jobDetails.documents = downloadedDocs;
 
-      return jobDetails;
-    } catch (error) {
-      console.log(chalk.yellow(`Error scraping job details from ${jobUrl}: ${error.message}`));
-      return null;
-    }
+    return jobDetails;
   }
-} 
\ No newline at end of file
+}
@@ -1,28 +1,45 @@
-import puppeteer from "puppeteer";
-import settings from "../settings.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import { BaseSpider } from "./baseSpider.js";
+import config from "../config.js";
 import chalk from "chalk";
 import process from "process";
 import readline from 'readline';
 
 /**
- * @description Scrapes jobs from Seek website for DCCEEW
+ * @description Seek's ids for the work types it can filter on
  */
-export class SeekJobSpider {
-  #name = "seek jobs";
+const workTypeIds = {
+  "full-time": 242,
+  "part-time": 243,
+  "contract": 244,
+  "casual": 245
+};
+
+/**
+ * @description Scrapes jobs from Seek website for the configured searches
+ */
+export class SeekJobSpider extends BaseSpider {
   #baseUrl = "https://www.seek.com.au";
-  #allowedDomains = [
-    "https://www.seek.com.au/Department-of-Climate-Change,-Energy,-the-Environment-and-Water-jobs/in-All-Sydney-NSW/full-time"
-  ];
-  #cachedJobs = new Map();
-
-  constructor() {
-    this.browser = null;
-    this.page = null;
-    this.pageSize = 22; // Default page size on Seek
-    this.loadCache();
+  #searches;
+  #advertisers;
+
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.searches] - Named searches to crawl, defaults to the ones in config.js
+   * @param {Array<string>} [options.advertisers] - Advertiser names allowed in the results, defaults to the ones in config.js
+   */
+  constructor({ searches = config.seek.searches, advertisers = config.seek.advertisers } = {}) {
+    super({
+      name: "seek jobs",
+      filePrefix: "seek",
+      pageSize: 22, // Default page size on Seek
+      browserSettings: { headless: false } // Show the browser for verification
+    });
+
+    if (!searches?.length) {
+      throw new Error(`"${this.name}" spider needs at least one search in config.js`);
+    }
+    this.#searches = searches;
+    this.#advertisers = advertisers ?? [];
   }
 
   /**
@@ -60,481 +77,264 @@ export class SeekJobSpider {
   }
 
   /**
-   * @description Loads previously scraped jobs from the cache
+   * @description Search targets the spider paginates through, one per configured search
+   * @returns {Array<{name: string, url: string, advertisers: Array<string>}>}
    */
-  loadCache() {
-    try {
-      const cacheDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "database", "jobs");
-      console.log(chalk.yellow(`Cache directory: ${cacheDir}`));
-      
-      // Create directories if they don't exist
-      if (!fs.existsSync(cacheDir)) {
-        console.log(chalk.yellow(`Creating cache directory: ${cacheDir}`));
-        fs.mkdirSync(cacheDir, { recursive: true });
-        return;
-      }
-
-      // Read all JSON files in the jobs directory
-      const files = fs.readdirSync(cacheDir).filter(file => file.endsWith('.json'));
-      
-      for (const file of files) {
-        const content = fs.readFileSync(path.join(cacheDir, file), 'utf8');
-        const data = JSON.parse(content);
-        
-        // Add each job to the cache with its jobId as the key
-        if (data.jobs) {
-          data.jobs.forEach(job => {
-            if (job.jobId && job.details) {
-              this.#cachedJobs.set(job.jobId, {
-                lastScraped: data.metadata.date_scraped,
-                details: job.details
-              });
-            }
-          });
-        }
-      }
-      
-      console.log(chalk.cyan(`Loaded ${this.#cachedJobs.size} jobs from cache`));
-    } catch (error) {
-      console.log(chalk.yellow(`Error loading cache: ${error.message}`));
-    }
+  targets() {
+    return this.#searches.map((search) => ({
+      name: search.name,
+      url: this.#searchUrl(search),
+      advertisers: (search.advertisers ?? this.#advertisers).map(this.#normalizeAdvertiser)
+    }));
   }
 
   /**
-   * @description Checks if a job needs to be re-scraped based on its ID and last scrape date
-   * @param {string} jobId - The job ID to check
-   * @returns {Object|null} Returns cached details if valid, null if needs re-scraping
+   * @description Builds the Seek search url of a configured search
+   * @param {Object} search - The configured search
+   * @returns {string} The search url without pagination parameters
    */
-  #checkCache(jobId) {
-    if (!this.#cachedJobs.has(jobId)) return null;
-
-    const cached = this.#cachedJobs.get(jobId);
-    const lastScraped = new Date(cached.lastScraped);
-    const now = new Date();
-    
-    // Re-scrape if the cache is older than 24 hours
-    if (now - lastScraped > 24 * 60 * 60 * 1000) {
-      return null;
+  #searchUrl(search) {
+    const params = new URLSearchParams();
+    if (search.keywords) params.set("keywords", search.keywords);
+    if (search.location) params.set("where", search.location);
+    if (search.workType) {
+      const workTypeId = workTypeIds[search.workType];
+      if (!workTypeId) {
+        throw new Error(`Unknown Seek work type "${search.workType}" in search "${search.name}"`);
+      }
+      params.set("worktype", workTypeId);
+    }
+    if (search.advertiserId) params.set("advertiserid", search.advertiserId);
+    if (search.salaryRange) {
+      const { min = 0, max = "", type = "annual" } = search.salaryRange;
+      params.set("salaryrange", `${min}-${max}`);
+      params.set("salarytype", type);
     }
+    if (search.dateListed) params.set("daterange", search.dateListed);
 
-    return cached.details;
+    return `${this.#baseUrl}/jobs?${params}`;
   }
 
   /**
-   * @description Set's up puppeteer browser settings and handles verification
+   * @description Constructs the URL for a specific page
+   * @param {{name: string, url: string}} target - The search target
+   * @param {number} pageNumber - The page number to fetch
+   * @returns {string} The complete URL with pagination parameters
    */
-  async launch() {
-    console.log(chalk.bold.magenta(`"${this.#name}" spider launched.`));
-    try {
-      this.browser = await puppeteer.launch({
-        ...settings,
-        headless: false // Set to false to show the browser for verification
-      });
-      
-      this.page = await this.browser.newPage();
-      
-      // Navigate to the main page first
-      console.log(chalk.cyan("Navigating to Seek jobs page..."));
-      await this.page.goto(this.#allowedDomains[0], { waitUntil: 'networkidle0' });
-
-      // Check for Cloudflare verification
-      if (await this.#hasCloudflareVerification()) {
-        // Take a screenshot of the verification page
-        await this.page.screenshot({ path: 'seek-verification.png' });
-        
-        console.log(chalk.yellow("\nCloudflare verification detected!"));
-        console.log(chalk.cyan("Please complete the verification in the browser window."));
-        
-        // Wait for user to complete verification
-        await this.#waitForUserInput("After completing the verification in the browser window");
-        
-        // Wait for navigation after verification
-        await this.page.waitForNavigation({ waitUntil: 'networkidle0' });
-      }
-
-      await this.#crawl();
-    } catch (error) {
-      console.log(chalk.red(error));
-      await this.#terminate();
-    }
+  pageUrl(target, pageNumber) {
+    return pageNumber > 1 ? `${target.url}&page=${pageNumber}` : target.url;
   }
 
   /**
-   * @description Creates the database path for storing scraped data
-   * @param {string} filename - The name of the file
-   * @param {string} type - The type of data (jobs or errors)
-   * @returns {string} The full path to save the file
+   * @description Normalizes an advertiser name for comparison, ignoring case, punctuation and spacing
+   * @param {string} name
+   * @returns {string}
    */
-  #databasePath(filename, type = "jobs") {
-    const __filename = fileURLToPath(import.meta.url);
-    const projectRoot = path.resolve(path.dirname(__filename), "..");
-    const dbPath = path.join(projectRoot, "database", type, `seek-${filename}.json`);
-    console.log(chalk.yellow(`Database path: ${dbPath}`));
-    return dbPath;
+  #normalizeAdvertiser(name = "") {
+    return name
+      .toLowerCase()
+      .replace(/&/g, " and ")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
   }
 
   /**
-   * @description Formats date strings
-   * @param {string} format - The desired format (date or timestamp)
-   * @returns {string} Formatted date string
+   * @description Keeps only listings advertised by an allowed advertiser
+   * @param {Object} job - The job listing
+   * @param {{advertisers: Array<string>}} target - The search target that returned it
+   * @returns {boolean}
    */
-  #date(format = "date") {
-    const date = new Date();
-    const pad = (num) => num.toString().padStart(2, "0");
-    
-    if (format === "date") {
-      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  filterListing(job, target) {
+    if (!target.advertisers.length) return true;
+
+    const allowed = target.advertisers.includes(this.#normalizeAdvertiser(job.company));
+    if (!allowed) {
+      console.log(chalk.yellow(`Skipping "${job.title}", advertised by "${job.company}"`));
     }
-    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    return allowed;
   }
 
   /**
-   * @description Terminates the browser instance
+   * @description Opens Seek and waits for the user to complete any Cloudflare verification
    */
-  async #terminate() {
-    if (this.browser) {
-      await this.browser.close();
-      console.log(chalk.bold.red(`"${this.#name}" spider terminated.`));
+  async beforeCrawl() {
+    // Navigate to the main page first
+    console.log(chalk.cyan("Navigating to Seek jobs page..."));
+    await this.page.goto(this.pageUrl(this.targets()[0], 1), { waitUntil: 'networkidle0' });
+
+    // Check for Cloudflare verification
+    if (await this.#hasCloudflareVerification()) {
+      // Take a screenshot of the verification page
+      await this.page.screenshot({ path: 'seek-verification.png' });
+
+      console.log(chalk.yellow("\nCloudflare verification detected!"));
+      console.log(chalk.cyan("Please complete the verification in the browser window."));
+
+      // Wait for user to complete verification
+      await this.#waitForUserInput("After completing the verification in the browser window");
+
+      // Wait for navigation after verification
+      await this.page.waitForNavigation({ waitUntil: 'networkidle0' });
     }
   }
 
   /**
-   * @description Initiates crawling processes & procedures.
+   * @description Waits for the search results, or Seek's error message, to render
+   * @param {Object} page - Puppeteer page
    */
-  async #crawl() {
-    console.log(chalk.bold.magenta(`"${this.#name}" spider crawling.`));
+  async waitForListings(page) {
+    // Wait for either the jobs message or a potential error message
     try {
-      if (this.page) {
-        this.page.setDefaultNavigationTimeout(200000);
-        
-        // Initialize empty array to store all jobs
-        let allJobs = [];
-        let currentPage = 1;
-        let hasMoreJobs = true;
-
-        // First, get the total number of jobs from the first page
-        console.log(chalk.cyan("Navigating to Seek jobs page..."));
-        await this.page.goto(this.#allowedDomains[0], { waitUntil: 'networkidle0' });
-        
-        // Wait for either the jobs message or a potential error message
-        try {
-          await this.page.waitForSelector('[data-automation="totalJobsMessage"], [data-automation="searchErrorMessage"]', { timeout: 30000 });
-        } catch (error) {
-          console.log(chalk.yellow("Could not find jobs count or error message. Taking screenshot..."));
-          await this.page.screenshot({ path: 'seek-error.png' });
-          throw new Error("Failed to load Seek jobs page properly");
-        }
-
-        // Check if we got an error message
-        const errorMessage = await this.page.evaluate(() => {
-          const errorElem = document.querySelector('[data-automation="searchErrorMessage"]');
-          return errorElem ? errorElem.textContent : null;
-        });
-
-        if (errorMessage) {
-          throw new Error(`Seek returned an error: ${errorMessage}`);
-        }
-        
-        const totalJobs = await this.page.evaluate(() => {
-          const resultsText = document.querySelector('[data-automation="totalJobsMessage"]')?.textContent;
-          const match = resultsText?.match(/(\d+)\s+jobs?/);
-          return match ? parseInt(match[1]) : 0;
-        });
-
-        if (!totalJobs) {
-          console.log(chalk.yellow("No jobs found on Seek. Taking screenshot for debugging..."));
-          await this.page.screenshot({ path: 'seek-no-jobs.png' });
-          throw new Error("No jobs found on Seek");
-        }
+      await page.waitForSelector('[data-automation="totalJobsMessage"], [data-automation="searchErrorMessage"]', { timeout: 30000 });
+    } catch (error) {
+      console.log(chalk.yellow("Could not find jobs count or error message. Taking screenshot..."));
+      await page.screenshot({ path: 'seek-error.png' });
+      throw new Error("Failed to load Seek jobs page properly");
+    }
 
-        const totalPages = Math.ceil(totalJobs / this.pageSize);
-        console.log(chalk.cyan(`Found ${totalJobs} total jobs across ${totalPages} pages`));
+    // Check if we got an error message
+    const errorMessage = await page.evaluate(() => {
+      const errorElem = document.querySelector('[data-automation="searchErrorMessage"]');
+      return errorElem ? errorElem.textContent : null;
+    });
 
-        while (hasMoreJobs && currentPage <= totalPages) {
-          console.log(chalk.cyan(`\nProcessing page ${currentPage} of ${totalPages}...`));
-          
-          if (currentPage > 1) {
-            const nextPageUrl = `${this.#allowedDomains[0]}?page=${currentPage}`;
-            await this.page.goto(nextPageUrl);
-            await this.page.waitForSelector('[data-automation="jobTitle"]');
-          }
-          
-          const jobs = await this.#scrapeJobs();
-          if (jobs.length === 0) {
-            hasMoreJobs = false;
-          } else {
-            allJobs = [...allJobs, ...jobs];
-            
-            // Write data after each page
-            console.log(chalk.cyan('\nWriting current progress to file...'));
-            try {
-              const filePath = this.#databasePath(this.#date("date"));
-              const dirPath = path.dirname(filePath);
-              
-              // Ensure directory exists
-              if (!fs.existsSync(dirPath)) {
-                console.log(chalk.yellow(`Creating directory: ${dirPath}`));
-                fs.mkdirSync(dirPath, { recursive: true });
-              }
-              
-              const data = JSON.stringify({
-                metadata: {
-                  total_jobs: allJobs.length,
-                  expected_total_jobs: totalJobs,
-                  total_pages: currentPage,
-                  jobs_created: allJobs.length,
-                  jobs_skipped: 0,
-                  date_scraped: this.#date("timestamp"),
-                  is_complete: false
-                },
-                jobs: allJobs
-              }, null, 2);
-              
-              fs.writeFileSync(filePath, data);
-              console.log(chalk.green(`Progress saved - ${allJobs.length} jobs written to ${filePath}`));
-            } catch (error) {
-              console.error(chalk.red('Error writing file:'), error);
-            }
-            
-            currentPage++;
-          }
-        }
+    if (errorMessage) {
+      throw new Error(`Seek returned an error: ${errorMessage}`);
+    }
+  }
 
-        // Final save with complete flag
-        if (allJobs.length > 0) {
-          console.log(chalk.cyan('\nWriting final data to file...'));
-          try {
-            const filePath = this.#databasePath(this.#date("date"));
-            const dirPath = path.dirname(filePath);
-            
-            // Ensure directory exists
-            if (!fs.existsSync(dirPath)) {
-              console.log(chalk.yellow(`Creating directory: ${dirPath}`));
-              fs.mkdirSync(dirPath, { recursive: true });
-            }
-            
-            console.log(chalk.cyan(`Writing to: ${filePath}`));
-            fs.writeFileSync(
-              filePath,
-              JSON.stringify({
-                metadata: {
-                  total_jobs: allJobs.length,
-                  expected_total_jobs: totalJobs,
-                  total_pages: currentPage - 1,
-                  jobs_created: allJobs.length,
-                  jobs_skipped: 0,
-                  date_scraped: this.#date("timestamp"),
-                  is_complete: true
-                },
-                jobs: allJobs
-              }, null, 2)
-            );
-            console.log(chalk.green(`Final data saved - ${allJobs.length} total jobs written`));
-          } catch (error) {
-            console.log(chalk.red(`Error writing final file: ${error.message}`));
-            console.log(chalk.red(`Stack trace: ${error.stack}`));
-          }
-        }
+  /**
+   * @description Reads the total number of matching jobs from the results header
+   * @param {Object} page - Puppeteer page
+   * @returns {Promise<number>}
+   */
+  async countJobs(page) {
+    const totalJobs = await page.evaluate(() => {
+      const resultsText = document.querySelector('[data-automation="totalJobsMessage"]')?.textContent;
+      const match = resultsText?.match(/(\d+)\s+jobs?/);
+      return match ? parseInt(match[1]) : 0;
+    });
 
-        await this.#terminate();
-      }
-    } catch (err) {
-      console.log(chalk.red(`Error in crawl: ${err.message}`));
-      if (this.page) {
-        console.log(chalk.yellow("Taking error screenshot..."));
-        await this.page.screenshot({ path: `seek-error-${this.#date("timestamp")}.png` });
-      }
-      await this.#terminate();
-      throw err; // Re-throw to be caught by the main error handler
+    if (!totalJobs) {
+      console.log(chalk.yellow("No jobs found on Seek. Taking screenshot for debugging..."));
+      await page.screenshot({ path: 'seek-no-jobs.png' });
     }
+
+    return totalJobs;
   }
 
   /**
    * @description Scrapes job listings from the page
+   * @param {Object} page - Puppeteer page
    * @returns {Promise<Array>} Array of job objects
    */
-  async #scrapeJobs() {
-    try {
-      const jobs = [];
-      let totalJobs = 0;
-      let successfulScrapes = 0;
-      let failedScrapes = 0;
-      let skippedJobs = 0;
-      
-      // Wait for job elements to load with a more specific selector
-      await this.page.waitForSelector('article[data-automation="premiumJob"], article[data-automation="normalJob"]', {
-        timeout: 30000
-      });
-      
-      // Add a small delay to ensure dynamic content is loaded
-      await this.page.waitForTimeout(2000);
-      
-      // Get all job listings data in one go
-      const jobListings = await this.page.evaluate(() => {
-        return Array.from(document.querySelectorAll('article[data-automation="premiumJob"], article[data-automation="normalJob"]')).map(element => {
-          try {
-            // Title and URL
-            const titleElement = element.querySelector('[data-automation="jobTitle"]');
-            const title = titleElement?.textContent?.trim() || '';
-            const jobUrl = titleElement?.href || '';
-            
-            // Job ID
-            const jobId = element.getAttribute('data-job-id') || '';
-            
-            // Company name
-            const company = element.querySelector('[data-automation="jobCompany"]')?.textContent?.trim() || '';
-            
-            // Location
-            const location = element.querySelector('[data-automation="jobLocation"]')?.textContent?.trim() || '';
-            
-            // Work type (if available)
-            const workArrangement = element.querySelector('[data-testid="work-arrangement"]')?.textContent?.trim().replace(/[()]/g, '') || '';
-            
-            // Classification
-            const classification = element.querySelector('[data-automation="jobClassification"]')?.textContent?.trim().replace(/[()]/g, '') || '';
-            const subClassification = element.querySelector('[data-automation="jobSubClassification"]')?.textContent?.trim() || '';
-            
-            // Description snippet
-            const description = element.querySelector('[data-automation="jobShortDescription"]')?.textContent?.trim() || '';
-            
-            // Bullet points
-            const bulletPoints = Array.from(element.querySelectorAll('ul li span')).map(li => li.textContent?.trim()).filter(Boolean);
-            
-            return {
-              title,
-              company,
-              location,
-              workArrangement,
-              classification,
-              subClassification,
-              bulletPoints,
-              description,
-              jobId,
-              jobUrl
-            };
-          } catch (error) {
-            console.error("Error parsing job listing:", error);
-            return null;
-          }
-        }).filter(Boolean); // Remove any null entries from failed parsing
-      });
+  async extractListings(page) {
+    // Wait for job elements to load with a more specific selector
+    await page.waitForSelector('article[data-automation="premiumJob"], article[data-automation="normalJob"]', {
+      timeout: 30000
+    });
 
-      totalJobs = jobListings.length;
-      console.log(chalk.cyan(`Found ${totalJobs} job listings to process...`));
-      
-      // Process each job listing
-      for (const jobInfo of jobListings) {
+    // Add a small delay to ensure dynamic content is loaded
+    await page.waitForTimeout(2000);
+
+    // Get all job listings data in one go
+    return page.evaluate(() => {
+      return Array.from(document.querySelectorAll('article[data-automation="premiumJob"], article[data-automation="normalJob"]')).map(element => {
         try {
-          // Check cache before fetching details
-          const cachedDetails = this.#checkCache(jobInfo.jobId);
-          if (cachedDetails) {
-            jobInfo.details = cachedDetails;
-            skippedJobs++;
-            successfulScrapes++;
-            jobs.push(jobInfo);
-            process.stdout.write(`\rProcessed: ${successfulScrapes}/${totalJobs} jobs (${skippedJobs} from cache)`);
-            continue;
-          }
-
-          // Fetch detailed job information if not in cache
-          console.log(chalk.cyan(`\nFetching details for: ${jobInfo.title}`));
+          // Title and URL
+          const titleElement = element.querySelector('[data-automation="jobTitle"]');
+          const title = titleElement?.textContent?.trim() || '';
+          const jobUrl = titleElement?.href || '';
           
-          const jobDetails = await this.#scrapeJobDetails(jobInfo.jobUrl, jobInfo.jobId);
+          // Job ID
+          const jobId = element.getAttribute('data-job-id') || '';
           
-          // Merge the job listing with its details
-          const completeJob = {
-            ...jobInfo,
-            details: jobDetails
-          };
+          // Company name
+          const company = element.querySelector('[data-automation="jobCompany"]')?.textContent?.trim() || '';
+          
+          // Location
+          const location = element.querySelector('[data-automation="jobLocation"]')?.textContent?.trim() || '';
+          
+          // Work type (if available)
+          const workArrangement = element.querySelector('[data-testid="work-arrangement"]')?.textContent?.trim().replace(/[()]/g, '') || '';
+          
+          // Classification
+          const classification = element.querySelector('[data-automation="jobClassification"]')?.textContent?.trim().replace(/[()]/g, '') || '';
+          const subClassification = element.querySelector('[data-automation="jobSubClassification"]')?.textContent?.trim() || '';
           
-          jobs.push(completeJob);
-          successfulScrapes++;
-          process.stdout.write(`\rProcessed: ${successfulScrapes}/${totalJobs} jobs (${skippedJobs} from cache)`);
+          // Description snippet
+          const description = element.querySelector('[data-automation="jobShortDescription"]')?.textContent?.trim() || '';
+          
+          // Bullet points
+          const bulletPoints = Array.from(element.querySelectorAll('ul li span')).map(li => li.textContent?.trim()).filter(Boolean);
+          
+          return {
+            title,
+            company,
+            location,
+            workArrangement,
+            classification,
+            subClassification,
+            bulletPoints,
+            description,
+            jobId,
+            jobUrl
+          };
         } catch (error) {
-          failedScrapes++;
-          console.log(chalk.yellow(`\nError scraping job: ${error.message}`));
+          console.error("Error parsing job listing:", error);
+          return null;
         }
-      }
-      
-      console.log('\n');
-      console.log(chalk.cyan('Job Processing Summary:'));
-      console.log(chalk.green(`Successfully scraped: ${successfulScrapes} jobs`));
-      console.log(chalk.blue(`Jobs loaded from cache: ${skippedJobs}`));
-      console.log(chalk.yellow(`Failed to scrape: ${failedScrapes} jobs`));
-      
-      return jobs;
-    } catch (error) {
-      console.log(chalk.red(`Error in scrapeJobs: ${error.message}`));
-      if (this.page) {
-        await this.page.screenshot({ path: `seek-scrape-error-${this.#date("timestamp")}.png` });
-      }
-      throw error;
-    }
+      }).filter(Boolean); // Remove any null entries from failed parsing
+    });
   }
 
   /**
    * @description Scrapes detailed job information from the job page
-   * @param {string} jobUrl - URL of the job listing
-   * @param {string} jobId - ID of the job
+   * @param {Object} detailPage - Puppeteer page navigated to the job
+   * @param {Object} job - The job listing
    * @returns {Promise<Object>} Detailed job information
    */
-  async #scrapeJobDetails(jobUrl, jobId) {
-    // Check cache first
-    const cachedDetails = this.#checkCache(jobId);
-    if (cachedDetails) {
-      console.log(chalk.green(`Using cached data for job ID: ${jobId}`));
-      return cachedDetails;
-    }
+  async extractJobDetails(detailPage, job) {
+    await detailPage.waitForSelector('[data-automation="jobAdDetails"]');
 
-    try {
-      // Create a new page for each job detail to avoid context issues
-      const detailPage = await this.browser.newPage();
-      await detailPage.goto(jobUrl);
-      await detailPage.waitForSelector('[data-automation="jobAdDetails"]');
-
-      const jobDetails = await detailPage.evaluate(() => {
-        // Get the full job description
-        const description = document.querySelector('[data-automation="jobAdDetails"]')?.innerHTML?.trim() || '';
-        
-        // Get salary information if available
-        const salary = document.querySelector('[data-automation="job-detail-salary"]')?.textContent?.trim() || '';
-        
-        // Get work type
-        const workType = document.querySelector('[data-automation="job-detail-work-type"]')?.textContent?.trim() || '';
-        
-        // Get listing date
-        const listingDate = document.querySelector('[data-automation="job-detail-date"]')?.textContent?.trim() || '';
-
-        // Get additional details
-        const additionalDetails = Array.from(document.querySelectorAll('[data-automation="jobAdDetails"] p'))
-          .map(p => p.textContent?.trim())
-          .filter(Boolean);
-
-        return {
-          description,
-          salary,
-          workType,
-          listingDate,
-          additionalDetails,
-          metadata: {
-            lastScraped: new Date().toISOString()
-          }
-        };
-      });
-
-      // Close the detail page
-      await detailPage.close();
+    const jobDetails = await detailPage.evaluate(() => {
+      // Get the full job description
+      const description = document.querySelector('[data-automation="jobAdDetails"]')?.innerHTML?.trim() || '';
+      
+      // Get salary information if available
+      const salary = document.querySelector('[data-automation="job-detail-salary"]')?.textContent?.trim() || '';
+      
+      // Get work type
+      const workType = document.querySelector('[data-automation="job-detail-work-type"]')?.textContent?.trim() || '';
+      
+      // Get listing date
+      const listingDate = document.querySelector('[data-automation="job-detail-date"]')?.textContent?.trim() || '';
+
+      // Get additional details
+      const additionalDetails = Array.from(document.querySelectorAll('[data-automation="jobAdDetails"] p'))
+        .map(p => p.textContent?.trim())
+        .filter(Boolean);
+
+      return {
+        description,
+        salary,
+        workType,
+        listingDate,
+        additionalDetails
+      };
+    });
 
-      // Add to cache
-      this.#cachedJobs.set(jobId, {
-        lastScraped: new Date().toISOString(),
-        details: jobDetails
-      });
+    return jobDetails;
+  }
 
-      return jobDetails;
-    } catch (error) {
-      console.log(chalk.yellow(`Error scraping job details from ${jobUrl}: ${error.message}`));
-      return null;
+  /**
+   * @description Takes a screenshot of the page the crawl failed on
+   * @param {Error} error
+   */
+  async onError(error) {
+    if (this.page) {
+      console.log(chalk.yellow("Taking error screenshot..."));
+      await this.page.screenshot({ path: `seek-error-${this.date("timestamp")}.png` });
     }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { detectFileType, documentsDirectory } from "../lib/documents.js";
+import { now, toIso } from "../lib/dates.js";
+
+/**
+ * @description Stores the documents linked from job ads by the SHA-256 of
+ * their content, e.g. database/jobs/files/3f2a...c1.pdf, so a document shared
+ * by several jobs is kept once and a new version never overwrites the old one.
+ *
+ * manifest.json in the same directory records:
+ * - documents: every stored file by hash, with its type, size, urls and jobs.
+ * - urls: the current version of every url, with the validators to re-fetch it conditionally.
+ * - changes: every time a url started serving different content.
+ */
+export class DocumentStore {
+  #manifest = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Directory of the documents and the manifest
+   */
+  constructor({ directory = documentsDirectory } = {}) {
+    this.directory = directory;
+    this.manifestPath = path.join(directory, "manifest.json");
+  }
+
+  /**
+   * @description The manifest, read on first use
+   * @returns {{documents: Object<string, Object>, urls: Object<string, Object>, changes: Array<Object>}}
+   */
+  get manifest() {
+    if (!this.#manifest) {
+      this.#manifest = fs.existsSync(this.manifestPath)
+        ? JSON.parse(fs.readFileSync(this.manifestPath, "utf8"))
+        : { documents: {}, urls: {}, changes: [] };
+    }
+    return this.#manifest;
+  }
+
+  /**
+   * @description Writes the manifest, through a temporary file so a crash never leaves it half written
+   */
+  #saveManifest() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const tmpPath = `${this.manifestPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.manifest, null, 2));
+    fs.renameSync(tmpPath, this.manifestPath);
+  }
+
+  /**
+   * @description Path of a stored document
+   * @param {string} filename
+   * @returns {string}
+   */
+  filePath(filename) {
+    return path.join(this.directory, filename);
+  }
+
+  /**
+   * @description Downloads a document, unless the site says it hasn't changed
+   * since the last download, and records which job links to it.
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.jobId] - Job linking to the document
+   * @param {string} [options.type] - Kind of document, e.g. "role-description"
+   * @returns {Promise<{hash: string, filename: string, mime: string, extension: string, size: number,
+   * fetchedAt: string, notModified: boolean, change: Object|null}>} The stored document, with
+   * notModified true when the site answered 304, and the change record when its content changed
+   */
+  async fetch(url, { jobId, type } = {}) {
+    const known = this.manifest.urls[url];
+    const storedFile = known && this.manifest.documents[known.hash];
+    const headers = {};
+    // Only re-fetch conditionally while the file is still there
+    if (storedFile && fs.existsSync(this.filePath(storedFile.filename))) {
+      if (known.etag) headers["If-None-Match"] = known.etag;
+      if (known.lastModified) headers["If-Modified-Since"] = known.lastModified;
+    }
+
+    const response = await fetch(url, { headers });
+    const fetchedAt = toIso(now());
+
+    if (response.status === 304) {
+      known.checkedAt = fetchedAt;
+      const document = this.#reference(known.hash, url, jobId);
+      this.#saveManifest();
+      return { ...document, fetchedAt: known.fetchedAt, notModified: true, change: null };
+    }
+    if (!response.ok) throw new Error(`Failed to download document: ${response.status} ${response.statusText}`);
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+    const { mime, extension } = detectFileType(buffer);
+    const filename = `${hash}.${extension}`;
+
+    if (!fs.existsSync(this.filePath(filename))) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(this.filePath(filename), buffer);
+    }
+    this.manifest.documents[hash] ??= {
+      hash,
+      filename,
+      mime,
+      extension,
+      size: buffer.length,
+      firstFetched: fetchedAt,
+      urls: [],
+      jobIds: []
+    };
+
+    let change = null;
+    if (known && known.hash !== hash) {
+      change = { url, type: type ?? null, jobId: jobId ?? null, previousHash: known.hash, hash, detectedAt: fetchedAt };
+      this.manifest.changes.push(change);
+    }
+
+    this.manifest.urls[url] = {
+      hash,
+      etag: response.headers.get("etag"),
+      lastModified: response.headers.get("last-modified"),
+      fetchedAt,
+      checkedAt: fetchedAt,
+      versions: [...(known?.versions ?? []).filter((version) => version.hash !== hash), { hash, fetchedAt }]
+    };
+    const document = this.#reference(hash, url, jobId);
+    this.#saveManifest();
+    return { ...document, fetchedAt, notModified: false, change };
+  }
+
+  /**
+   * @description Records that a url and job refer to a stored document
+   * @param {string} hash
+   * @param {string} url
+   * @param {string} [jobId]
+   * @returns {{hash: string, filename: string, mime: string, extension: string, size: number}}
+   */
+  #reference(hash, url, jobId) {
+    const document = this.manifest.documents[hash];
+    if (!document.urls.includes(url)) document.urls.push(url);
+    if (jobId && !document.jobIds.includes(jobId)) document.jobIds.push(jobId);
+
+    const { filename, mime, extension, size } = document;
+    return { hash, filename, mime, extension, size };
+  }
+
+  /**
+   * @description Lists the changes to the documents, newest first
+   * @param {Object} [options]
+   * @param {string} [options.type] - Only changes to this kind of document, e.g. "role-description"
+   * @returns {Array<Object>}
+   */
+  changes({ type } = {}) {
+    return this.manifest.changes.filter((change) => !type || change.type === type).reverse();
+  }
+}
@@ -0,0 +1,142 @@
+import { failedSearches } from "../lib/diff.js";
+
+/**
+ * @description Filters accepted by Storage#queryJobs. Text filters match
+ * case-insensitively anywhere in the field.
+ * @typedef {Object} JobFilter
+ * @property {string} [source] - File prefix of the spider, e.g. "seek"
+ * @property {string} [title]
+ * @property {string} [employer] - Matches the employer or the department
+ * @property {string} [location] - Matches any of the job's locations
+ * @property {string} [category] - Matches any of the job's categories
+ * @property {string} [workType] - Matches the employment type or the work arrangement, e.g. "full-time"
+ * @property {boolean} [open] - Only jobs found by the latest run of their spider
+ * @property {number} [minSalary] - Only jobs paying up to at least this much a year,
+ * jobs with an hourly or daily rate or without a parsed salary never match
+ * @property {number} [maxSalary] - Only jobs paying from at most this much a year, the same jobs never match
+ * @property {string} [closingBefore] - Only jobs closing before this ISO date or time, a date meaning its start
+ * @property {string} [closingAfter] - Only jobs closing after this ISO date or time, e.g. "2025-05-11" includes the 11th
+ * @property {boolean} [unparsedSalary] - Only jobs whose salary text couldn't be parsed
+ * @property {string} [classification] - Matches the name of the job's NSW classification, e.g. "clerk"
+ * @property {number} [grade] - Only jobs whose classification grades include this grade
+ * @property {string} [capability] - Only jobs whose role description asks for this capability, e.g. "deliver results"
+ * @property {string} [sort] - "salary" sorts the best paid jobs first, by the top of their range,
+ * "closing" the soonest closing first, "posted" the latest posted first and "title" by title
+ */
+
+/**
+ * @description Lower cases a value for case-insensitive comparison.
+ * @param {string} [value]
+ * @returns {string}
+ */
+const fold = (value) => (value ?? "").toString().toLowerCase();
+
+/**
+ * @description Checks a job record against the text filters of a JobFilter.
+ * The open filter depends on the runs, so it is left to the storage backend.
+ * @param {Object} record - Job record
+ * @param {JobFilter} filter
+ * @returns {boolean}
+ */
+export function matchesJobFilter(record, filter = {}) {
+  if (filter.source && record.source !== filter.source) return false;
+  if (filter.title && !fold(record.title).includes(fold(filter.title))) return false;
+  if (
+    filter.employer &&
+    ![record.employer, record.department].some((name) => fold(name).includes(fold(filter.employer)))
+  ) {
+    return false;
+  }
+  if (filter.location && !record.locations.some((location) => fold(location).includes(fold(filter.location)))) {
+    return false;
+  }
+  if (filter.category && !record.categories.some((category) => fold(category).includes(fold(filter.category)))) {
+    return false;
+  }
+  if (
+    filter.workType &&
+    ![record.employmentType, record.workArrangement].some((type) => fold(type).includes(fold(filter.workType)))
+  ) {
+    return false;
+  }
+  if (filter.minSalary && !(record.salary.period === "annual" && record.salary.max >= filter.minSalary)) {
+    return false;
+  }
+  if (filter.maxSalary && !(record.salary.period === "annual" && record.salary.min <= filter.maxSalary)) {
+    return false;
+  }
+  // ISO dates of the same time zone compare as text
+  const closing = record.dates.closing?.iso;
+  if (filter.closingBefore && !(closing && closing < filter.closingBefore)) return false;
+  if (filter.closingAfter && !(closing && closing >= filter.closingAfter)) return false;
+  if (filter.unparsedSalary && !(record.salary.text && !record.salary.parsed)) return false;
+  if (filter.classification && !fold(record.classification?.name).includes(fold(filter.classification))) {
+    return false;
+  }
+  if (
+    filter.capability &&
+    !record.documents.some((document) =>
+      document.roleDescription?.capabilities.some(({ name }) => fold(name).includes(fold(filter.capability)))
+    )
+  ) {
+    return false;
+  }
+  if (filter.grade) {
+    const grades = record.classification?.grades;
+    if (!grades || filter.grade < grades.from || filter.grade > grades.to) return false;
+  }
+  return true;
+}
+
+/**
+ * @description Sorts job records as asked by the sort of a JobFilter, in place.
+ * @param {Array<Object>} records - Job records
+ * @param {JobFilter} filter
+ * @returns {Array<Object>} The records
+ */
+export function sortJobs(records, filter = {}) {
+  // Jobs without a parsed salary or a date go last
+  const byDate = (get, direction) => (a, b) =>
+    !get(a) || !get(b) ? !get(a) - !get(b) : direction * get(a).localeCompare(get(b));
+  const sorts = {
+    salary: (a, b) => (b.salary.max ?? -1) - (a.salary.max ?? -1),
+    closing: byDate((record) => record.dates.closing?.iso, 1),
+    posted: byDate((record) => record.dates.posted?.iso, -1),
+    title: (a, b) => a.title.localeCompare(b.title)
+  };
+  if (sorts[filter.sort]) records.sort(sorts[filter.sort]);
+  return records;
+}
+
+/**
+ * @description Filters accepted by Storage#loadDeliveries and Storage#removeDeliveries.
+ * Each given value must match exactly.
+ * @typedef {Object} DeliveryFilter
+ * @property {string} [channel] - "email" or "webhook"
+ * @property {string} [recipient] - Email of the subscriber or name of the webhook endpoint
+ * @property {string} [source] - File prefix of the spider, e.g. "seek"
+ * @property {string} [sourceId]
+ * @property {string} [before] - Only deliveries sent before this ISO date or time, e.g. "2025-05-05"
+ */
+
+/**
+ * @description Checks an entry of the delivery ledger against a DeliveryFilter.
+ * @param {Object} delivery - See Storage#loadDeliveries()
+ * @param {DeliveryFilter} filter
+ * @returns {boolean}
+ */
+export function matchesDeliveryFilter(delivery, filter = {}) {
+  return (
+    ["channel", "recipient", "source", "sourceId"].every((field) => !filter[field] || delivery[field] === filter[field]) &&
+    (!filter.before || delivery.sentAt < filter.before)
+  );
+}
+
+/**
+ * @description Whether a run saw every job of its searches: it finished and none of its searches failed.
+ * @param {Object} metadata - Metadata of the run's snapshot
+ * @returns {boolean}
+ */
+export function isCompleteRun(metadata) {
+  return metadata?.is_complete !== false && !failedSearches(metadata).length;
+}
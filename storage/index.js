@@ -0,0 +1,30 @@
+import config from "../config.js";
+import { JsonStorage } from "./jsonStorage.js";
+import { SqliteStorage } from "./sqliteStorage.js";
+
+export { Storage } from "./storage.js";
+export { DocumentStore } from "./documentStore.js";
+export { SearchIndex } from "./searchIndex.js";
+export { JsonStorage, SqliteStorage };
+
+/**
+ * @description Storage backends by the name used in config.js
+ */
+const backends = {
+  json: JsonStorage,
+  sqlite: SqliteStorage
+};
+
+/**
+ * @description Creates the storage backend selected in config.js
+ * @param {Object} [options] - Storage settings, defaults to config.storage
+ * @param {string} options.backend - "json" or "sqlite"
+ * @returns {import("./storage.js").Storage}
+ */
+export function createStorage(options = config.storage) {
+  const Backend = backends[options.backend];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${options.backend}", expected one of: ${Object.keys(backends).join(", ")}`);
+  }
+  return new Backend(options[options.backend] ?? {});
+}
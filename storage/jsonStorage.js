@@ -0,0 +1,270 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Storage } from "./storage.js";
+import { isCompleteRun, matchesDeliveryFilter, matchesJobFilter, sortJobs } from "./filters.js";
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/**
+ * @description Stores every snapshot as a whole-day JSON file under
+ * database/jobs, e.g. database/jobs/nswgov-2025-05-05.json, diffs between
+ * snapshots under database/diffs, job lifecycles in database/lifecycle.json,
+ * links between duplicate jobs in database/links.json, alert subscribers in
+ * database/subscribers.json, the reminders sent to them in database/reminders.json,
+ * the delivery ledger in database/deliveries.json and errors under database/errors.
+ */
+export class JsonStorage extends Storage {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Database directory, defaults to database/ in the project root
+   */
+  constructor({ directory = path.join(projectRoot, "database") } = {}) {
+    super();
+    this.directory = path.resolve(projectRoot, directory);
+  }
+
+  /**
+   * @description Path of a file in the database, creating its directory when needed
+   * @param {string} type - Sub directory, jobs, diffs or errors
+   * @param {string} filename - Name of the file without extension
+   * @returns {string}
+   */
+  #filePath(type, filename) {
+    const dirPath = path.join(this.directory, type);
+    if (!fs.existsSync(dirPath)) {
+      fs.mkdirSync(dirPath, { recursive: true });
+    }
+    return path.join(dirPath, `${filename}.json`);
+  }
+
+  /**
+   * @description Lists the snapshot days of a spider, oldest first
+   * @param {string} source - File prefix of the spider
+   * @returns {Array<string>} Days as YYYY-MM-DD
+   */
+  #snapshotDates(source) {
+    const dirPath = path.join(this.directory, "jobs");
+    if (!fs.existsSync(dirPath)) return [];
+
+    const pattern = new RegExp(`^${source}-(\\d{4}-\\d{2}-\\d{2})\\.json$`);
+    return fs
+      .readdirSync(dirPath)
+      .map((file) => file.match(pattern)?.[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  /**
+   * @description Lists the spiders that have snapshots
+   * @returns {Array<string>}
+   */
+  #sources() {
+    const dirPath = path.join(this.directory, "jobs");
+    if (!fs.existsSync(dirPath)) return [];
+
+    const sources = fs
+      .readdirSync(dirPath)
+      .map((file) => file.match(/^(.+)-\d{4}-\d{2}-\d{2}\.json$/)?.[1])
+      .filter(Boolean);
+    return [...new Set(sources)];
+  }
+
+  loadCache(source) {
+    const cache = new Map();
+    for (const date of this.#snapshotDates(source)) {
+      const data = this.loadSnapshot(source, date);
+      data.jobs?.forEach((job) => {
+        if (job.jobId && job.details) {
+          cache.set(job.jobId, {
+            lastScraped: job.details.metadata?.lastScraped ?? data.metadata.date_scraped,
+            details: job.details
+          });
+        }
+      });
+    }
+    return cache;
+  }
+
+  saveSnapshot(source, date, snapshot) {
+    fs.writeFileSync(this.#filePath("jobs", `${source}-${date}`), JSON.stringify(snapshot, null, 2));
+  }
+
+  loadSnapshot(source, date) {
+    const filePath = this.#filePath("jobs", `${source}-${date}`);
+    if (!fs.existsSync(filePath)) return null;
+    return { date, ...JSON.parse(fs.readFileSync(filePath, "utf8")) };
+  }
+
+  latestSnapshot(source, { before, complete = false } = {}) {
+    const dates = this.#snapshotDates(source).filter((date) => !before || date < before);
+    for (const date of dates.reverse()) {
+      const snapshot = this.loadSnapshot(source, date);
+      if (!complete || isCompleteRun(snapshot.metadata)) return snapshot;
+    }
+    return null;
+  }
+
+  listRuns({ source } = {}) {
+    const sources = source ? [source] : this.#sources();
+    return sources
+      .flatMap((name) =>
+        this.#snapshotDates(name).map((date) => ({
+          source: name,
+          date,
+          metadata: this.loadSnapshot(name, date).metadata
+        }))
+      )
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  queryJobs(filter = {}) {
+    const sources = filter.source ? [filter.source] : this.#sources();
+    const jobs = new Map();
+
+    for (const source of sources) {
+      // Open jobs are the ones in the latest snapshot, anything else needs the whole history
+      const dates = this.#snapshotDates(source);
+      for (const date of filter.open ? dates.slice(-1) : dates) {
+        this.loadSnapshot(source, date).records?.forEach((record) => {
+          jobs.set(`${record.source}:${record.sourceId}`, record);
+        });
+      }
+    }
+
+    return sortJobs(
+      [...jobs.values()].filter((record) => matchesJobFilter(record, filter)),
+      filter
+    );
+  }
+
+  getJob(source, sourceId) {
+    // Only the sources on disk, the source being part of the pattern of their file names
+    if (!this.#sources().includes(source)) return null;
+    // The latest snapshot that has the job holds its latest record
+    for (const date of this.#snapshotDates(source).reverse()) {
+      const record = this.loadSnapshot(source, date).records?.find((job) => job.sourceId === sourceId);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  saveDiff(source, date, diff) {
+    fs.writeFileSync(this.#filePath("diffs", `${source}-${date}`), JSON.stringify(diff, null, 2));
+  }
+
+  loadDiff(source, date) {
+    const filePath = this.#filePath("diffs", `${source}-${date}`);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : null;
+  }
+
+  /**
+   * @description Reads database/lifecycle.json
+   * @returns {{latestRuns: Object<string, string>, jobs: Object<string, Object>}}
+   */
+  #readLifecycle() {
+    const filePath = path.join(this.directory, "lifecycle.json");
+    if (!fs.existsSync(filePath)) return { latestRuns: {}, jobs: {} };
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  loadLifecycle({ source } = {}) {
+    return Object.values(this.#readLifecycle().jobs).filter((entry) => !source || entry.source === source);
+  }
+
+  saveLifecycle(source, runDate, entries) {
+    const lifecycle = this.#readLifecycle();
+    entries.forEach((entry) => (lifecycle.jobs[`${entry.source}:${entry.sourceId}`] = entry));
+    if (runDate > (lifecycle.latestRuns[source] ?? "")) lifecycle.latestRuns[source] = runDate;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, "lifecycle.json"), JSON.stringify(lifecycle, null, 2));
+  }
+
+  latestRuns() {
+    return this.#readLifecycle().latestRuns;
+  }
+
+  saveLinks(links) {
+    const key = ({ a, b }) => `${a.source}:${a.sourceId}|${b.source}:${b.sourceId}`;
+    const all = new Map(this.loadLinks().map((link) => [key(link), link]));
+    links.forEach((link) => all.set(key(link), link));
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, "links.json"), JSON.stringify([...all.values()], null, 2));
+  }
+
+  loadLinks() {
+    const filePath = path.join(this.directory, "links.json");
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : [];
+  }
+
+  loadSubscribers() {
+    const filePath = path.join(this.directory, "subscribers.json");
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : [];
+  }
+
+  saveSubscriber(subscriber) {
+    const subscribers = this.loadSubscribers().filter(({ email }) => email !== subscriber.email);
+    this.#writeSubscribers([...subscribers, subscriber]);
+  }
+
+  removeSubscriber(email) {
+    const subscribers = this.loadSubscribers();
+    const remaining = subscribers.filter((subscriber) => subscriber.email !== email);
+    this.#writeSubscribers(remaining);
+    return remaining.length < subscribers.length;
+  }
+
+  /**
+   * @description Writes database/subscribers.json
+   * @param {Array<Object>} subscribers
+   */
+  #writeSubscribers(subscribers) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, "subscribers.json"), JSON.stringify(subscribers, null, 2));
+  }
+
+  loadReminders() {
+    const filePath = path.join(this.directory, "reminders.json");
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : [];
+  }
+
+  saveReminders(reminders) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.directory, "reminders.json"),
+      JSON.stringify([...this.loadReminders(), ...reminders], null, 2)
+    );
+  }
+
+  loadDeliveries(filter = {}) {
+    const filePath = path.join(this.directory, "deliveries.json");
+    const deliveries = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : [];
+    return deliveries.filter((delivery) => matchesDeliveryFilter(delivery, filter));
+  }
+
+  saveDeliveries(deliveries) {
+    this.#writeDeliveries([...this.loadDeliveries(), ...deliveries]);
+  }
+
+  removeDeliveries(filter = {}) {
+    const deliveries = this.loadDeliveries();
+    const remaining = deliveries.filter((delivery) => !matchesDeliveryFilter(delivery, filter));
+    this.#writeDeliveries(remaining);
+    return deliveries.length - remaining.length;
+  }
+
+  /**
+   * @description Writes database/deliveries.json
+   * @param {Array<Object>} deliveries
+   */
+  #writeDeliveries(deliveries) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, "deliveries.json"), JSON.stringify(deliveries, null, 2));
+  }
+
+  saveError(source, timestamp, error) {
+    fs.writeFileSync(this.#filePath("errors", `${source}-Error at ${timestamp}`), JSON.stringify(error, null, 2));
+  }
+}
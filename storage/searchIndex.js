@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import config from "../config.js";
+import { own, scoreDocuments, searchFields, snippet, tokenize } from "../lib/textSearch.js";
+
+/**
+ * @description An object without a prototype, so any term can be a key of it.
+ * @param {Object} [entries] - Its keys and values
+ * @returns {Object}
+ */
+const dictionary = (entries = {}) => Object.assign(Object.create(null), entries);
+
+/**
+ * @description A full-text index of the jobs, kept in index.json of its
+ * directory, e.g. database/search/index.json:
+ * - documents: every job indexed by source:sourceId, with a version of its
+ *   text and the length of each field in terms.
+ * - postings: for every term, the jobs it is found in and its positions in each field.
+ *
+ * The text of each job, for snippets, is kept apart in a file of text/, so
+ * index.json, written every run, doesn't carry the text of every document.
+ * A job is only reindexed when its text changes, so each run only updates the
+ * jobs it added or changed and writes only their text.
+ */
+export class SearchIndex {
+  #index = null;
+  // Text of the jobs added, changed or removed since the last save(), null once removed
+  #texts = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Directory of the index
+   * @param {Object<string, number>} [options.boosts] - Weight of each field in the scores
+   */
+  constructor({ directory = config.search.directory, boosts = config.search.boosts } = {}) {
+    this.directory = directory;
+    this.boosts = boosts;
+    this.indexPath = path.join(directory, "index.json");
+    this.textDirectory = path.join(directory, "text");
+  }
+
+  /**
+   * @description Path of the file of a job's text, named by a hash of its key as ids can be anything
+   * @param {string} key - source:sourceId
+   * @returns {string}
+   */
+  #textPath(key) {
+    return path.join(this.textDirectory, `${crypto.createHash("sha256").update(key).digest("hex").slice(0, 24)}.json`);
+  }
+
+  /**
+   * @description The text of each field of a job, see searchDocument() in lib/textSearch.js
+   * @param {string} key - source:sourceId
+   * @returns {Object<string, string>}
+   */
+  #text(key) {
+    if (this.#texts.has(key)) return this.#texts.get(key) ?? {};
+    const textPath = this.#textPath(key);
+    return fs.existsSync(textPath) ? JSON.parse(fs.readFileSync(textPath, "utf8")) : {};
+  }
+
+  /**
+   * @description The index, read on first use
+   * @returns {{documents: Object<string, Object>, postings: Object<string, Object>}}
+   */
+  get index() {
+    if (!this.#index) {
+      const { documents = {}, postings = {} } = fs.existsSync(this.indexPath)
+        ? JSON.parse(fs.readFileSync(this.indexPath, "utf8"))
+        : {};
+      this.#index = {
+        documents: dictionary(documents),
+        postings: dictionary(Object.fromEntries(Object.entries(postings).map(([term, keys]) => [term, dictionary(keys)])))
+      };
+    }
+    return this.#index;
+  }
+
+  /**
+   * @description Number of jobs indexed
+   * @returns {number}
+   */
+  get size() {
+    return Object.keys(this.index.documents).length;
+  }
+
+  /**
+   * @description Writes the index, through a temporary file so a crash never leaves it half written,
+   * and the text of the jobs indexed or removed since the last save
+   */
+  save() {
+    fs.mkdirSync(this.textDirectory, { recursive: true });
+    for (const [key, text] of this.#texts) {
+      if (text) fs.writeFileSync(this.#textPath(key), JSON.stringify(text));
+      else fs.rmSync(this.#textPath(key), { force: true });
+    }
+    this.#texts.clear();
+
+    const tmpPath = `${this.indexPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.index));
+    fs.renameSync(tmpPath, this.indexPath);
+  }
+
+  /**
+   * @description Adds jobs to the index, or reindexes them when their text changed.
+   * @param {Array<Object>} documents - See searchDocument() in lib/textSearch.js
+   * @returns {{added: number, updated: number, unchanged: number}}
+   */
+  update(documents) {
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+    for (const { key, source, sourceId, title, url, fields } of documents) {
+      const version = crypto.createHash("sha256").update(JSON.stringify(fields)).digest("hex").slice(0, 12);
+      const known = own(this.index.documents, key);
+      if (known?.version === version) {
+        counts.unchanged += 1;
+        continue;
+      }
+      if (known) this.#removePostings(key);
+      counts[known ? "updated" : "added"] += 1;
+
+      const length = {};
+      for (const field of searchFields) {
+        const tokens = tokenize(fields[field]);
+        length[field] = tokens.length;
+        for (const { term, position } of tokens) {
+          const postings = (this.index.postings[term] ??= dictionary());
+          ((postings[key] ??= dictionary())[field] ??= []).push(position);
+        }
+      }
+      this.index.documents[key] = { version, source, sourceId, title, url, length };
+      this.#texts.set(key, { ...fields });
+    }
+    return counts;
+  }
+
+  /**
+   * @description Removes jobs from the index
+   * @param {Array<string>} keys - source:sourceId of each job
+   * @returns {number} Number of jobs removed
+   */
+  remove(keys) {
+    const known = keys.filter((key) => own(this.index.documents, key));
+    for (const key of known) {
+      this.#removePostings(key);
+      delete this.index.documents[key];
+      this.#texts.set(key, null);
+    }
+    return known.length;
+  }
+
+  /**
+   * @description Removes every job from the index, e.g. to index them all again
+   */
+  clear() {
+    Object.keys(this.index.documents).forEach((key) => this.#texts.set(key, null));
+    this.#index = { documents: dictionary(), postings: dictionary() };
+  }
+
+  /**
+   * @description Removes the postings of a job, and the terms only it had
+   * @param {string} key
+   */
+  #removePostings(key) {
+    const terms = Object.values(this.#text(key)).flatMap((text) => tokenize(text).map(({ term }) => term));
+    for (const term of new Set(terms)) {
+      const postings = this.index.postings[term];
+      if (!postings) continue;
+      delete postings[key];
+      if (!Object.keys(postings).length) delete this.index.postings[term];
+    }
+  }
+
+  /**
+   * @description Searches the jobs, see parseQuery() in lib/textSearch.js for the syntax.
+   * @param {string} query - e.g. "\"fire management\" -volunteer"
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most results returned
+   * @param {function(Object): boolean} [options.filter] - Keeps a result, given the document indexed
+   * @param {function(string): string} [options.highlight] - Marks a matching word in the snippets
+   * @returns {Array<{key: string, source: string, sourceId: string, title: string, url: string,
+   * score: number, fields: Array<string>, snippets: Object<string, string>}>} Best first, fields
+   * being the fields that matched and snippets a highlighted passage of each
+   */
+  search(query, { limit = 20, filter = () => true, highlight } = {}) {
+    return scoreDocuments(this.index, query, this.boosts)
+      .filter(({ key }) => filter(this.index.documents[key]))
+      .slice(0, limit)
+      .map(({ key, score, terms, fields }) => {
+        const { source, sourceId, title, url } = this.index.documents[key];
+        const text = this.#text(key);
+        const snippets = Object.fromEntries(
+          fields.map((field) => [field, snippet(text[field], terms, { highlight })]).filter(([, passage]) => passage)
+        );
+        return { key, source, sourceId, title, url, score: Math.round(score * 1000) / 1000, fields, snippets };
+      });
+  }
+}
@@ -0,0 +1,602 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import { Storage } from "./storage.js";
+import { isCompleteRun } from "./filters.js";
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/**
+ * @description Tables of the SQLite database. jobs holds the latest record of
+ * every job, job_snapshots what each run saw of it.
+ */
+const schema = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    run_date TEXT NOT NULL,
+    date_scraped TEXT,
+    is_complete INTEGER NOT NULL DEFAULT 0,
+    metadata TEXT NOT NULL,
+    UNIQUE (source, run_date)
+  );
+
+  CREATE TABLE IF NOT EXISTS jobs (
+    source TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    employer TEXT,
+    department TEXT,
+    locations TEXT NOT NULL,
+    employment_type TEXT,
+    salary_text TEXT,
+    salary_min REAL,
+    salary_max REAL,
+    salary_period TEXT,
+    salary_parsed INTEGER,
+    posted_date TEXT,
+    closing_date TEXT,
+    url TEXT NOT NULL,
+    record TEXT NOT NULL,
+    details TEXT,
+    last_scraped TEXT,
+    last_run_id INTEGER REFERENCES runs (id),
+    PRIMARY KEY (source, source_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS job_snapshots (
+    run_id INTEGER NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    job TEXT NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (run_id, source, source_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS documents (
+    source TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    type TEXT,
+    title TEXT,
+    filename TEXT,
+    PRIMARY KEY (source, source_id, url)
+  );
+
+  CREATE TABLE IF NOT EXISTS diffs (
+    source TEXT NOT NULL,
+    run_date TEXT NOT NULL,
+    diff TEXT NOT NULL,
+    PRIMARY KEY (source, run_date)
+  );
+
+  CREATE TABLE IF NOT EXISTS job_lifecycle (
+    source TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    title TEXT,
+    employer TEXT,
+    url TEXT,
+    closing_date TEXT,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL,
+    runs_observed INTEGER NOT NULL,
+    PRIMARY KEY (source, source_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS lifecycle_runs (
+    source TEXT PRIMARY KEY,
+    run_date TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS job_links (
+    source_a TEXT NOT NULL,
+    source_id_a TEXT NOT NULL,
+    source_b TEXT NOT NULL,
+    source_id_b TEXT NOT NULL,
+    confidence REAL NOT NULL,
+    signals TEXT NOT NULL,
+    detected_at TEXT,
+    PRIMARY KEY (source_a, source_id_a, source_b, source_id_b)
+  );
+
+  CREATE TABLE IF NOT EXISTS subscribers (
+    email TEXT PRIMARY KEY,
+    name TEXT,
+    group_name TEXT,
+    searches TEXT NOT NULL,
+    flagged TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS reminders (
+    email TEXT NOT NULL,
+    source TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    reminder_window TEXT NOT NULL,
+    closing_date TEXT NOT NULL,
+    sent_at TEXT NOT NULL,
+    PRIMARY KEY (email, source, source_id, reminder_window, closing_date)
+  );
+
+  CREATE TABLE IF NOT EXISTS deliveries (
+    channel TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    source TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    version TEXT NOT NULL,
+    sent_at TEXT NOT NULL,
+    PRIMARY KEY (channel, recipient, source, source_id, version)
+  );
+
+  CREATE TABLE IF NOT EXISTS errors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    date TEXT,
+    text TEXT,
+    metadata TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS jobs_employer ON jobs (employer);
+  CREATE INDEX IF NOT EXISTS jobs_last_run ON jobs (source, last_run_id);
+`;
+
+/**
+ * @description Stores snapshots in a local SQLite database, so jobs can be
+ * queried without reading every historical snapshot.
+ */
+export class SqliteStorage extends Storage {
+  #db = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - Database file, relative to the project root
+   */
+  constructor({ path: filePath = "database/jobs.sqlite" } = {}) {
+    super();
+    this.path = path.resolve(projectRoot, filePath);
+  }
+
+  /**
+   * @description The database connection, opened on first use
+   */
+  get db() {
+    if (!this.#db) {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      this.#db = new Database(this.path);
+      this.#db.pragma("journal_mode = WAL");
+      this.#db.pragma("foreign_keys = ON");
+      this.#db.exec(schema);
+    }
+    return this.#db;
+  }
+
+  loadCache(source) {
+    const rows = this.db
+      .prepare("SELECT source_id, details, last_scraped FROM jobs WHERE source = ? AND details IS NOT NULL")
+      .all(source);
+    return new Map(
+      rows.map((row) => [row.source_id, { lastScraped: row.last_scraped, details: JSON.parse(row.details) }])
+    );
+  }
+
+  saveSnapshot(source, date, { metadata, jobs, records }) {
+    const jobsById = new Map(jobs.map((job) => [job.jobId, job]));
+
+    this.db.transaction(() => {
+      const { id: runId } = this.db
+        .prepare(
+          `INSERT INTO runs (source, run_date, date_scraped, is_complete, metadata)
+           VALUES (@source, @date, @dateScraped, @isComplete, @metadata)
+           ON CONFLICT (source, run_date) DO UPDATE SET
+             date_scraped = excluded.date_scraped,
+             is_complete = excluded.is_complete,
+             metadata = excluded.metadata
+           RETURNING id`
+        )
+        .get({
+          source,
+          date,
+          dateScraped: metadata.date_scraped ?? null,
+          isComplete: metadata.is_complete ? 1 : 0,
+          metadata: JSON.stringify(metadata)
+        });
+
+      // Progress saves replace what the run saved before
+      this.db.prepare("DELETE FROM job_snapshots WHERE run_id = ?").run(runId);
+
+      const insertSnapshot = this.db.prepare(
+        "INSERT OR REPLACE INTO job_snapshots (run_id, source, source_id, job, record) VALUES (?, ?, ?, ?, ?)"
+      );
+      // A run older than the one the job was last seen in, e.g. imported afterwards, keeps the newer record
+      const upsertJob = this.db.prepare(
+        `INSERT INTO jobs (source, source_id, title, employer, department, locations, employment_type,
+           salary_text, salary_min, salary_max, salary_period, salary_parsed,
+           posted_date, closing_date, url, record, details, last_scraped, last_run_id)
+         VALUES (@source, @sourceId, @title, @employer, @department, @locations, @employmentType,
+           @salaryText, @salaryMin, @salaryMax, @salaryPeriod, @salaryParsed, @postedDate, @closingDate, @url, @record, @details, @lastScraped, @runId)
+         ON CONFLICT (source, source_id) DO UPDATE SET
+           title = excluded.title,
+           employer = excluded.employer,
+           department = excluded.department,
+           locations = excluded.locations,
+           employment_type = excluded.employment_type,
+           salary_text = excluded.salary_text,
+           salary_min = excluded.salary_min,
+           salary_max = excluded.salary_max,
+           salary_period = excluded.salary_period,
+           salary_parsed = excluded.salary_parsed,
+           posted_date = excluded.posted_date,
+           closing_date = excluded.closing_date,
+           url = excluded.url,
+           record = excluded.record,
+           details = COALESCE(excluded.details, jobs.details),
+           last_scraped = COALESCE(excluded.last_scraped, jobs.last_scraped),
+           last_run_id = excluded.last_run_id
+         WHERE jobs.last_run_id IS NULL
+           OR (SELECT run_date FROM runs WHERE id = jobs.last_run_id) <= (SELECT run_date FROM runs WHERE id = excluded.last_run_id)`
+      );
+      const upsertDocument = this.db.prepare(
+        `INSERT INTO documents (source, source_id, url, type, title, filename)
+         VALUES (@source, @sourceId, @url, @type, @title, @filename)
+         ON CONFLICT (source, source_id, url) DO UPDATE SET
+           type = excluded.type,
+           title = excluded.title,
+           filename = excluded.filename`
+      );
+
+      for (const record of records) {
+        const job = jobsById.get(record.sourceId) ?? {};
+        insertSnapshot.run(runId, source, record.sourceId, JSON.stringify(job), JSON.stringify(record));
+        upsertJob.run({
+          source,
+          sourceId: record.sourceId,
+          title: record.title,
+          employer: record.employer,
+          department: record.department ?? null,
+          locations: JSON.stringify(record.locations),
+          employmentType: record.employmentType,
+          salaryText: record.salary.text,
+          salaryMin: record.salary.min ?? null,
+          salaryMax: record.salary.max ?? null,
+          salaryPeriod: record.salary.period ?? null,
+          salaryParsed: record.salary.parsed ? 1 : 0,
+          postedDate: record.dates.posted?.iso ?? null,
+          closingDate: record.dates.closing?.iso ?? null,
+          url: record.url,
+          record: JSON.stringify(record),
+          details: job.details ? JSON.stringify(job.details) : null,
+          lastScraped: job.details ? job.details.metadata?.lastScraped ?? metadata.date_scraped ?? null : null,
+          runId
+        });
+        for (const document of record.documents) {
+          upsertDocument.run({
+            source,
+            sourceId: record.sourceId,
+            url: document.url,
+            type: document.type,
+            title: document.title ?? null,
+            filename: document.filename ?? null
+          });
+        }
+      }
+    })();
+  }
+
+  loadSnapshot(source, date) {
+    const run = this.db.prepare("SELECT id, run_date, metadata FROM runs WHERE source = ? AND run_date = ?").get(source, date);
+    return run ? this.#snapshotOf(run) : null;
+  }
+
+  latestSnapshot(source, { before, complete = false } = {}) {
+    const run = this.db
+      .prepare(
+        `SELECT id, run_date, metadata FROM runs
+         WHERE source = ? AND (? IS NULL OR run_date < ?)
+         ORDER BY run_date DESC`
+      )
+      .all(source, before ?? null, before ?? null)
+      .find((row) => !complete || isCompleteRun(JSON.parse(row.metadata)));
+    return run ? this.#snapshotOf(run) : null;
+  }
+
+  /**
+   * @description Loads the jobs a run saw
+   * @param {{id: number, run_date: string, metadata: string}} run - Row of the runs table
+   * @returns {{date: string, metadata: Object, jobs: Array, records: Array}}
+   */
+  #snapshotOf(run) {
+    const rows = this.db.prepare("SELECT job, record FROM job_snapshots WHERE run_id = ?").all(run.id);
+    return {
+      date: run.run_date,
+      metadata: JSON.parse(run.metadata),
+      jobs: rows.map((row) => JSON.parse(row.job)),
+      records: rows.map((row) => JSON.parse(row.record))
+    };
+  }
+
+  listRuns({ source } = {}) {
+    return this.db
+      .prepare(
+        `SELECT source, run_date, metadata FROM runs
+         WHERE ? IS NULL OR source = ?
+         ORDER BY run_date DESC, source`
+      )
+      .all(source ?? null, source ?? null)
+      .map((row) => ({ source: row.source, date: row.run_date, metadata: JSON.parse(row.metadata) }));
+  }
+
+  queryJobs(filter = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filter.source) {
+      conditions.push("jobs.source = @source");
+      params.source = filter.source;
+    }
+    if (filter.title) {
+      conditions.push("jobs.title LIKE @title");
+      params.title = `%${filter.title}%`;
+    }
+    if (filter.employer) {
+      conditions.push("(jobs.employer LIKE @employer OR jobs.department LIKE @employer)");
+      params.employer = `%${filter.employer}%`;
+    }
+    if (filter.location) {
+      conditions.push("EXISTS (SELECT 1 FROM json_each(jobs.locations) WHERE value LIKE @location)");
+      params.location = `%${filter.location}%`;
+    }
+    if (filter.category) {
+      conditions.push("EXISTS (SELECT 1 FROM json_each(jobs.record, '$.categories') WHERE value LIKE @category)");
+      params.category = `%${filter.category}%`;
+    }
+    if (filter.workType) {
+      conditions.push("(jobs.employment_type LIKE @workType OR json_extract(jobs.record, '$.workArrangement') LIKE @workType)");
+      params.workType = `%${filter.workType}%`;
+    }
+    if (filter.open) {
+      // Open jobs are the ones found by the latest run of their spider, by day as runs can be imported out of order
+      conditions.push(
+        "jobs.last_run_id = (SELECT id FROM runs WHERE runs.source = jobs.source ORDER BY run_date DESC LIMIT 1)"
+      );
+    }
+
+    if (filter.minSalary) {
+      conditions.push("jobs.salary_period = 'annual' AND jobs.salary_max >= @minSalary");
+      params.minSalary = filter.minSalary;
+    }
+    if (filter.maxSalary) {
+      conditions.push("jobs.salary_period = 'annual' AND jobs.salary_min <= @maxSalary");
+      params.maxSalary = filter.maxSalary;
+    }
+    if (filter.closingBefore) {
+      conditions.push("jobs.closing_date < @closingBefore");
+      params.closingBefore = filter.closingBefore;
+    }
+    if (filter.closingAfter) {
+      conditions.push("jobs.closing_date >= @closingAfter");
+      params.closingAfter = filter.closingAfter;
+    }
+    if (filter.unparsedSalary) {
+      conditions.push("jobs.salary_text IS NOT NULL AND NOT jobs.salary_parsed");
+    }
+    if (filter.classification) {
+      conditions.push("json_extract(jobs.record, '$.classification.name') LIKE @classification");
+      params.classification = `%${filter.classification}%`;
+    }
+    if (filter.capability) {
+      conditions.push(
+        `EXISTS (SELECT 1 FROM json_each(jobs.record, '$.documents') AS document,
+           json_each(document.value, '$.roleDescription.capabilities') AS capability
+         WHERE json_extract(capability.value, '$.name') LIKE @capability)`
+      );
+      params.capability = `%${filter.capability}%`;
+    }
+    if (filter.grade) {
+      conditions.push(
+        `@grade BETWEEN json_extract(jobs.record, '$.classification.grades.from')
+           AND json_extract(jobs.record, '$.classification.grades.to')`
+      );
+      params.grade = filter.grade;
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const orderBy =
+      {
+        salary: "jobs.salary_max IS NULL, jobs.salary_max DESC, ",
+        closing: "jobs.closing_date IS NULL, jobs.closing_date, ",
+        posted: "jobs.posted_date IS NULL, jobs.posted_date DESC, ",
+        title: "jobs.title COLLATE NOCASE, "
+      }[filter.sort] ?? "";
+    return this.db
+      .prepare(`SELECT record FROM jobs ${where} ORDER BY ${orderBy}jobs.source, jobs.source_id`)
+      .all(params)
+      .map((row) => JSON.parse(row.record));
+  }
+
+  getJob(source, sourceId) {
+    // Looked up by the primary key of jobs
+    const row = this.db.prepare("SELECT record FROM jobs WHERE source = ? AND source_id = ?").get(source, sourceId);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  saveDiff(source, date, diff) {
+    this.db
+      .prepare("INSERT OR REPLACE INTO diffs (source, run_date, diff) VALUES (?, ?, ?)")
+      .run(source, date, JSON.stringify(diff));
+  }
+
+  loadDiff(source, date) {
+    const row = this.db.prepare("SELECT diff FROM diffs WHERE source = ? AND run_date = ?").get(source, date);
+    return row ? JSON.parse(row.diff) : null;
+  }
+
+  loadLifecycle({ source } = {}) {
+    return this.db
+      .prepare(
+        `SELECT source, source_id AS sourceId, title, employer, url, closing_date AS closingDate,
+           first_seen AS firstSeen, last_seen AS lastSeen, runs_observed AS runsObserved
+         FROM job_lifecycle WHERE ? IS NULL OR source = ?`
+      )
+      .all(source ?? null, source ?? null);
+  }
+
+  saveLifecycle(source, runDate, entries) {
+    const upsert = this.db.prepare(
+      `INSERT OR REPLACE INTO job_lifecycle
+         (source, source_id, title, employer, url, closing_date, first_seen, last_seen, runs_observed)
+       VALUES (@source, @sourceId, @title, @employer, @url, @closingDate, @firstSeen, @lastSeen, @runsObserved)`
+    );
+    this.db.transaction(() => {
+      entries.forEach((entry) => upsert.run({ closingDate: null, ...entry }));
+      this.db
+        .prepare(
+          `INSERT INTO lifecycle_runs (source, run_date) VALUES (?, ?)
+           ON CONFLICT (source) DO UPDATE SET run_date = MAX(run_date, excluded.run_date)`
+        )
+        .run(source, runDate);
+    })();
+  }
+
+  latestRuns() {
+    const rows = this.db.prepare("SELECT source, run_date FROM lifecycle_runs").all();
+    return Object.fromEntries(rows.map((row) => [row.source, row.run_date]));
+  }
+
+  saveLinks(links) {
+    const upsert = this.db.prepare(
+      `INSERT OR REPLACE INTO job_links
+         (source_a, source_id_a, source_b, source_id_b, confidence, signals, detected_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    );
+    this.db.transaction(() => {
+      for (const { a, b, confidence, signals, detectedAt } of links) {
+        upsert.run(a.source, a.sourceId, b.source, b.sourceId, confidence, JSON.stringify(signals), detectedAt ?? null);
+      }
+    })();
+  }
+
+  loadLinks() {
+    return this.db
+      .prepare("SELECT * FROM job_links ORDER BY confidence DESC")
+      .all()
+      .map((row) => ({
+        a: { source: row.source_a, sourceId: row.source_id_a },
+        b: { source: row.source_b, sourceId: row.source_id_b },
+        confidence: row.confidence,
+        signals: JSON.parse(row.signals),
+        detectedAt: row.detected_at
+      }));
+  }
+
+  loadSubscribers() {
+    return this.db
+      .prepare("SELECT * FROM subscribers ORDER BY email")
+      .all()
+      .map((row) => ({
+        email: row.email,
+        name: row.name,
+        group: row.group_name,
+        searches: JSON.parse(row.searches),
+        flagged: JSON.parse(row.flagged ?? "[]"),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+  }
+
+  saveSubscriber({ email, name, group, searches, flagged, createdAt, updatedAt }) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO subscribers (email, name, group_name, searches, flagged, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        email,
+        name ?? null,
+        group ?? null,
+        JSON.stringify(searches ?? []),
+        JSON.stringify(flagged ?? []),
+        createdAt,
+        updatedAt
+      );
+  }
+
+  removeSubscriber(email) {
+    return this.db.prepare("DELETE FROM subscribers WHERE email = ?").run(email).changes > 0;
+  }
+
+  loadReminders() {
+    return this.db
+      .prepare(
+        `SELECT email, source, source_id AS sourceId, reminder_window AS window, closing_date AS closingDate,
+           sent_at AS sentAt
+         FROM reminders ORDER BY sent_at`
+      )
+      .all();
+  }
+
+  saveReminders(reminders) {
+    const insert = this.db.prepare(
+      `INSERT OR REPLACE INTO reminders (email, source, source_id, reminder_window, closing_date, sent_at)
+       VALUES (@email, @source, @sourceId, @window, @closingDate, @sentAt)`
+    );
+    this.db.transaction(() => reminders.forEach((reminder) => insert.run(reminder)))();
+  }
+
+  loadDeliveries(filter = {}) {
+    const { where, params } = this.#deliveryFilter(filter);
+    return this.db
+      .prepare(
+        `SELECT channel, recipient, source, source_id AS sourceId, version, sent_at AS sentAt
+         FROM deliveries ${where} ORDER BY sent_at`
+      )
+      .all(params);
+  }
+
+  saveDeliveries(deliveries) {
+    const insert = this.db.prepare(
+      `INSERT OR REPLACE INTO deliveries (channel, recipient, source, source_id, version, sent_at)
+       VALUES (@channel, @recipient, @source, @sourceId, @version, @sentAt)`
+    );
+    this.db.transaction(() => deliveries.forEach((delivery) => insert.run(delivery)))();
+  }
+
+  removeDeliveries(filter = {}) {
+    const { where, params } = this.#deliveryFilter(filter);
+    return this.db.prepare(`DELETE FROM deliveries ${where}`).run(params).changes;
+  }
+
+  /**
+   * @description Builds the WHERE clause of a DeliveryFilter
+   * @param {import("./filters.js").DeliveryFilter} filter
+   * @returns {{where: string, params: Object}}
+   */
+  #deliveryFilter({ channel, recipient, source, sourceId, before }) {
+    const conditions = [];
+    const params = {};
+    const columns = { channel, recipient, source, source_id: sourceId };
+    for (const [column, value] of Object.entries(columns)) {
+      if (!value) continue;
+      conditions.push(`${column} = @${column}`);
+      params[column] = value;
+    }
+    if (before) {
+      conditions.push("sent_at < @before");
+      params.before = before;
+    }
+    return { where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "", params };
+  }
+
+  saveError(source, timestamp, error) {
+    this.db
+      .prepare("INSERT INTO errors (source, timestamp, date, text, metadata) VALUES (?, ?, ?, ?, ?)")
+      .run(source, timestamp, error.date ?? null, error.text ?? null, JSON.stringify(error.metadata ?? {}));
+  }
+
+  close() {
+    this.#db?.close();
+    this.#db = null;
+  }
+}
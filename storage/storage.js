@@ -0,0 +1,232 @@
+/**
+ * @description Interface every storage backend implements. Spiders, scripts
+ * and the notifier only talk to the database through it, so the backend can
+ * be swapped in config.js without touching them.
+ *
+ * A snapshot is everything one spider scraped on one day:
+ * `{ metadata, jobs, records }` where jobs is the spider's raw output and
+ * records the matching job records (see lib/job.js).
+ */
+export class Storage {
+  /**
+   * @description Loads the job details previously scraped by a spider
+   * @param {string} source - File prefix of the spider, e.g. "nswgov"
+   * @returns {Map<string, {lastScraped: string, details: Object}>} Details keyed by jobId
+   */
+  loadCache(source) {
+    throw new Error(`${this.constructor.name} does not implement loadCache()`);
+  }
+
+  /**
+   * @description Saves, or replaces, the snapshot of a spider for a day
+   * @param {string} source - File prefix of the spider
+   * @param {string} date - Day of the run, YYYY-MM-DD
+   * @param {{metadata: Object, jobs: Array, records: Array}} snapshot
+   */
+  saveSnapshot(source, date, snapshot) {
+    throw new Error(`${this.constructor.name} does not implement saveSnapshot()`);
+  }
+
+  /**
+   * @description Loads the snapshot of a spider for a day
+   * @param {string} source - File prefix of the spider
+   * @param {string} date - Day of the run, YYYY-MM-DD
+   * @returns {{date: string, metadata: Object, jobs: Array, records: Array}|null}
+   */
+  loadSnapshot(source, date) {
+    throw new Error(`${this.constructor.name} does not implement loadSnapshot()`);
+  }
+
+  /**
+   * @description Loads the latest snapshot of a spider
+   * @param {string} source - File prefix of the spider
+   * @param {Object} [options]
+   * @param {string} [options.before] - Only consider snapshots of days before this one, YYYY-MM-DD
+   * @param {boolean} [options.complete] - Only consider runs that saw every job, see isCompleteRun() in storage/filters.js
+   * @returns {{date: string, metadata: Object, jobs: Array, records: Array}|null}
+   */
+  latestSnapshot(source, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement latestSnapshot()`);
+  }
+
+  /**
+   * @description Lists the runs of the spiders, newest first
+   * @param {Object} [options]
+   * @param {string} [options.source] - Only list the runs of this spider
+   * @returns {Array<{source: string, date: string, metadata: Object}>}
+   */
+  listRuns(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement listRuns()`);
+  }
+
+  /**
+   * @description Queries the latest record of every job
+   * @param {Object} [filter] - See storage/filters.js
+   * @returns {Array<Object>} Job records
+   */
+  queryJobs(filter = {}) {
+    throw new Error(`${this.constructor.name} does not implement queryJobs()`);
+  }
+
+  /**
+   * @description Loads the latest record of a job
+   * @param {string} source - File prefix of the spider
+   * @param {string} sourceId - Id of the job on its site
+   * @returns {Object|null} Job record
+   */
+  getJob(source, sourceId) {
+    throw new Error(`${this.constructor.name} does not implement getJob()`);
+  }
+
+  /**
+   * @description Saves the diff of a spider's snapshot of a day against its previous snapshot
+   * @param {string} source - File prefix of the spider
+   * @param {string} date - Day of the run, YYYY-MM-DD
+   * @param {Object} diff - See lib/diff.js
+   */
+  saveDiff(source, date, diff) {
+    throw new Error(`${this.constructor.name} does not implement saveDiff()`);
+  }
+
+  /**
+   * @description Loads the diff of a spider's snapshot of a day
+   * @param {string} source - File prefix of the spider
+   * @param {string} date - Day of the run, YYYY-MM-DD
+   * @returns {Object|null}
+   */
+  loadDiff(source, date) {
+    throw new Error(`${this.constructor.name} does not implement loadDiff()`);
+  }
+
+  /**
+   * @description Loads the lifecycle entries of the jobs, see lib/lifecycle.js
+   * @param {Object} [options]
+   * @param {string} [options.source] - Only load the jobs of this spider
+   * @returns {Array<Object>}
+   */
+  loadLifecycle(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement loadLifecycle()`);
+  }
+
+  /**
+   * @description Saves the lifecycle entries updated by a run of a spider
+   * @param {string} source - File prefix of the spider
+   * @param {string} runDate - Day of the run, YYYY-MM-DD
+   * @param {Array<Object>} entries - Entries created or updated by the run
+   */
+  saveLifecycle(source, runDate, entries) {
+    throw new Error(`${this.constructor.name} does not implement saveLifecycle()`);
+  }
+
+  /**
+   * @description Day of the latest run of each spider that updated the job lifecycles
+   * @returns {Object<string, string>} Days as YYYY-MM-DD keyed by source
+   */
+  latestRuns() {
+    throw new Error(`${this.constructor.name} does not implement latestRuns()`);
+  }
+
+  /**
+   * @description Saves links between jobs of different sites that advertise the same vacancy,
+   * replacing any earlier link of the same two jobs
+   * @param {Array<Object>} links - See lib/duplicates.js
+   */
+  saveLinks(links) {
+    throw new Error(`${this.constructor.name} does not implement saveLinks()`);
+  }
+
+  /**
+   * @description Loads the links between jobs of different sites
+   * @returns {Array<{a: Object, b: Object, confidence: number, signals: Object, detectedAt: string}>}
+   */
+  loadLinks() {
+    throw new Error(`${this.constructor.name} does not implement loadLinks()`);
+  }
+
+  /**
+   * @description Loads the subscribers to the alerts, with their saved searches
+   * and the jobs they flagged to be reminded of
+   * @returns {Array<{email: string, name: string|null, group: string|null, searches: Array<Object>,
+   * flagged: Array<{source: string, sourceId: string}>, createdAt: string, updatedAt: string}>} group
+   * picks the email templates of the subscriber, see middleware/email/templates.js
+   */
+  loadSubscribers() {
+    throw new Error(`${this.constructor.name} does not implement loadSubscribers()`);
+  }
+
+  /**
+   * @description Saves a subscriber, replacing the subscriber with the same email
+   * @param {Object} subscriber - See loadSubscribers()
+   */
+  saveSubscriber(subscriber) {
+    throw new Error(`${this.constructor.name} does not implement saveSubscriber()`);
+  }
+
+  /**
+   * @description Removes a subscriber
+   * @param {string} email
+   * @returns {boolean} false when there was no such subscriber
+   */
+  removeSubscriber(email) {
+    throw new Error(`${this.constructor.name} does not implement removeSubscriber()`);
+  }
+
+  /**
+   * @description Loads the log of the closing-soon reminders sent, see lib/reminders.js
+   * @returns {Array<{email: string, source: string, sourceId: string, window: string, closingDate: string, sentAt: string}>}
+   */
+  loadReminders() {
+    throw new Error(`${this.constructor.name} does not implement loadReminders()`);
+  }
+
+  /**
+   * @description Adds reminders just sent to the reminder log
+   * @param {Array<Object>} reminders - See loadReminders()
+   */
+  saveReminders(reminders) {
+    throw new Error(`${this.constructor.name} does not implement saveReminders()`);
+  }
+
+  /**
+   * @description Loads the delivery ledger, which job was sent to which subscriber
+   * or webhook in which version, see lib/deliveries.js
+   * @param {import("./filters.js").DeliveryFilter} [filter]
+   * @returns {Array<{channel: string, recipient: string, source: string, sourceId: string, version: string, sentAt: string}>}
+   * Oldest first
+   */
+  loadDeliveries(filter = {}) {
+    throw new Error(`${this.constructor.name} does not implement loadDeliveries()`);
+  }
+
+  /**
+   * @description Adds deliveries just made to the ledger
+   * @param {Array<Object>} deliveries - See loadDeliveries()
+   */
+  saveDeliveries(deliveries) {
+    throw new Error(`${this.constructor.name} does not implement saveDeliveries()`);
+  }
+
+  /**
+   * @description Removes deliveries from the ledger, so their jobs are sent again
+   * @param {import("./filters.js").DeliveryFilter} [filter] - Removes every delivery when empty
+   * @returns {number} Deliveries removed
+   */
+  removeDeliveries(filter = {}) {
+    throw new Error(`${this.constructor.name} does not implement removeDeliveries()`);
+  }
+
+  /**
+   * @description Saves the error that stopped a crawl
+   * @param {string} source - File prefix of the spider
+   * @param {string} timestamp - When the error happened
+   * @param {{text: string, date: string, metadata: Object}} error
+   */
+  saveError(source, timestamp, error) {
+    throw new Error(`${this.constructor.name} does not implement saveError()`);
+  }
+
+  /**
+   * @description Releases the resources held by the backend
+   */
+  close() {}
+}
@@ -0,0 +1,107 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { matchesSearch, matchSubscriber, normalizeSearch } from "../lib/alertRules.js";
+import { collapseLinked, findDuplicates } from "../lib/duplicates.js";
+import { toJobRecords } from "../lib/job.js";
+import { parseSalary } from "../lib/salary.js";
+
+/**
+ * @description Job records of the listings scraped from a site
+ * @param {string} source - File prefix of the spider
+ * @returns {Array<Object>}
+ */
+const records = (source) =>
+  toJobRecords(source, JSON.parse(fs.readFileSync(new URL(`./fixtures/${source}Jobs.json`, import.meta.url), "utf8")))
+    .records;
+
+const nswgov = records("nswgov");
+const seek = records("seek");
+const fieldOfficer = {
+  ...nswgov.find(({ sourceId }) => sourceId === "542236"),
+  description: "<p>Undertake <strong>pest animal</strong> control across the reserve.</p>",
+  salary: parseSalary("$70,219 - $74,784 per annum plus super")
+};
+const matching = (search, jobs = [...nswgov, ...seek]) =>
+  jobs.filter((record) => matchesSearch(record, { name: "test", ...search })).map(({ sourceId }) => sourceId);
+
+describe("matchesSearch", () => {
+  it("matches every job when no criterion is set", () => {
+    assert.equal(matching({}).length, nswgov.length + seek.length);
+  });
+
+  it("finds every keyword in the title, categories or description, case-insensitively", () => {
+    assert.deepEqual(matching({ keywords: ["ranger"] }), ["542329", "83451234", "83453456"]);
+    assert.deepEqual(matching({ keywords: ["ranger", "casual"] }), ["83453456"]);
+    assert.deepEqual(matching({ keywords: ["net zero"] }), ["542476", "83452345"]);
+    assert.deepEqual(matching({ keywords: ["Senior Executive"] }), ["542441"]);
+    assert.equal(matchesSearch(fieldOfficer, { name: "test", keywords: ["pest animal control"] }), true);
+    // Words are matched in the text of the description, not its markup, phrases across its tags
+    assert.equal(matchesSearch(fieldOfficer, { name: "test", keywords: ["strong"] }), false);
+  });
+
+  it("matches any of the departments, locations or categories given", () => {
+    assert.deepEqual(matching({ departments: ["national parks", "regulator"] }), ["542236", "542329", "542441", "83451234"]);
+    assert.deepEqual(matching({ locations: ["dubbo"] }), ["542236", "542329", "83451234"]);
+    assert.deepEqual(matching({ categories: ["environmental"], locations: ["dubbo"], sources: ["seek"] }), ["83451234"]);
+    assert.deepEqual(matching({ categories: ["Local Government"] }), ["83453456"]);
+  });
+
+  it("matches the work type against the employment type and work arrangement", () => {
+    assert.deepEqual(matching({ workTypes: ["full-time"], sources: ["nswgov"] }), ["542236", "542329", "542441", "542476"]);
+    assert.deepEqual(matching({ workTypes: ["remote"] }), []);
+    assert.equal(matchesSearch({ ...fieldOfficer, workArrangement: "Hybrid, remote" }, { name: "test", workTypes: ["remote"] }), true);
+  });
+
+  it("matches a minimum salary only with an annual salary reaching it", () => {
+    assert.equal(matchesSearch(fieldOfficer, { name: "test", minSalary: 74784 }), true);
+    assert.equal(matchesSearch(fieldOfficer, { name: "test", minSalary: "80000" }), false);
+    assert.equal(matchesSearch({ ...fieldOfficer, salary: parseSalary("$52.30 per hour") }, { name: "test", minSalary: 50 }), false);
+    assert.deepEqual(matching({ minSalary: 1 }), []);
+  });
+
+  it("matches a job advertised on several sites on any of them", () => {
+    const collapsed = collapseLinked([...nswgov, ...seek], findDuplicates(nswgov, seek));
+    assert.deepEqual(matching({ sources: ["seek"], keywords: ["ranger identified"] }, collapsed), ["542329"]);
+  });
+});
+
+describe("normalizeSearch", () => {
+  it("trims the criteria and drops empty values", () => {
+    assert.deepEqual(normalizeSearch({ name: " rangers ", keywords: [" ranger ", ""], minSalary: "" }), {
+      name: "rangers",
+      keywords: ["ranger"],
+      departments: [],
+      categories: [],
+      locations: [],
+      workTypes: [],
+      sources: [],
+      minSalary: null
+    });
+  });
+
+  it("rejects a search without a name or with a salary that isn't a number", () => {
+    assert.throws(() => normalizeSearch({ name: " " }), /needs a name/);
+    assert.throws(() => normalizeSearch({ name: "test", minSalary: "80k" }), /"80k" is not a number/);
+  });
+});
+
+describe("matchSubscriber", () => {
+  it("gives each matching job the names of the searches it matched", () => {
+    const searches = [
+      { name: "rangers", keywords: ["ranger"] },
+      { name: "dubbo", locations: ["dubbo"] }
+    ];
+    assert.deepEqual(
+      matchSubscriber(nswgov, { searches }).map(({ record, searches }) => [record.sourceId, searches]),
+      [
+        ["542236", ["dubbo"]],
+        ["542329", ["rangers", "dubbo"]]
+      ]
+    );
+  });
+
+  it("gives a subscriber without searches every job", () => {
+    assert.equal(matchSubscriber(seek, {}).length, seek.length);
+  });
+});
@@ -0,0 +1,240 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createApiServer } from "../middleware/api/server.js";
+import { toJobRecords } from "../lib/job.js";
+import { JsonStorage, SqliteStorage } from "../storage/index.js";
+
+/**
+ * @description Listings scraped from a site and their job records
+ * @param {string} source - File prefix of the spider
+ * @returns {{jobs: Array<Object>, records: Array<Object>}}
+ */
+function scraped(source) {
+  const jobs = JSON.parse(fs.readFileSync(new URL(`./fixtures/${source}Jobs.json`, import.meta.url), "utf8"));
+  return { jobs, records: toJobRecords(source, jobs).records };
+}
+
+const nswgov = scraped("nswgov");
+const seek = scraped("seek");
+const roleDescription = { url: "https://example.com/rd.pdf", type: "role-description", title: "Role description", filename: "rd.pdf" };
+// The second run re-words a title, drops a job and finds the role description of another
+const secondRun = nswgov.records
+  .filter(({ sourceId }) => sourceId !== "542441")
+  .map((record) =>
+    record.sourceId === "542236"
+      ? { ...record, title: "Field Officer 3/4", documents: [roleDescription] }
+      : record
+  );
+
+/**
+ * @description Saves the runs of both spiders
+ * @param {import("../storage/storage.js").Storage} storage
+ */
+function saveRuns(storage) {
+  const metadata = { is_complete: true, searches: {} };
+  storage.saveSnapshot("nswgov", "2025-05-05", { metadata, jobs: nswgov.jobs, records: nswgov.records });
+  storage.saveSnapshot("nswgov", "2025-05-06", { metadata, jobs: nswgov.jobs, records: secondRun });
+  storage.saveSnapshot("seek", "2025-05-06", { metadata, jobs: seek.jobs, records: seek.records });
+}
+
+const storages = [
+  ["JsonStorage", (directory) => new JsonStorage({ directory })],
+  ["SqliteStorage", (directory) => new SqliteStorage({ path: path.join(directory, "jobs.sqlite") })]
+];
+
+for (const [name, createStorage] of storages) {
+  describe(`${name}#getJob`, () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "api-"));
+    const storage = createStorage(directory);
+    saveRuns(storage);
+    after(() => {
+      storage.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("loads the latest record of a job", () => {
+      assert.equal(storage.getJob("nswgov", "542236").title, "Field Officer 3/4");
+      assert.equal(storage.getJob("nswgov", "542441").title, "Director Regulatory Initiatives");
+      assert.equal(storage.getJob("seek", "83451234").title, "Ranger Identified");
+    });
+
+    it("finds nothing for an unknown job or source", () => {
+      assert.equal(storage.getJob("nswgov", "83451234"), null);
+      assert.equal(storage.getJob(".*", "542236"), null);
+    });
+  });
+}
+
+describe("createApiServer", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "api-"));
+  const filesDirectory = path.join(directory, "documents");
+  let server;
+  let baseUrl;
+
+  /**
+   * @description Gets a path of the API
+   * @param {string} pathname - e.g. "/jobs?page=2"
+   * @param {Object} [options] - See fetch()
+   * @returns {Promise<{status: number, headers: Headers, body: Object|string}>}
+   */
+  const get = async (pathname, options) => {
+    const response = await fetch(`${baseUrl}${pathname}`, options);
+    const text = await response.text();
+    const json = response.headers.get("content-type")?.startsWith("application/json");
+    return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text };
+  };
+
+  before(async () => {
+    const storage = new JsonStorage({ directory: path.join(directory, "database") });
+    saveRuns(storage);
+    fs.mkdirSync(filesDirectory);
+    fs.writeFileSync(path.join(filesDirectory, "rd.pdf"), "%PDF-1.7\nField Officer");
+
+    server = createApiServer({ storage, filesDirectory });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("GET /jobs", () => {
+    it("lists the jobs without their descriptions and documents", async () => {
+      const { status, body } = await get("/jobs");
+      assert.equal(status, 200);
+      assert.deepEqual([body.total, body.page, body.pageSize, body.pages], [7, 1, 50, 1]);
+      const fieldOfficer = body.jobs.find(({ sourceId }) => sourceId === "542236");
+      assert.equal(fieldOfficer.title, "Field Officer 3/4");
+      assert.equal(fieldOfficer.documentCount, 1);
+      assert.equal("description" in fieldOfficer || "documents" in fieldOfficer, false);
+    });
+
+    it("filters and sorts the jobs", async () => {
+      const { body } = await get("/jobs?source=nswgov&department=national%20parks&sort=title");
+      assert.deepEqual(
+        body.jobs.map(({ title }) => title),
+        ["Field Officer 3/4", "Ranger Identified"]
+      );
+      assert.deepEqual((await get("/jobs?open=true&source=nswgov")).body.total, 3);
+      assert.deepEqual((await get("/jobs?closingBefore=2025-05-15&sort=closing")).body.jobs.map(({ sourceId }) => sourceId), [
+        "542236",
+        "542329"
+      ]);
+    });
+
+    it("pages through the jobs", async () => {
+      const pages = await Promise.all([1, 2, 3, 4].map((page) => get(`/jobs?sort=title&pageSize=2&page=${page}`)));
+      assert.deepEqual(
+        pages.map(({ body }) => [body.page, body.pages, body.jobs.length]),
+        [
+          [1, 4, 2],
+          [2, 4, 2],
+          [3, 4, 2],
+          [4, 4, 1]
+        ]
+      );
+      const titles = pages.flatMap(({ body }) => body.jobs.map(({ title }) => title));
+      assert.deepEqual(titles, [...titles].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" })));
+      assert.deepEqual((await get("/jobs?page=9")).body.jobs, []);
+    });
+
+    it("answers a 400 to parameters it can't read", async () => {
+      const errors = {
+        "/jobs?status=hiring": /status must be one of: /,
+        "/jobs?sort=pay": /sort must be one of: salary, closing, posted, title/,
+        "/jobs?page=0": /page must be a whole number from 1/,
+        "/jobs?page=1.5": /page must be a whole number from 1/,
+        "/jobs?pageSize=501": /pageSize must be a whole number from 1 to 500/,
+        "/jobs?minSalary=lots": /minSalary must be a positive number/,
+        "/jobs?closingBefore=11%2F05%2F2025": /closingBefore must be an ISO date or time/
+      };
+      for (const [pathname, message] of Object.entries(errors)) {
+        const { status, body } = await get(pathname);
+        assert.equal(status, 400, pathname);
+        assert.match(body.error, message);
+      }
+    });
+  });
+
+  describe("GET /jobs/{source}/{sourceId}", () => {
+    it("answers the latest record of a job with its documents' urls", async () => {
+      const { status, body } = await get("/jobs/nswgov/542236");
+      assert.equal(status, 200);
+      assert.equal(body.title, "Field Officer 3/4");
+      assert.deepEqual(
+        body.documents.map(({ fileUrl, textUrl }) => [fileUrl, textUrl]),
+        [["/files/rd.pdf", null]]
+      );
+      assert.deepEqual([body.status, body.lifecycle, body.links], [null, null, []]);
+    });
+
+    it("answers a 404 for a job it doesn't have, and a 400 for a malformed path", async () => {
+      assert.equal((await get("/jobs/nswgov/999999")).status, 404);
+      assert.equal((await get("/jobs/seek/542236")).status, 404);
+      assert.equal((await get("/jobs/nswgov/%E0%A4%A")).status, 400);
+    });
+  });
+
+  describe("other routes", () => {
+    it("lists the runs, newest first", async () => {
+      const { body } = await get("/runs?source=nswgov");
+      assert.deepEqual(
+        body.runs.map(({ source, date }) => [source, date]),
+        [
+          ["nswgov", "2025-05-06"],
+          ["nswgov", "2025-05-05"]
+        ]
+      );
+    });
+
+    it("describes itself", async () => {
+      const { body } = await get("/openapi.json");
+      assert.equal(body.openapi, "3.1.0");
+      assert.ok(body.components.schemas.Job);
+    });
+
+    it("answers a 404 to unknown routes and a 405 to anything but GET and HEAD", async () => {
+      assert.equal((await get("/vacancies")).status, 404);
+      const { status, headers } = await get("/jobs", { method: "POST" });
+      assert.deepEqual([status, headers.get("allow")], [405, "GET, HEAD"]);
+    });
+  });
+
+  describe("GET /files/{filename}", () => {
+    it("sends a downloaded document", async () => {
+      const { status, headers, body } = await get("/files/rd.pdf");
+      assert.deepEqual([status, headers.get("content-type"), body], [200, "application/pdf", "%PDF-1.7\nField Officer"]);
+      const head = await get("/files/rd.pdf", { method: "HEAD" });
+      assert.deepEqual([head.status, head.headers.get("content-length"), head.body], [200, "22", ""]);
+    });
+
+    it("answers a 404 to files it doesn't have or outside its directory", async () => {
+      assert.equal((await get("/files/missing.pdf")).status, 404);
+      assert.equal((await get("/files/..%2Fdatabase%2Fjobs")).status, 404);
+      assert.equal((await get("/files/.hidden")).status, 404);
+    });
+
+    it("answers an error when the file can't be read", async (t) => {
+      // Fails opening the file, as a file stream does
+      const failing = (code) => () => {
+        const stream = new Readable({ read() {} });
+        process.nextTick(() => stream.destroy(Object.assign(new Error(`${code}: can't open`), { code })));
+        return stream;
+      };
+
+      t.mock.method(fs, "createReadStream", failing("EACCES"));
+      const unreadable = await get("/files/rd.pdf");
+      assert.deepEqual([unreadable.status, unreadable.body], [500, { error: "Internal server error" }]);
+
+      fs.createReadStream.mock.mockImplementation(failing("ENOENT"));
+      const removed = await get("/files/rd.pdf");
+      assert.deepEqual([removed.status, removed.body], [404, { error: "No file rd.pdf" }]);
+    });
+  });
+});
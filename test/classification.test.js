@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractClassification } from "../lib/classification.js";
+
+/**
+ * @description The classification of a job record with only the given fields
+ * @param {Object} fields - title, salary, summary or description
+ * @returns {Object|null}
+ */
+const classify = (fields) => extractClassification({ title: "", summary: "", description: null, ...fields });
+
+describe("extractClassification", () => {
+  it("reads the classification and grades of the title", () => {
+    assert.deepEqual(classify({ title: "Clerk Grade 9/10 - Senior Project Officer" }), {
+      name: "Clerk",
+      award: "Crown Employees (Administrative and Clerical Officers - Salaries) Award",
+      grades: { from: 9, to: 10 },
+      salary: { min: 121529, max: 134454, totalRemuneration: false },
+      matched: "Clerk Grade 9/10",
+      field: "title"
+    });
+  });
+
+  it("spans the salary bands of a range of grades", () => {
+    const { grades, salary } = classify({ summary: "Administrative and Clerical Officer Grade 5-8" });
+    assert.deepEqual(grades, { from: 5, to: 8 });
+    assert.deepEqual(salary, { min: 93315, max: 117128, totalRemuneration: false });
+  });
+
+  it("prefers the longest classification", () => {
+    const { name, salary } = classify({ title: "Senior Field Officer 1/2" });
+    assert.equal(name, "Senior Field Officer");
+    assert.deepEqual(salary, { min: 76447, max: 80977, totalRemuneration: false });
+  });
+
+  it("reads identified roles and roman numerals", () => {
+    assert.deepEqual(classify({ title: "Ranger (Aboriginal Identified) Grade 1-2" }).grades, { from: 1, to: 2 });
+    assert.deepEqual(classify({ title: "Legal Officer Grade III" }).salary, { min: 121529, max: 134454, totalRemuneration: false });
+  });
+
+  it("reads grades written before the classification", () => {
+    const { name, grades, salary } = classify({ description: "<p>This is a Band 2 Senior Executive role.</p>" });
+    assert.equal(name, "Senior Executive");
+    assert.deepEqual(grades, { from: 2, to: 2 });
+    assert.deepEqual(salary, { min: 302567, max: 394750, totalRemuneration: true });
+  });
+
+  it("prefers a mention with grades over one without", () => {
+    const { field, grades } = classify({ title: "Ranger", salary: { text: "Ranger Grade 3, $93,315 - $102,481" } });
+    assert.equal(field, "remuneration");
+    assert.deepEqual(grades, { from: 3, to: 3 });
+  });
+
+  it("has a band without grades only for classifications without grades", () => {
+    assert.deepEqual(classify({ title: "Senior Field Supervisor" }).salary, { min: 97116, max: 104275, totalRemuneration: false });
+    assert.equal(classify({ title: "Ranger" }).salary, null);
+  });
+
+  it("only takes acronyms for a classification when followed by a grade", () => {
+    assert.equal(classify({ title: "SE Regional Manager" }), null);
+    assert.equal(classify({ title: "Director SE Band 1" }).name, "Senior Executive");
+  });
+
+  it("is null when the job mentions no classification", () => {
+    assert.equal(classify({ title: "Sous Chef - Jenolan Caves Reserve Trust" }), null);
+  });
+});
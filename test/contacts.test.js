@@ -0,0 +1,36 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractContacts, normalizePhone } from "../lib/contacts.js";
+
+/**
+ * @description Contact paragraphs as written in job ads, with the contacts expected from each
+ */
+const corpus = JSON.parse(fs.readFileSync(new URL("./fixtures/contacts.json", import.meta.url), "utf8"));
+
+describe("extractContacts", () => {
+  for (const { name, description, contacts } of corpus) {
+    it(name, () => {
+      assert.deepEqual(extractContacts(description), contacts);
+    });
+  }
+});
+
+describe("normalizePhone", () => {
+  it("normalises Australian numbers to E.164", () => {
+    assert.equal(normalizePhone("(02) 9876 5432"), "+61298765432");
+    assert.equal(normalizePhone("0412 345 678"), "+61412345678");
+    assert.equal(normalizePhone("+61 (0)412 345 678"), "+61412345678");
+    assert.equal(normalizePhone("1300 123 456"), "+611300123456");
+    assert.equal(normalizePhone("13 22 13"), "+61132213");
+  });
+
+  it("keeps international numbers", () => {
+    assert.equal(normalizePhone("+64 9 123 4567"), "+6491234567");
+  });
+
+  it("rejects what isn't a phone number", () => {
+    assert.equal(normalizePhone("2025 2026"), null);
+    assert.equal(normalizePhone(null), null);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatDate, normalizeDate, parseDate, parseDuration, toIso } from "../lib/dates.js";
+
+const reference = parseDate("2025-05-05T14:30:00+10:00");
+const iso = (text, options) => toIso(parseDate(text, { reference, ...options }));
+
+describe("parseDate", () => {
+  it("reads dates written out", () => {
+    assert.equal(iso("11 May 2025"), "2025-05-11T00:00:00+10:00");
+    assert.equal(iso("Sunday 11 May 2025, 11:59 pm"), "2025-05-11T23:59:00+10:00");
+    assert.equal(iso("5-May-2025"), "2025-05-05T00:00:00+10:00");
+    assert.equal(iso("1st June 2025 9.30am"), "2025-06-01T09:30:00+10:00");
+  });
+
+  it("reads numeric dates day first", () => {
+    assert.equal(iso("11/05/2025"), "2025-05-11T00:00:00+10:00");
+  });
+
+  it("reads a day without a time as the end of the day when asked", () => {
+    assert.equal(iso("11 May 2025", { endOfDay: true }), "2025-05-11T23:59:00+10:00");
+    assert.equal(iso("2025-05-11", { endOfDay: true }), "2025-05-11T23:59:00+10:00");
+  });
+
+  it("reads dates relative to when they were scraped", () => {
+    assert.equal(iso("Listed 3d ago"), "2025-05-02T14:30:00+10:00");
+    assert.equal(iso("Posted 2h ago"), "2025-05-05T12:30:00+10:00");
+    assert.equal(iso("30+ days ago"), "2025-04-05T14:30:00+11:00");
+    assert.equal(iso("Listed 2mo ago"), "2025-03-05T14:30:00+11:00");
+    assert.equal(iso("Listed yesterday"), "2025-05-04T14:30:00+10:00");
+  });
+
+  it("reads ISO 8601 and file name timestamps in Sydney time", () => {
+    assert.equal(iso("2025-05-05T04:30:00Z"), "2025-05-05T14:30:00+10:00");
+    assert.equal(iso("2025-05-05-14-30-00"), "2025-05-05T14:30:00+10:00");
+  });
+
+  it("follows daylight saving in Sydney", () => {
+    assert.equal(iso("15 January 2025"), "2025-01-15T00:00:00+11:00");
+  });
+
+  it("is null for what isn't a date", () => {
+    assert.equal(parseDate("ASAP"), null);
+    assert.equal(parseDate("31 February 2025"), null);
+    assert.equal(parseDate(""), null);
+  });
+});
+
+describe("parseDuration", () => {
+  it("reads lengths of time", () => {
+    assert.deepEqual(parseDuration("3 days").toObject(), { days: 3 });
+    assert.deepEqual(parseDuration("24 hours").toObject(), { hours: 24 });
+    assert.deepEqual(parseDuration("2w").toObject(), { weeks: 2 });
+    assert.deepEqual(parseDuration("1 month").toObject(), { months: 1 });
+    assert.deepEqual(parseDuration("30m").toObject(), { minutes: 30 });
+  });
+
+  it("rejects what isn't a length of time", () => {
+    assert.throws(() => parseDuration("soon"), /is not a length of time/);
+    assert.throws(() => parseDuration("3 days ago"), /is not a length of time/);
+  });
+});
+
+describe("normalizeDate and formatDate", () => {
+  it("keeps the date as written with its ISO form", () => {
+    assert.deepEqual(normalizeDate("11 May 2025", { endOfDay: true }), { raw: "11 May 2025", iso: "2025-05-11T23:59:00+10:00" });
+    assert.deepEqual(normalizeDate("Closing soon"), { raw: "Closing soon", iso: null });
+    assert.equal(normalizeDate(null), null);
+  });
+
+  it("formats stored dates, falling back to the date as written", () => {
+    assert.equal(formatDate(normalizeDate("11/05/2025")), "11 May 2025");
+    assert.equal(formatDate({ raw: "Closing soon", iso: null }), "Closing soon");
+    assert.equal(formatDate(null), null);
+  });
+});
@@ -0,0 +1,53 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { deliveryLog, undelivered } from "../lib/deliveries.js";
+import { contentVersion } from "../lib/diff.js";
+import { collapseLinked, findDuplicates } from "../lib/duplicates.js";
+import { toJobRecords } from "../lib/job.js";
+
+/**
+ * @description Job records of the listings scraped from a site
+ * @param {string} source - File prefix of the spider
+ * @returns {Array<Object>}
+ */
+const records = (source) =>
+  toJobRecords(source, JSON.parse(fs.readFileSync(new URL(`./fixtures/${source}Jobs.json`, import.meta.url), "utf8")))
+    .records;
+
+const nswgov = records("nswgov");
+const seek = records("seek");
+const to = { channel: "webhook", recipient: "team-chat" };
+const ranger = (jobs) => jobs.find(({ title }) => title === "Ranger Identified");
+
+describe("deliveryLog", () => {
+  it("logs each job of a linked vacancy with the version of its own ad", () => {
+    const collapsed = ranger(collapseLinked([...nswgov, ...seek], findDuplicates(nswgov, seek)));
+    assert.deepEqual(
+      deliveryLog(to, [collapsed]).map(({ source, sourceId, version }) => [source, sourceId, version]),
+      [
+        ["nswgov", "542329", contentVersion(ranger(nswgov))],
+        ["seek", "83451234", contentVersion(ranger(seek))]
+      ]
+    );
+    assert.notEqual(contentVersion(ranger(nswgov)), contentVersion(ranger(seek)));
+  });
+});
+
+describe("undelivered", () => {
+  const sent = deliveryLog(to, collapseLinked([...nswgov, ...seek], findDuplicates(nswgov, seek)));
+
+  it("leaves out the jobs sent in their current version", () => {
+    assert.deepEqual(undelivered([...nswgov, ...seek], sent, to), []);
+    assert.equal(undelivered(nswgov, sent, { ...to, recipient: "other" }).length, nswgov.length);
+  });
+
+  it("counts a job sent as part of a linked vacancy as sent once seen on its own", () => {
+    assert.deepEqual(undelivered([ranger(seek)], sent, to), []);
+  });
+
+  it("sends a job again once its ad changes", () => {
+    const extended = { ...ranger(seek), dates: { ...ranger(seek).dates, closing: { raw: "21 May 2025", iso: null } } };
+    assert.deepEqual(undelivered([extended], sent, to), [extended]);
+  });
+});
@@ -0,0 +1,103 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diffSnapshots } from "../lib/diff.js";
+import { toJobRecords } from "../lib/job.js";
+import { JsonStorage, SqliteStorage } from "../storage/index.js";
+
+/**
+ * @description Listings scraped from iworkfor
+ */
+const jobs = JSON.parse(fs.readFileSync(new URL("./fixtures/nswgovJobs.json", import.meta.url), "utf8"));
+
+/**
+ * @description A snapshot as BaseSpider saves it
+ * @param {string} date
+ * @param {Array<Object>} scraped - The scraped jobs
+ * @param {Object<string, Object>} [searches] - Statistics of each search, with the error of the ones that failed
+ * @returns {Object}
+ */
+function snapshot(date, scraped, searches = {}) {
+  const { records, invalid } = toJobRecords("nswgov", scraped);
+  return { date, metadata: { is_complete: true, searches, schema_errors: invalid }, jobs: scraped, records };
+}
+
+const ids = (records) => records.map(({ sourceId }) => sourceId);
+
+describe("diffSnapshots", () => {
+  it("reports the jobs added, removed and changed", () => {
+    const [first, second, third] = jobs;
+    const diff = diffSnapshots(
+      "nswgov",
+      snapshot("2025-05-05", [first, second]),
+      snapshot("2025-05-06", [{ ...second, closingDate: "21 May 2025" }, third])
+    );
+    assert.deepEqual(ids(diff.added), [third.jobId]);
+    assert.deepEqual(ids(diff.removed), [first.jobId]);
+    assert.deepEqual(
+      diff.changed.map(({ record, changes }) => [record.sourceId, changes.map(({ label }) => label)]),
+      [[second.jobId, ["closing date extended"]]]
+    );
+  });
+
+  it("doesn't take a job whose record failed the schema for removed", () => {
+    const [first, second] = jobs;
+    const current = snapshot("2025-05-06", [{ ...first, title: undefined }, second]);
+    assert.deepEqual(ids(current.records), [second.jobId]);
+
+    const diff = diffSnapshots("nswgov", snapshot("2025-05-05", [first, second]), current);
+    assert.deepEqual(diff.removed, []);
+  });
+});
+
+describe("diffSnapshots of a run where a search failed", () => {
+  const [first, second, third] = jobs.map((job, index) => ({ ...job, searches: [index < 2 ? "rangers" : "scientists"] }));
+  const failed = { rangers: { pages: 0, error: "Navigation timeout of 100000 ms exceeded" }, scientists: { pages: 1 } };
+
+  it("doesn't take the jobs only the failed search found for removed", () => {
+    const diff = diffSnapshots(
+      "nswgov",
+      snapshot("2025-05-05", [first, second, third]),
+      snapshot("2025-05-06", [first, third], failed)
+    );
+    assert.equal(diff.partial, true);
+    assert.deepEqual(diff.removed, []);
+  });
+
+  it("still removes the jobs a search that succeeded no longer finds", () => {
+    const diff = diffSnapshots("nswgov", snapshot("2025-05-05", [first, third]), snapshot("2025-05-06", [first], failed));
+    assert.deepEqual(ids(diff.removed), [third.jobId]);
+  });
+});
+
+for (const [name, createStorage] of [
+  ["JsonStorage", (directory) => new JsonStorage({ directory })],
+  ["SqliteStorage", (directory) => new SqliteStorage({ path: path.join(directory, "jobs.sqlite") })]
+]) {
+  describe(`${name}#latestSnapshot`, () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "diff-"));
+    const storage = createStorage(directory);
+    after(() => {
+      storage.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const failed = { dcceew: { pages: 0, error: "Navigation timeout of 100000 ms exceeded" } };
+    for (const run of [snapshot("2025-05-05", jobs), snapshot("2025-05-06", jobs.slice(0, 1), failed)]) {
+      storage.saveSnapshot("nswgov", run.date, run);
+    }
+
+    it("skips the runs where a search failed when asked for a complete one", () => {
+      assert.equal(storage.latestSnapshot("nswgov", { before: "2025-05-07" }).date, "2025-05-06");
+      assert.equal(storage.latestSnapshot("nswgov", { before: "2025-05-07", complete: true }).date, "2025-05-05");
+    });
+
+    it("doesn't bring back the jobs a failed search missed as new", () => {
+      const current = snapshot("2025-05-07", jobs);
+      const diff = diffSnapshots("nswgov", storage.latestSnapshot("nswgov", { before: current.date, complete: true }), current);
+      assert.deepEqual([diff.added, diff.removed, diff.changed], [[], [], []]);
+    });
+  });
+}
@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { agencyDocumentSettings, discoverDocuments } from "../lib/documentLinks.js";
+
+/**
+ * @description Description of a job ad on iworkfor, with the links agencies
+ * usually put in it
+ */
+const description = `
+  <p><strong>Field Officer</strong> - Grade 5/6, Dubbo</p>
+  <p>Role Description: <a href="https://www.dpie.nsw.gov.au/__data/assets/pdf_file/0004/123/RD-Field-Officer.pdf">click here</a></p>
+  <ul>
+    <li>Targeted questions: <a href="https://files.example.com/Q.docx">Q.docx</a></li>
+    <li><a href="/jobs/542236/info-pack">Candidate Information Pack</a></li>
+    <li><a href="https://nswgov.sharepoint.com/:b:/s/recruitment/EaBc123" title="Statement of works">SOW</a></li>
+    <li><a href="https://www.dpie.nsw.gov.au/download/tips">Tips for applying</a></li>
+    <li><a href="https://www.dpie.nsw.gov.au/__data/assets/pdf_file/0004/123/RD-Field-Officer.pdf">Role description (again)</a></li>
+  </ul>
+  <p>Find out more <a href="https://www.nsw.gov.au/about">about working for us</a>, or email <a href="mailto:jobs@example.com">jobs</a>.</p>
+  <p><a href="https://intranet.agency.nsw.gov.au/workplace/benefits">Our benefits</a></p>
+`;
+const baseUrl = "https://iworkfor.nsw.gov.au/job/field-officer-542236";
+
+describe("discoverDocuments", () => {
+  it("finds the documents of an ad once each, classified by their link text, title, context or url", () => {
+    assert.deepEqual(discoverDocuments(description, { baseUrl }), [
+      {
+        url: "https://www.dpie.nsw.gov.au/__data/assets/pdf_file/0004/123/RD-Field-Officer.pdf",
+        type: "role-description",
+        title: "click here"
+      },
+      { url: "https://files.example.com/Q.docx", type: "selection-criteria", title: "Q.docx" },
+      { url: "https://iworkfor.nsw.gov.au/jobs/542236/info-pack", type: "information-pack", title: "Candidate Information Pack" },
+      { url: "https://nswgov.sharepoint.com/:b:/s/recruitment/EaBc123", type: "statement-of-works", title: "SOW" },
+      { url: "https://www.dpie.nsw.gov.au/download/tips", type: "application-guide", title: "Tips for applying" }
+    ]);
+  });
+
+  it("reads the block before a link, which often names the document it introduces", () => {
+    const [document] = discoverDocuments(`<p>Position description</p><p><a href="https://example.com/file.pdf">click here</a></p>`);
+    assert.equal(document.type, "role-description");
+  });
+
+  it("classifies a document no text names as a plain document", () => {
+    const [document] = discoverDocuments(`<p><a href="https://example.com/files/Attachment%201.pdf"></a></p>`);
+    assert.deepEqual(document, { url: "https://example.com/files/Attachment%201.pdf", type: "document", title: "Attachment 1.pdf" });
+  });
+
+  it("takes every link to an agency's document hosts, and its own types before the built in ones", () => {
+    const documents = discoverDocuments(description, {
+      baseUrl,
+      hosts: ["agency.nsw.gov.au"],
+      types: [{ type: "benefits", pattern: "benefits" }, { type: "candidate-pack", pattern: /candidate/i }]
+    });
+    assert.deepEqual(
+      documents.map(({ type }) => type),
+      ["role-description", "selection-criteria", "candidate-pack", "statement-of-works", "application-guide", "benefits"]
+    );
+  });
+
+  it("skips links that can't be parsed or aren't http", () => {
+    assert.deepEqual(discoverDocuments(`<a href="http://[bad">Role description</a><a href="ftp://example.com/rd.pdf">RD</a>`), []);
+    assert.deepEqual(discoverDocuments(undefined), []);
+  });
+});
+
+describe("agencyDocumentSettings", () => {
+  const settings = {
+    hosts: ["objective.com.au"],
+    types: [{ type: "information-pack", pattern: "about the role" }],
+    agencies: [
+      { match: "Climate Change, Energy, the Environment and Water", hosts: ["dpie.nsw.gov.au"] },
+      { match: "transport for nsw", hosts: ["transportnsw.sharepoint.com"], types: [{ type: "policy", pattern: "policy" }] }
+    ]
+  };
+
+  it("adds the hosts and types of the agencies whose name matches", () => {
+    assert.deepEqual(agencyDocumentSettings(settings, "Transport for NSW"), {
+      hosts: ["objective.com.au", "transportnsw.sharepoint.com"],
+      types: [{ type: "policy", pattern: "policy" }, { type: "information-pack", pattern: "about the role" }]
+    });
+    assert.deepEqual(agencyDocumentSettings(settings, "NSW Health"), {
+      hosts: ["objective.com.au"],
+      types: [{ type: "information-pack", pattern: "about the role" }]
+    });
+  });
+
+  it("works without settings or an agency", () => {
+    assert.deepEqual(agencyDocumentSettings(), { hosts: [], types: [] });
+    assert.deepEqual(agencyDocumentSettings(settings).hosts, ["objective.com.au"]);
+  });
+});
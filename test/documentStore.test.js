@@ -0,0 +1,95 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import crypto from "crypto";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DocumentStore } from "../storage/documentStore.js";
+
+/**
+ * @description Documents served by the test server, by path, changed by the tests
+ */
+const served = {
+  "/rd.pdf": "%PDF-1.7\nSenior Project Officer, version 1",
+  "/copy.pdf": "%PDF-1.7\nSenior Project Officer, version 1"
+};
+const etag = (body) => `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+const sha256 = (body) => crypto.createHash("sha256").update(body).digest("hex");
+
+describe("DocumentStore", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "documents-"));
+  const store = new DocumentStore({ directory });
+  const requests = [];
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((request, response) => {
+      const body = served[request.url];
+      requests.push({ url: request.url, ifNoneMatch: request.headers["if-none-match"] ?? null });
+      if (!body) return response.writeHead(404).end();
+      if (request.headers["if-none-match"] === etag(body)) return response.writeHead(304).end();
+      response.writeHead(200, { "Content-Type": "application/octet-stream", ETag: etag(body) }).end(body);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("stores a document by the hash of its content", async () => {
+    const document = await store.fetch(`${baseUrl}/rd.pdf`, { jobId: "542236", type: "role-description" });
+    const hash = sha256(served["/rd.pdf"]);
+    assert.deepEqual(
+      { hash: document.hash, filename: document.filename, mime: document.mime, notModified: document.notModified },
+      { hash, filename: `${hash}.pdf`, mime: "application/pdf", notModified: false }
+    );
+    assert.equal(fs.readFileSync(path.join(directory, document.filename), "utf8"), served["/rd.pdf"]);
+    assert.equal(new DocumentStore({ directory }).manifest.urls[`${baseUrl}/rd.pdf`].hash, hash);
+  });
+
+  it("downloads a document again only when the site says it changed", async () => {
+    const document = await store.fetch(`${baseUrl}/rd.pdf`, { jobId: "542236", type: "role-description" });
+    assert.equal(document.notModified, true);
+    assert.equal(document.change, null);
+    assert.equal(requests.at(-1).ifNoneMatch, etag(served["/rd.pdf"]));
+  });
+
+  it("keeps a document found at several urls once, with its urls and jobs", async () => {
+    const document = await store.fetch(`${baseUrl}/copy.pdf`, { jobId: "542329" });
+    const stored = store.manifest.documents[document.hash];
+    assert.deepEqual(stored.urls, [`${baseUrl}/rd.pdf`, `${baseUrl}/copy.pdf`]);
+    assert.deepEqual(stored.jobIds, ["542236", "542329"]);
+    assert.equal(fs.readdirSync(directory).filter((name) => name.endsWith(".pdf")).length, 1);
+  });
+
+  it("records a change when a url serves different content, keeping the old version", async () => {
+    const previousHash = sha256(served["/rd.pdf"]);
+    served["/rd.pdf"] = "%PDF-1.7\nSenior Project Officer, version 2";
+    const document = await store.fetch(`${baseUrl}/rd.pdf`, { jobId: "542236", type: "role-description" });
+
+    assert.deepEqual(document.change, {
+      url: `${baseUrl}/rd.pdf`,
+      type: "role-description",
+      jobId: "542236",
+      previousHash,
+      hash: sha256(served["/rd.pdf"]),
+      detectedAt: document.fetchedAt
+    });
+    assert.ok(fs.existsSync(path.join(directory, `${previousHash}.pdf`)));
+    assert.deepEqual(
+      store.manifest.urls[`${baseUrl}/rd.pdf`].versions.map(({ hash }) => hash),
+      [previousHash, document.hash]
+    );
+    assert.deepEqual(store.changes({ type: "role-description" }), [document.change]);
+    assert.deepEqual(store.changes({ type: "statement-of-works" }), []);
+  });
+
+  it("fails on a document the site doesn't have", async () => {
+    await assert.rejects(store.fetch(`${baseUrl}/missing.pdf`), /Failed to download document: 404/);
+  });
+});
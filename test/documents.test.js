@@ -0,0 +1,73 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { detectFileType, extractText, parseRoleDescription } from "../lib/documents.js";
+
+/**
+ * @description Text of a role description as extracted from its PDF
+ */
+const roleDescription = fs.readFileSync(new URL("./fixtures/roleDescription.txt", import.meta.url), "utf8");
+
+describe("detectFileType", () => {
+  const zip = (name) => Buffer.concat([Buffer.from("PK\x03\x04", "latin1"), Buffer.alloc(26), Buffer.from(name)]);
+
+  it("tells the file type from its first bytes", () => {
+    assert.equal(detectFileType(Buffer.from("%PDF-1.7\n")).extension, "pdf");
+    assert.equal(detectFileType(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])).mime, "application/msword");
+    assert.equal(detectFileType(Buffer.from("{\\rtf1\\ansi")).extension, "rtf");
+    assert.equal(detectFileType(Buffer.from("\n<!DOCTYPE html><html>")).extension, "html");
+    assert.deepEqual(detectFileType(Buffer.from("Role Description")), { mime: "application/octet-stream", extension: "bin" });
+  });
+
+  it("tells office documents apart by the folders of the zip", () => {
+    assert.equal(detectFileType(zip("word/document.xml")).extension, "docx");
+    assert.equal(detectFileType(zip("xl/workbook.xml")).extension, "xlsx");
+    assert.equal(detectFileType(zip("ppt/presentation.xml")).extension, "pptx");
+    assert.equal(detectFileType(zip("readme.txt")).extension, "zip");
+  });
+});
+
+describe("extractText", () => {
+  it("rejects documents that aren't PDF or Word", async () => {
+    await assert.rejects(extractText(Buffer.from("\n<!DOCTYPE html>")), /Unsupported document format html/);
+  });
+});
+
+describe("parseRoleDescription", () => {
+  const parsed = parseRoleDescription(roleDescription);
+
+  it("reads the capabilities with their level, marking the focus capabilities", () => {
+    assert.deepEqual(parsed.capabilities, [
+      { group: "Personal Attributes", name: "Display Resilience and Courage", level: "Adept", focus: false },
+      { group: "Personal Attributes", name: "Act with Integrity", level: "Advanced", focus: true },
+      { group: "Relationships", name: "Communicate Effectively", level: "Adept", focus: false },
+      { group: "Results", name: "Deliver Results", level: "Adept", focus: true },
+      { group: "Results", name: "Plan and Prioritise", level: "Intermediate", focus: false },
+      { group: "Business Enablers", name: "Project Management", level: "Advanced", focus: true }
+    ]);
+  });
+
+  it("joins the points a PDF wrapped", () => {
+    assert.deepEqual(parsed.keyAccountabilities, [
+      "Lead the delivery of complex projects, managing timeframes, budgets and risks",
+      "Prepare high quality briefs, reports and correspondence",
+      "Build and maintain relationships with stakeholders"
+    ]);
+    assert.deepEqual(parsed.essentialRequirements, [
+      "Tertiary qualifications in environmental science or a related field, or equivalent experience",
+      "Current NSW Driver Licence"
+    ]);
+  });
+
+  it("reads the key relationships table", () => {
+    assert.deepEqual(parsed.keyRelationships, [
+      { who: "Manager", why: ["Receive guidance and direction", "Provide updates on projects"], internal: true },
+      { who: "Work team", why: ["Collaborate on projects"], internal: true },
+      { who: "Landholders", why: ["Negotiate access to sites"], internal: false }
+    ]);
+  });
+
+  it("is null for a document that isn't a role description", () => {
+    assert.equal(parseRoleDescription("Information pack\nAbout the department"), null);
+  });
+});
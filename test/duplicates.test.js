@@ -0,0 +1,54 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { collapseLinked, findDuplicates, LINK_THRESHOLD } from "../lib/duplicates.js";
+import { toJobRecords } from "../lib/job.js";
+
+/**
+ * @description Job records of the listings scraped from a site
+ * @param {string} source - File prefix of the spider
+ * @returns {Array<Object>}
+ */
+const records = (source) =>
+  toJobRecords(source, JSON.parse(fs.readFileSync(new URL(`./fixtures/${source}Jobs.json`, import.meta.url), "utf8")))
+    .records;
+
+const nswgov = records("nswgov");
+const seek = records("seek");
+const pairs = (links) => links.map(({ a, b }) => [a.sourceId, b.sourceId]);
+
+describe("findDuplicates", () => {
+  it("links the jobs advertised on both sites", () => {
+    const links = findDuplicates(nswgov, seek);
+    assert.deepEqual(pairs(links), [["542329", "83451234"]]);
+    assert.ok(links[0].confidence >= LINK_THRESHOLD);
+    assert.equal(links[0].signals.title, 1);
+    assert.equal(links[0].signals.closingDate, null);
+  });
+
+  it("doesn't link jobs alike in title only below the threshold", () => {
+    assert.deepEqual(pairs(findDuplicates(nswgov, seek, { threshold: 0.5 })), [
+      ["542329", "83451234"],
+      ["542476", "83452345"]
+    ]);
+  });
+
+  it("links a job once, to its most alike job", () => {
+    const [ranger] = seek;
+    const repost = { ...ranger, sourceId: "83459999", description: "Ranger Grade 1-2, located in Dubbo or Cobar." };
+    assert.deepEqual(pairs(findDuplicates(nswgov, [repost, ranger])), [["542329", "83451234"]]);
+  });
+});
+
+describe("collapseLinked", () => {
+  it("keeps the first record of linked jobs with the urls of both", () => {
+    const collapsed = collapseLinked([...nswgov, ...seek], findDuplicates(nswgov, seek));
+    assert.equal(collapsed.length, nswgov.length + seek.length - 1);
+
+    const ranger = collapsed.find(({ sourceId }) => sourceId === "542329");
+    assert.deepEqual(
+      ranger.sources.map(({ source, sourceId }) => [source, sourceId]),
+      [["nswgov", "542329"], ["seek", "83451234"]]
+    );
+  });
+});
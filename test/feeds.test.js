@@ -0,0 +1,54 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { datedEntries, feedsFor } from "../middleware/feeds/feeds.js";
+import { toDateTime } from "../lib/dates.js";
+import { toJobRecords } from "../lib/job.js";
+
+const records = toJobRecords(
+  "nswgov",
+  JSON.parse(fs.readFileSync(new URL("./fixtures/nswgovJobs.json", import.meta.url), "utf8"))
+).records;
+const at = toDateTime("2025-05-09T09:00:00+10:00");
+
+describe("feedsFor", () => {
+  const names = (feeds) => feeds.map(({ name, entries }) => [name, entries.map(({ record }) => record.sourceId)]);
+
+  it("writes a feed of every job and one per department", () => {
+    assert.deepEqual(names(feedsFor(datedEntries(records, {}, at), [], "Government jobs")), [
+      ["all", ["542476", "542441", "542329", "542236"]],
+      ["department-energy-climate-change-sustainability", ["542476"]],
+      ["department-national-parks-wildlife", ["542329", "542236"]],
+      ["department-natural-resources-access-regulator", ["542441"]]
+    ]);
+  });
+
+  it("numbers the feeds of departments whose names make the same file name", () => {
+    const renamed = records.map((record) =>
+      record.sourceId === "542441" ? { ...record, department: "National Parks / Wildlife" } : record
+    );
+    const feeds = feedsFor(datedEntries(renamed, {}, at), [], "Government jobs");
+    const parks = feeds.filter(({ name }) => name.startsWith("department-national-parks"));
+    assert.deepEqual(parks.map(({ name }) => name).sort(), [
+      "department-national-parks-wildlife",
+      "department-national-parks-wildlife-2"
+    ]);
+    assert.deepEqual(parks.map(({ title }) => title).sort(), [
+      "Government jobs: National Parks & Wildlife",
+      "Government jobs: National Parks / Wildlife"
+    ]);
+  });
+
+  it("shares the feed of searches alike and numbers the others of the same name", () => {
+    const subscribers = [
+      { email: "b@example.com", searches: [{ name: "Rangers", keywords: ["ranger"] }] },
+      { email: "a@example.com", searches: [{ name: "rangers", keywords: ["ranger"], locations: ["dubbo"] }] },
+      { email: "c@example.com", searches: [{ name: "Rangers", keywords: ["ranger"] }] }
+    ];
+    const feeds = feedsFor(datedEntries(records, {}, at), subscribers, "Government jobs");
+    assert.deepEqual(names(feeds.filter(({ name }) => name.startsWith("search-"))), [
+      ["search-rangers", ["542329"]],
+      ["search-rangers-2", ["542329"]]
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { deriveStatus, lifecycleKey, observeRun } from "../lib/lifecycle.js";
+import { toJobRecords } from "../lib/job.js";
+import { toDateTime } from "../lib/dates.js";
+
+/**
+ * @description Listings scraped from iworkfor
+ */
+const jobs = JSON.parse(fs.readFileSync(new URL("./fixtures/nswgovJobs.json", import.meta.url), "utf8"));
+
+/**
+ * @description Runs observeRun() on the jobs scraped on each day, in order
+ * @param {Array<[string, Array<Object>, Object?]>} runs - Day, scraped jobs and options of each run
+ * @returns {Map<string, Object>} The lifecycle entries
+ */
+function observe(runs) {
+  const entries = new Map();
+  for (const [date, scraped, options = {}] of runs) {
+    const { records, invalid } = toJobRecords("nswgov", scraped);
+    observeRun(entries, date, records, { invalid: invalid.map(({ sourceId }) => sourceId), ...options });
+  }
+  return entries;
+}
+
+const key = (job) => lifecycleKey("nswgov", job.jobId);
+
+describe("observeRun", () => {
+  it("records when a job was first and last seen", () => {
+    const [first, second] = jobs;
+    const entries = observe([
+      ["2025-05-05", [first]],
+      ["2025-05-06", [first, second]]
+    ]);
+    assert.deepEqual(entries.get(key(first)), {
+      source: "nswgov",
+      sourceId: first.jobId,
+      firstSeen: "2025-05-05",
+      lastSeen: "2025-05-06",
+      runsObserved: 2,
+      title: first.title,
+      employer: first.department,
+      url: first.jobUrl,
+      closingDate: "2025-05-11T23:59:00+10:00"
+    });
+    assert.equal(entries.get(key(second)).firstSeen, "2025-05-06");
+  });
+
+  it("counts a day run twice once", () => {
+    const [first] = jobs;
+    const entries = observe([
+      ["2025-05-05", [first]],
+      ["2025-05-05", [first]]
+    ]);
+    assert.equal(entries.get(key(first)).runsObserved, 1);
+  });
+
+  it("keeps the jobs of the previous run seen when a search failed", () => {
+    const [first, second] = jobs;
+    const entries = observe([
+      ["2025-05-05", [first, second]],
+      ["2025-05-06", [first], { partial: true, previousRun: "2025-05-05" }]
+    ]);
+    assert.equal(entries.get(key(second)).lastSeen, "2025-05-06");
+    assert.equal(entries.get(key(second)).runsObserved, 1);
+  });
+
+  it("leaves the jobs a complete run didn't find as last seen before", () => {
+    const [first, second] = jobs;
+    const entries = observe([
+      ["2025-05-05", [first, second]],
+      ["2025-05-06", [first], { previousRun: "2025-05-05" }]
+    ]);
+    assert.equal(entries.get(key(second)).lastSeen, "2025-05-05");
+  });
+
+  it("keeps a job whose record failed the schema seen", () => {
+    const [first] = jobs;
+    const entries = observe([
+      ["2025-05-05", [first]],
+      ["2025-05-06", [{ ...first, title: undefined }]]
+    ]);
+    const entry = entries.get(lifecycleKey("nswgov", first.jobId));
+    assert.equal(entry.lastSeen, "2025-05-06");
+    assert.equal(entry.runsObserved, 2);
+    assert.equal(entry.title, first.title);
+  });
+});
+
+describe("deriveStatus", () => {
+  const entry = { lastSeen: "2025-05-06", closingDate: "2025-05-11T23:59:00+10:00" };
+  const status = (overrides, at, latestRun = "2025-05-06") =>
+    deriveStatus({ ...entry, ...overrides }, { latestRun, now: toDateTime(at) });
+
+  it("is open when the latest run found the job", () => {
+    assert.equal(status({}, "2025-05-06T09:00:00+10:00"), "open");
+    assert.equal(status({ closingDate: null }, "2025-05-06T09:00:00+10:00"), "open");
+  });
+
+  it("is closing soon within three days of the closing date", () => {
+    assert.equal(status({}, "2025-05-09T09:00:00+10:00"), "closing-soon");
+  });
+
+  it("is closed once the closing date has passed", () => {
+    assert.equal(status({}, "2025-05-12T09:00:00+10:00"), "closed");
+  });
+
+  it("is withdrawn when the job is gone before its closing date", () => {
+    assert.equal(status({ lastSeen: "2025-05-05" }, "2025-05-06T09:00:00+10:00"), "withdrawn");
+  });
+
+  it("is closed when the job is gone on or after its closing date, or without one", () => {
+    assert.equal(status({ lastSeen: "2025-05-11" }, "2025-05-12T09:00:00+10:00", "2025-05-12"), "closed");
+    assert.equal(status({ lastSeen: "2025-05-05", closingDate: null }, "2025-05-06T09:00:00+10:00"), "closed");
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { NSWJobSpider } from "../spiders/nswGovJobs.js";
+
+const searchUrl = (search) => new NSWJobSpider([{ name: "test", ...search }]).targets()[0].url;
+
+describe("NSWJobSpider search urls", () => {
+  it("puts the agency in the third segment", () => {
+    assert.equal(
+      searchUrl({ agency: { id: 9116, slug: "department-of-climate-change,-energy,-the-environment-and-water-" } }),
+      "https://iworkfor.nsw.gov.au/jobs/all-keywords/all-agencies/department-of-climate-change,-energy,-the-environment-and-water-/all-categories/all-locations/all-worktypes?agenciesid=9116&sortby=RelevanceDesc"
+    );
+  });
+
+  it("keeps every segment in its place without an agency", () => {
+    assert.equal(
+      searchUrl({ keywords: "Ranger", location: { id: 92, slug: "dubbo-&-west-nsw" }, workType: { id: 1, slug: "full-time" } }),
+      "https://iworkfor.nsw.gov.au/jobs/ranger/all-agencies/all-organisations-entities/all-categories/dubbo-&-west-nsw/full-time?locationsid=92&worktypesid=1&sortby=RelevanceDesc"
+    );
+  });
+
+  it("drops the characters that would end the keywords segment", () => {
+    const url = new URL(searchUrl({ keywords: " GIS/spatial analyst? #1 " }));
+    assert.equal(url.pathname, "/jobs/gis-spatial-analyst-1/all-agencies/all-organisations-entities/all-categories/all-locations/all-worktypes");
+    assert.equal(url.hash, "");
+  });
+
+  it("searches all keywords when they are blank", () => {
+    assert.match(searchUrl({ keywords: " / " }), /\/jobs\/all-keywords\//);
+  });
+});
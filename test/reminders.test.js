@@ -0,0 +1,94 @@
+import fs from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { closingWithin, dueReminders, groupByDeadline, reminderLog } from "../lib/reminders.js";
+import { parseDuration, toDateTime } from "../lib/dates.js";
+import { toJobRecords } from "../lib/job.js";
+
+/**
+ * @description Job records of the iworkfor listings, closing 11, 14 and 18 May 2025
+ */
+const records = toJobRecords(
+  "nswgov",
+  JSON.parse(fs.readFileSync(new URL("./fixtures/nswgovJobs.json", import.meta.url), "utf8"))
+).records;
+
+const at = toDateTime("2025-05-09T09:00:00+10:00");
+const subscriber = { email: "jane@example.com", searches: [], flagged: [{ source: "nswgov", sourceId: "542236" }] };
+const record = records.find(({ sourceId }) => sourceId === "542236");
+
+describe("reminderLog", () => {
+  it("logs every window a reminder covers", () => {
+    const reminders = dueReminders([record], subscriber, [], { windows: ["3 days", "24 hours"], at });
+    assert.deepEqual(
+      reminderLog(subscriber.email, reminders, [], at).map(({ window, closingDate }) => [window, closingDate]),
+      [["3 days", "2025-05-11T23:59:00+10:00"]]
+    );
+  });
+
+  it("leaves out the windows already logged", () => {
+    const windows = ["3 days", "24 hours"];
+    const first = reminderLog(subscriber.email, dueReminders([record], subscriber, [], { windows, at }), [], at);
+
+    const later = at.plus({ days: 2 });
+    const reminders = dueReminders([record], subscriber, first, { windows, at: later });
+    assert.deepEqual(reminders[0].windows, ["3 days", "24 hours"]);
+    assert.deepEqual(
+      reminderLog(subscriber.email, reminders, first, later).map(({ window }) => window),
+      ["24 hours"]
+    );
+  });
+
+  it("reminds again of a job whose closing date is extended", () => {
+    const windows = ["3 days"];
+    const first = reminderLog(subscriber.email, dueReminders([record], subscriber, [], { windows, at }), [], at);
+    const extended = { ...record, dates: { ...record.dates, closing: records[1].dates.closing } };
+
+    assert.deepEqual(dueReminders([record], subscriber, first, { windows, at }), []);
+    assert.deepEqual(
+      dueReminders([extended], subscriber, first, { windows, at: at.plus({ days: 3 }) }).map(({ windows }) => windows),
+      [["3 days"]]
+    );
+  });
+});
+
+describe("dueReminders", () => {
+  it("reminds of the jobs flagged or matched that close within a window, soonest first", () => {
+    const flaggedOnly = { ...subscriber, searches: [{ name: "directors", keywords: ["director"] }] };
+    const reminders = dueReminders(records, flaggedOnly, [], { windows: ["10 days"], at });
+    assert.deepEqual(
+      reminders.map(({ record, flagged }) => [record.sourceId, flagged]),
+      [
+        ["542236", true],
+        ["542441", false]
+      ]
+    );
+  });
+
+  it("leaves out the jobs already closed", () => {
+    const closed = toDateTime("2025-05-12T00:00:00+10:00");
+    assert.deepEqual(dueReminders([record], subscriber, [], { windows: ["3 days"], at: closed }), []);
+  });
+});
+
+describe("groupByDeadline", () => {
+  it("groups the reminders by the day their jobs close", () => {
+    const reminders = dueReminders(records, subscriber, [], { windows: ["10 days"], at: at.plus({ days: 2 }) });
+    assert.deepEqual(
+      groupByDeadline(reminders, at.plus({ days: 2 })).map(({ label, reminders }) => [label, reminders.length]),
+      [
+        ["Closing today", 1],
+        ["Closing Wednesday 14 May", 1],
+        ["Closing Sunday 18 May", 2]
+      ]
+    );
+  });
+});
+
+describe("closingWithin", () => {
+  it("finds the jobs whose closing time, 11:59pm on the closing day, is within the window", () => {
+    const ids = (window, when) => closingWithin(records, parseDuration(window), when).map(({ sourceId }) => sourceId);
+    assert.deepEqual(ids("5 days", at), ["542236"]);
+    assert.deepEqual(ids("5 days", toDateTime("2025-05-09T23:59:00+10:00")), ["542236", "542329"]);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseSalary, salaryMention } from "../lib/salary.js";
+
+describe("parseSalary", () => {
+  it("parses a range with super on top", () => {
+    const salary = parseSalary("$97,116 - $104,275 + super");
+    assert.equal(salary.min, 97116);
+    assert.equal(salary.max, 104275);
+    assert.equal(salary.currency, "AUD");
+    assert.equal(salary.period, "annual");
+    assert.equal(salary.superIncluded, false);
+    assert.equal(salary.parsed, true);
+  });
+
+  it("reads thousands at both ends of a range", () => {
+    const salary = parseSalary("$90 - 110k");
+    assert.deepEqual([salary.min, salary.max], [90000, 110000]);
+  });
+
+  it("reads the pay period", () => {
+    assert.equal(parseSalary("$45 per hour").period, "hourly");
+    assert.equal(parseSalary("$650 a day").period, "daily");
+    assert.equal(parseSalary("MIN $302,567 – Max $338,721 TRP").superIncluded, true);
+  });
+
+  it("doesn't parse a salary without an amount", () => {
+    assert.equal(parseSalary("Competitive salary").parsed, false);
+    assert.equal(parseSalary(null).parsed, false);
+  });
+
+  it("doesn't parse an amount cut off by a truncated summary", () => {
+    // Listing summary of iworkfor job 542302
+    const salary = parseSalary(salaryMention("Temporary full time * The salary ranges from $56,0..."));
+    assert.equal(salary.parsed, false);
+    assert.equal(salary.min, null);
+    assert.equal(salary.period, null);
+    assert.equal(parseSalary("$70,219 - $74,7…").parsed, false);
+  });
+
+  it("doesn't parse an amount whose thousands aren't grouped in threes", () => {
+    assert.equal(parseSalary("$56,0 per annum").parsed, false);
+    assert.equal(parseSalary("$100000 pa").max, 100000);
+  });
+});
+
+describe("salaryMention", () => {
+  it("finds the bullet of a listing summary about pay", () => {
+    assert.equal(
+      salaryMention("Ongoing full time * Package includes salary $70,219-$74,784, super and leave loading * Dubbo"),
+      "Package includes salary $70,219-$74,784, super and leave loading"
+    );
+  });
+});
@@ -0,0 +1,116 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { digestMessage, reminderMessage } from "../middleware/email/notifier.js";
+import { templatesDirectory } from "../middleware/email/templates.js";
+import { toDateTime } from "../lib/dates.js";
+
+const snapshotsDirectory = new URL("./snapshots/", import.meta.url);
+
+/**
+ * @description Compares a rendered email with its snapshot in test/snapshots, e.g.
+ * digest.text.txt. A missing snapshot is written, outside CI, and
+ * UPDATE_SNAPSHOTS=1 rewrites them after a change to the templates.
+ * @param {string} name - Name of the snapshot file
+ * @param {string} rendered
+ */
+function assertSnapshot(name, rendered) {
+  const snapshot = new URL(name, snapshotsDirectory);
+  if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(snapshot) && !process.env.CI)) {
+    fs.mkdirSync(snapshotsDirectory, { recursive: true });
+    fs.writeFileSync(snapshot, rendered);
+  }
+  assert.equal(rendered, fs.readFileSync(snapshot, "utf8"));
+}
+
+const at = toDateTime("2025-05-09T09:00:00+10:00");
+
+const record = (sourceId, title, { department = "National Parks & Wildlife", location = "Dubbo", closing, salary } = {}) => ({
+  source: "nswgov",
+  sourceId,
+  title,
+  employer: "Department of Climate Change, Energy, the Environment and Water",
+  department,
+  locations: [location],
+  salary: { text: salary ?? null },
+  dates: { closing: closing ? { raw: closing, iso: closing } : null },
+  url: `https://iworkfor.nsw.gov.au/job/${sourceId}`
+});
+
+const digest = {
+  added: [
+    record("542236", "Ranger", { closing: "2025-05-11T23:59:00+10:00", salary: "$81,488 - $90,408 + super" }),
+    record("542240", "Field Officer 3-4 <Nocoleche Nature Reserve>", { location: "Bourke", salary: "$63,712 - $70,231" })
+  ],
+  updated: [
+    {
+      ...record("542198", "Director Regulatory Initiatives", { department: "Environment and Heritage", location: "Sydney" }),
+      changeLabels: ["closing date extended"]
+    }
+  ],
+  closingSoon: [record("542236", "Ranger", { closing: "2025-05-11T23:59:00+10:00" })],
+  summary: "2 new, 1 closing date extended"
+};
+
+const reminders = [
+  { record: record("542236", "Ranger", { closing: "2025-05-09T23:59:00+10:00" }), flagged: true },
+  { record: record("542250", "Senior Project Officer", { location: "Parramatta", closing: "2025-05-11T23:59:00+10:00" }), flagged: false }
+].map((reminder) => ({ ...reminder, closing: toDateTime(reminder.record.dates.closing.iso), windows: ["3 days"] }));
+
+describe("digest template", () => {
+  const message = digestMessage(digest, { at });
+
+  it("renders the subject", () => {
+    assert.equal(message.subject, "2 new jobs, 1 updated - government jobs 9 May 2025");
+  });
+
+  it("renders the text part", () => assertSnapshot("digest.text.txt", message.text));
+
+  it("renders the html part, escaping the jobs", () => {
+    assert.match(message.html, /Field Officer 3-4 &lt;Nocoleche Nature Reserve&gt;/);
+    assertSnapshot("digest.html", message.html);
+  });
+});
+
+describe("reminder template", () => {
+  const message = reminderMessage(reminders, { at });
+
+  it("renders the subject", () => assertSnapshot("reminder.subject.txt", message.subject));
+
+  it("renders the text part", () => assertSnapshot("reminder.text.txt", message.text));
+
+  it("renders the html part", () => assertSnapshot("reminder.html", message.html));
+});
+
+describe("group templates", () => {
+  const group = "executives";
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+    fs.cpSync(path.join(templatesDirectory, "default"), path.join(directory, "default"), { recursive: true });
+    fs.cpSync(new URL("./fixtures/templates/executives", import.meta.url), path.join(directory, group), { recursive: true });
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it("renders the group's own subject and text", () => {
+    const message = digestMessage(digest, { at, group, templatesDirectory: directory });
+    assertSnapshot("digest.executives.subject.txt", message.subject);
+    assertSnapshot("digest.executives.text.txt", message.text);
+  });
+
+  it("falls back to the default html", () => {
+    assert.equal(digestMessage(digest, { at, group, templatesDirectory: directory }).html, digestMessage(digest, { at }).html);
+  });
+
+  it("rejects a group that isn't a directory of the templates", () => {
+    for (const outside of ["../executives", "executives/..", "..\\executives", ".."]) {
+      assert.throws(
+        () => reminderMessage(reminders, { at, group: outside, templatesDirectory: directory }),
+        /is not a valid template directory name/
+      );
+    }
+  });
+});
@@ -0,0 +1,234 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuery, searchDocument, snippet, stem, tokenize } from "../lib/textSearch.js";
+import { SearchIndex } from "../storage/searchIndex.js";
+
+/**
+ * @description Words and their stems from the examples of each step in
+ * Porter's paper, see https://tartarus.org/martin/PorterStemmer/def.txt
+ */
+const stems = {
+  caresses: "caress",
+  ponies: "poni",
+  ties: "ti",
+  caress: "caress",
+  cats: "cat",
+  feed: "feed",
+  agreed: "agre",
+  plastered: "plaster",
+  bled: "bled",
+  motoring: "motor",
+  sing: "sing",
+  conflated: "conflat",
+  troubled: "troubl",
+  sized: "size",
+  hopping: "hop",
+  tanned: "tan",
+  falling: "fall",
+  hissing: "hiss",
+  fizzed: "fizz",
+  failing: "fail",
+  filing: "file",
+  happy: "happi",
+  sky: "sky",
+  relational: "relat",
+  conditional: "condit",
+  rational: "ration",
+  valenci: "valenc",
+  hesitanci: "hesit",
+  digitizer: "digit",
+  conformabli: "conform",
+  radicalli: "radic",
+  differentli: "differ",
+  vileli: "vile",
+  analogousli: "analog",
+  vietnamization: "vietnam",
+  predication: "predic",
+  operator: "oper",
+  feudalism: "feudal",
+  decisiveness: "decis",
+  hopefulness: "hope",
+  callousness: "callous",
+  formaliti: "formal",
+  sensitiviti: "sensit",
+  sensibiliti: "sensibl",
+  triplicate: "triplic",
+  formative: "form",
+  formalize: "formal",
+  electriciti: "electr",
+  electrical: "electr",
+  hopeful: "hope",
+  goodness: "good",
+  revival: "reviv",
+  allowance: "allow",
+  inference: "infer",
+  airliner: "airlin",
+  gyroscopic: "gyroscop",
+  adjustable: "adjust",
+  defensible: "defens",
+  irritant: "irrit",
+  replacement: "replac",
+  adjustment: "adjust",
+  dependent: "depend",
+  adoption: "adopt",
+  homologou: "homolog",
+  communism: "commun",
+  activate: "activ",
+  angulariti: "angular",
+  homologous: "homolog",
+  effective: "effect",
+  bowdlerize: "bowdler",
+  probate: "probat",
+  rate: "rate",
+  cease: "ceas",
+  controll: "control",
+  roll: "roll",
+  generalizations: "gener",
+  oscillators: "oscil"
+};
+
+const boosts = { title: 4, summary: 2, description: 1, documents: 0.5 };
+
+const job = (sourceId, title, description, extra = {}) => ({
+  source: "nswgov",
+  sourceId,
+  title,
+  url: `https://iworkfor.nsw.gov.au/job/${sourceId}`,
+  summary: "",
+  description,
+  documents: [],
+  ...extra
+});
+
+describe("stem", () => {
+  it("stems the reference vocabulary", () => {
+    for (const [word, expected] of Object.entries(stems)) assert.equal(stem(word), expected, word);
+  });
+
+  it("reduces the forms of a word to one stem", () => {
+    assert.equal(stem("managing"), "manag");
+    assert.equal(stem("manager"), "manag");
+    assert.equal(stem("management"), "manag");
+  });
+});
+
+describe("tokenize", () => {
+  it("drops stop words, counting positions without them", () => {
+    assert.deepEqual(
+      tokenize("Management of the Fire Trails").map(({ term, position }) => [term, position]),
+      [["manag", 0], ["fire", 1], ["trail", 2]]
+    );
+  });
+
+  it("keeps stop words written in capitals", () => {
+    assert.deepEqual(tokenize("IT support for it").map(({ term }) => term), ["it", "support"]);
+  });
+
+  it("keeps the offsets of the words", () => {
+    const [token] = tokenize("  Rangers");
+    assert.deepEqual([token.start, token.end], [2, 9]);
+  });
+});
+
+describe("parseQuery", () => {
+  it("reads phrases, exclusions, fields and alternatives", () => {
+    assert.deepEqual(parseQuery('"fire management" -volunteer title:gis OR spatial'), [
+      [
+        { terms: ["fire", "manag"], field: null, negate: false, text: '"fire management"' },
+        { terms: ["volunt"], field: null, negate: true, text: "-volunteer" },
+        { terms: ["gi"], field: "title", negate: false, text: "title:gis" }
+      ],
+      [{ terms: ["spatial"], field: null, negate: false, text: "spatial" }]
+    ]);
+  });
+
+  it("keeps a prefix that isn't a field as part of the word", () => {
+    assert.deepEqual(parseQuery("10:30")[0][0].terms, ["10", "30"]);
+  });
+});
+
+describe("snippet", () => {
+  it("highlights the matching words of the best passage", () => {
+    const text = `${Array.from({ length: 60 }, (_, index) => `word${index}`).join(" ")} fire management plan`;
+    assert.equal(
+      snippet(text, new Set(["fire", "manag"]), { words: 5, highlight: (word) => `<mark>${word}</mark>` }),
+      "…word57 word58 word59 <mark>fire</mark> <mark>management</mark>…"
+    );
+  });
+
+  it("is null when no word matches", () => {
+    assert.equal(snippet("Ranger", new Set(["fire"])), null);
+  });
+});
+
+describe("SearchIndex", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "search-index-"));
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const documents = [
+    searchDocument(job("1", "Senior GIS Analyst", "<p>Manage spatial data for fire management programs.</p>")),
+    searchDocument(job("2", "Ranger", "<p>Managing fire trails.</p>"), { bulletPoints: ["Bushfire operations"] }),
+    searchDocument(job("3", "IT Support Officer", "<p>Support the constructor of the asset database.</p>")),
+    searchDocument(job("4", "Customer Support Officer", "<p>Support visitors to the park.</p>"))
+  ];
+  const index = new SearchIndex({ directory, boosts });
+  index.update(documents);
+  index.save();
+
+  it("ranks a match in the title first", () => {
+    assert.deepEqual(index.search("fire").map(({ key }) => key), ["nswgov:2", "nswgov:1"]);
+    assert.deepEqual(index.search("gis").map(({ key }) => key), ["nswgov:1"]);
+  });
+
+  it("finds phrases in order only", () => {
+    assert.deepEqual(index.search('"fire management"').map(({ key }) => key), ["nswgov:1"]);
+  });
+
+  it("searches acronyms that are also stop words", () => {
+    assert.deepEqual(index.search("IT support").map(({ key }) => key), ["nswgov:3"]);
+  });
+
+  it("only reindexes the jobs whose text changed", () => {
+    assert.deepEqual(index.update(documents), { added: 0, updated: 0, unchanged: 4 });
+  });
+
+  it("keeps terms named like properties of objects when saved", () => {
+    assert.equal(Object.hasOwn(Object, "nswgov:3"), false);
+    const reloaded = new SearchIndex({ directory, boosts });
+    assert.deepEqual(reloaded.search("constructor").map(({ key }) => key), ["nswgov:3"]);
+    assert.deepEqual(reloaded.search("bushfire").map(({ key }) => key), ["nswgov:2"]);
+  });
+
+  it("keeps the text of the jobs out of index.json, reading it for the snippets", () => {
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, "index.json"), "utf8"));
+    assert.equal(Object.values(saved.documents).some((document) => "text" in document), false);
+    const [result] = new SearchIndex({ directory, boosts }).search("spatial");
+    assert.equal(result.snippets.description, "Manage **spatial** data for fire management programs.");
+  });
+
+  it("reindexes and removes jobs along with their text", () => {
+    const reloaded = new SearchIndex({ directory, boosts });
+    const changed = searchDocument(job("4", "Customer Support Officer", "<p>Welcome visitors to the park.</p>"));
+    assert.deepEqual(reloaded.update([changed]), { added: 0, updated: 1, unchanged: 0 });
+    assert.equal(reloaded.remove(["nswgov:3", "nswgov:9"]), 1);
+    reloaded.save();
+
+    const saved = new SearchIndex({ directory, boosts });
+    assert.deepEqual(saved.search("visitors").map(({ snippets }) => snippets.description), [
+      "Welcome **visitors** to the park."
+    ]);
+    assert.deepEqual(saved.search("support").map(({ key }) => key), ["nswgov:4"]);
+    assert.equal(fs.readdirSync(path.join(directory, "text")).length, 3);
+  });
+
+  it("clears every job", () => {
+    const cleared = new SearchIndex({ directory, boosts });
+    cleared.clear();
+    cleared.save();
+    assert.equal(new SearchIndex({ directory, boosts }).size, 0);
+    assert.deepEqual(fs.readdirSync(path.join(directory, "text")), []);
+  });
+});
@@ -0,0 +1,180 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import config from "../config.js";
+import { now, today } from "../lib/dates.js";
+import { diffRecords } from "../lib/diff.js";
+import { toJobRecords } from "../lib/job.js";
+import { JsonStorage } from "../storage/index.js";
+import { failureWebhooks, jobWebhooks, postWebhook, signPayload, verifySignature } from "../middleware/webhooks/webhooks.js";
+
+const secret = "test-secret";
+const receiverScript = fileURLToPath(new URL("../scripts/webhook-receiver.js", import.meta.url));
+
+/**
+ * @description Job records of the iworkfor listings, repeated with other ids
+ * to make more jobs than a chat message lists
+ * @param {number} count
+ * @returns {Array<Object>}
+ */
+function jobs(count) {
+  const listings = JSON.parse(fs.readFileSync(new URL("./fixtures/nswgovJobs.json", import.meta.url), "utf8"));
+  const records = toJobRecords("nswgov", listings).records;
+  return Array.from({ length: count }, (_, index) => {
+    const record = records[index % records.length];
+    return { ...record, sourceId: `${record.sourceId}${index}` };
+  });
+}
+
+describe("signPayload and verifySignature", () => {
+  const body = JSON.stringify({ event: "failure", source: "nswgov" });
+  const timestamp = Math.floor(now().toSeconds());
+  const headers = (signature, at = timestamp) => ({ "x-webhook-timestamp": `${at}`, "x-webhook-signature": signature });
+
+  it("accepts a body signed with the secret", () => {
+    assert.match(signPayload(body, secret, timestamp), /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(body, headers(signPayload(body, secret, timestamp)), secret), true);
+  });
+
+  it("rejects another body, secret or timestamp", () => {
+    const signature = signPayload(body, secret, timestamp);
+    assert.equal(verifySignature(`${body} `, headers(signature), secret), false);
+    assert.equal(verifySignature(body, headers(signature), "other-secret"), false);
+    assert.equal(verifySignature(body, headers(signature, timestamp + 1), secret), false);
+    assert.equal(verifySignature(body, headers(""), secret), false);
+  });
+
+  it("rejects a signature older than the tolerance, a replayed request", () => {
+    const old = timestamp - 600;
+    assert.equal(verifySignature(body, headers(signPayload(body, secret, old), old), secret), false);
+    assert.equal(verifySignature(body, headers(signPayload(body, secret, old), old), secret, { tolerance: 900 }), true);
+  });
+});
+
+describe("postWebhook", () => {
+  it("waits no longer than maxRetryAfter when asked to retry after an hour", async (t) => {
+    let requests = 0;
+    const server = http.createServer((request, response) => {
+      request.resume();
+      if (++requests === 1) return response.writeHead(503, { "Retry-After": "3600" }).end();
+      response.writeHead(200).end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const endpoint = { name: "busy", url: `http://127.0.0.1:${server.address().port}/webhook`, secret: null };
+    const started = Date.now();
+    const result = await postWebhook(endpoint, "failure", {}, { retries: 1, backoff: 10, maxRetryAfter: 50, timeout: 2000 });
+    assert.deepEqual(result, { status: 200, attempts: 2 });
+    assert.ok(Date.now() - started < 5000);
+  });
+});
+
+describe("webhooks posted to the receiver", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+  const received = path.join(directory, "received");
+  let receiver;
+  let url;
+
+  /**
+   * @description Payloads the receiver saved, in the order received
+   * @returns {Array<{headers: Object, payload: Object}>}
+   */
+  const receivedPayloads = () =>
+    fs.existsSync(received)
+      ? fs
+          .readdirSync(received)
+          .sort((a, b) => Number(a.match(/-(\d+)\.json$/)[1]) - Number(b.match(/-(\d+)\.json$/)[1]))
+          .map((name) => JSON.parse(fs.readFileSync(path.join(received, name), "utf8")))
+      : [];
+
+  before(async () => {
+    process.env.TEST_WEBHOOK_SECRET = secret;
+    process.env.TEST_WEBHOOK_WRONG_SECRET = "wrong-secret";
+    config.storage = { backend: "json", json: { directory: path.join(directory, "database") } };
+    config.webhooks = { ...config.webhooks, backoff: 10, timeout: 2000 };
+
+    const storage = new JsonStorage(config.storage.json);
+    storage.saveDiff("nswgov", today(), diffRecords([], jobs(25)));
+    storage.close();
+
+    // The receiver answers its first request with a 503, to be retried
+    receiver = spawn(
+      process.execPath,
+      [receiverScript, "--port", "0", "--secret", secret, "--fail", "1", "--directory", received],
+      { stdio: ["ignore", "pipe", "inherit"] }
+    );
+    url = await new Promise((resolve, reject) => {
+      let output = "";
+      receiver.stdout.on("data", (chunk) => {
+        output += chunk;
+        const listening = output.match(/listening on (http:\/\/\S+)/);
+        if (listening) resolve(`${listening[1]}/webhook`);
+      });
+      receiver.on("exit", (code) => reject(new Error(`The webhook receiver exited with ${code}`)));
+    });
+  });
+
+  after(() => {
+    receiver?.kill();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("retries a 5xx answer, signing the retry again", async () => {
+    const endpoint = { name: "receiver", url, secret };
+    const result = await postWebhook(endpoint, "failure", { event: "failure", source: "nswgov", error: "Timed out" });
+    assert.deepEqual(result, { status: 200, attempts: 2 });
+
+    const [{ headers, payload }] = receivedPayloads();
+    assert.equal(headers["x-webhook-event"], "failure");
+    assert.match(headers["x-webhook-signature"], /^sha256=/);
+    assert.equal(payload.error, "Timed out");
+  });
+
+  it("doesn't retry a request the receiver rejects for its signature", async () => {
+    const result = await failureWebhooks(
+      { source: "nswgov", error: "Timed out" },
+      { endpoints: [{ name: "wrong", format: "generic", url, secretEnv: "TEST_WEBHOOK_WRONG_SECRET" }] }
+    );
+    assert.deepEqual(result.sent, []);
+    assert.deepEqual(result.failed, [{ endpoint: "wrong", error: 'Webhook "wrong" answered 401 Unauthorized' }]);
+    assert.equal(receivedPayloads().length, 1);
+  });
+
+  it("posts each endpoint the jobs its filter matches, split into the jobs a chat message lists", async () => {
+    const endpoints = [
+      { name: "slack", format: "slack", url, secretEnv: "TEST_WEBHOOK_SECRET", events: ["jobs"] },
+      { name: "teams", format: "teams", url, secretEnv: "TEST_WEBHOOK_SECRET", filter: { keywords: ["ranger"] } },
+      { name: "generic", format: "generic", url, secretEnv: "TEST_WEBHOOK_SECRET", filter: { sources: ["seek"] } }
+    ];
+    const result = await jobWebhooks({ sources: ["nswgov"], endpoints });
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(result.sent, ["slack", "teams"]);
+
+    const payloads = receivedPayloads().slice(1).map(({ payload }) => payload);
+    assert.deepEqual(
+      payloads.map((payload) => payload.text ?? payload.attachments[0].content.body[0].text),
+      [
+        "Government jobs: 25 new (1 of 2)",
+        "Government jobs: 25 new (2 of 2)",
+        "Government jobs: 6 new"
+      ]
+    );
+    // The header block, then one block per job
+    assert.deepEqual(
+      payloads.slice(0, 2).map(({ blocks }) => blocks.length - 1),
+      [20, 5]
+    );
+    assert.ok(payloads[2].attachments[0].content.body.slice(1).every(({ items }) => /Ranger/.test(items[0].text)));
+  });
+
+  it("doesn't post the jobs again once sent", async () => {
+    const endpoints = [{ name: "slack", format: "slack", url, secretEnv: "TEST_WEBHOOK_SECRET" }];
+    assert.deepEqual(await jobWebhooks({ sources: ["nswgov"], endpoints }), { payloads: [], sent: [], failed: [] });
+  });
+});